@@ -5,6 +5,7 @@ import * as canvaslib from "../lib/canvas-lib.js";
 import { SequencerFileBase } from "../modules/sequencer-file.js";
 import SequencerAnimationEngine from "../modules/sequencer-animation-engine.js";
 import SequencerFileCache from "../modules/sequencer-file-cache.js";
+import SequencerClock from "../modules/sequencer-clock.js";
 import flagManager from "../utils/flag-manager.js";
 import { sequencerSocket, SOCKET_HANDLERS } from "../sockets.js";
 import SequencerEffectManager from "../modules/sequencer-effect-manager.js";
@@ -12,6 +13,7 @@ import { SequencerAboveUILayer } from "./effects-layer.js";
 import VisionSamplerShader from "../lib/filters/vision-mask-filter.js";
 import MaskFilter from "../lib/filters/mask-filter.js";
 import TilingSpriteMesh from "../lib/meshes/tiling-sprite-mesh.js";
+import effectGroups from "./effect-groups.js";
 
 const hooksManager = {
 	_hooks: new Map(),
@@ -104,12 +106,21 @@ export default class CanvasEffect extends PIXI.Container {
 		this.actualCreationTime = +new Date();
 		this.data = inData;
 
+		// Effects scheduled on the shared clock start as far into their playback as that clock is past their scheduled
+		// start, so that they stay in sync with other clients even if they were received late
+		this._startOffset = 0;
+		if (this.data.startAtServerTime) {
+			this._startOffset = Math.max(0, SequencerClock.now() - this.data.startAtServerTime);
+			this.actualCreationTime = this.data.creationTimestamp + this._startOffset;
+		}
+
 		this._resolve = null;
 		this._durationResolve = null;
 
 		this.ready = false;
 		this._ended = false;
 		this._isEnding = false;
+		this._paused = false;
 
 		this._cachedSourceData = {};
 		this._cachedTargetData = {};
@@ -544,10 +555,7 @@ export default class CanvasEffect extends PIXI.Container {
 
 	get mediaCurrentTime() {
 		if (this.animatedSprite) {
-			return (
-				(this.sprite.currentFrame / this.sprite.totalFrames) *
-				(this.sprite.totalFrames / 24)
-			);
+			return this._frameStartTimes[this.sprite.currentFrame] / 1000;
 		}
 		return this.video?.currentTime ?? null;
 	}
@@ -562,7 +570,7 @@ export default class CanvasEffect extends PIXI.Container {
 
 	set mediaPlaybackRate(inPlaybackRate) {
 		if (this.animatedSprite) {
-			this.sprite.animationSpeed = 0.4 * inPlaybackRate;
+			this.sprite.animationSpeed = inPlaybackRate;
 		} else if (this.video) {
 			this.video.playbackRate = inPlaybackRate;
 		}
@@ -570,10 +578,12 @@ export default class CanvasEffect extends PIXI.Container {
 
 	set mediaCurrentTime(newTime) {
 		if (this.animatedSprite) {
-			const newFrame = Math.floor(newTime * this.sprite.totalFrames);
+			const newFrame = this._frameStartTimes.findLastIndex(
+				(startTime) => startTime <= newTime * 1000
+			);
 			const clampedFrame = Math.max(
 				0,
-				Math.min(newFrame, this.sprite.totalFrames)
+				Math.min(newFrame, this.sprite.totalFrames - 1)
 			);
 			if (this.mediaIsPlaying) {
 				this.sprite.gotoAndPlay(clampedFrame);
@@ -587,11 +597,7 @@ export default class CanvasEffect extends PIXI.Container {
 
 	get mediaDuration() {
 		if (this.animatedSprite) {
-			return (
-				this.sprite.totalFrames /
-				this.sprite.animationSpeed /
-				PIXI.Ticker.shared.FPS
-			);
+			return this._framesDuration / 1000 / this.mediaPlaybackRate;
 		} else if (this.video) {
 			return this.video?.duration / this.mediaPlaybackRate;
 		}
@@ -1269,6 +1275,52 @@ export default class CanvasEffect extends PIXI.Container {
 		this.data.animations = (this.data.animations ?? []).concat(inAnimations);
 	}
 
+	/**
+	 * Pauses or resumes this effect's media, animations, and its end and loop timers
+	 *
+	 * @param {boolean} inPaused
+	 * @private
+	 */
+	_setPaused(inPaused) {
+		if (this._ended || !!this._paused === inPaused) return;
+		this._paused = inPaused;
+		SequencerAnimationEngine.setAnimationsPaused(this.id, inPaused);
+		const timeouts = [this._endTimeout, this._resetTimeout].filter(Boolean);
+		if (inPaused) {
+			this._wasPlayingMedia = this.animatedSprite
+				? this.sprite.playing
+				: !!this.video && !this.video.paused;
+			timeouts.forEach((timeout) => timeout.pause());
+			return this.pauseMedia();
+		}
+		timeouts.forEach((timeout) => timeout.resume());
+		if (this._wasPlayingMedia) {
+			return this.playMedia();
+		}
+	}
+
+	/**
+	 * Skips this effect ahead by an amount of milliseconds
+	 *
+	 * @param {number} inMs
+	 * @private
+	 */
+	_advanceTime(inMs) {
+		if (this._ended || inMs <= 0) return;
+		this._endTimeout?.advance(inMs);
+		this._resetTimeout?.advance(inMs);
+		SequencerAnimationEngine.advanceAnimations(this.id, inMs);
+		if (!this.hasAnimatedMedia || this.mediaCurrentTime === null) return;
+		let newTime = this.mediaCurrentTime + (inMs / 1000) * (this.data.playbackRate || 1.0);
+		if (newTime > this._endTime) {
+			const loopLength = this._endTime - this._startTime;
+			newTime = this.mediaLooping && loopLength > 0
+				? this._startTime + ((newTime - this._startTime) % loopLength)
+				: this._endTime;
+		}
+		this.mediaCurrentTime = newTime;
+	}
+
 	/**
 	 * Updates the effect
 	 *
@@ -1309,10 +1361,12 @@ export default class CanvasEffect extends PIXI.Container {
 		this._initializeVariables();
 		await this._contextLostCallback();
 		await this._loadTexture();
+		await this._loadParticleTextures();
 		this._addToContainer();
 		this._createSprite();
 		this._calculateDuration();
 		this._createShapes();
+		this._createParticles();
 		await this._setupMasks();
 		await this._transformSprite();
 		this._playPresetAnimations();
@@ -1336,6 +1390,7 @@ export default class CanvasEffect extends PIXI.Container {
 			return Sequencer.EffectManager._removeEffect(this);
 		}
 		this.actualCreationTime = +new Date();
+		this._startOffset = 0;
 		return this._initialize();
 	}
 
@@ -1346,6 +1401,9 @@ export default class CanvasEffect extends PIXI.Container {
 	 * @private
 	 */
 	_initializeVariables() {
+		// The frames per second that flipbooks and spritesheets are played at
+		this._frameRate = 24;
+
 		// Responsible for rotating the sprite
 		this.rotationContainer = this.addChild(new PIXI.Container());
 		this.rotationContainer.id = this.id + "-rotationContainer";
@@ -1381,7 +1439,7 @@ export default class CanvasEffect extends PIXI.Container {
 		this._lastDimensions = {};
 
 		if (this._resetTimeout) {
-			clearTimeout(this._resetTimeout);
+			this._resetTimeout.clear();
 		}
 		this._resetTimeout = null;
 
@@ -1435,6 +1493,8 @@ export default class CanvasEffect extends PIXI.Container {
 
 		SequencerAnimationEngine.endAnimations(this.id);
 
+		effectGroups.leave(this);
+
 		if (this._maskContainer) this._maskContainer.destroy({ children: true });
 		if (this._maskSprite) {
 			try {
@@ -1478,6 +1538,7 @@ export default class CanvasEffect extends PIXI.Container {
 	 */
 	_playPresetAnimations() {
 		this._moveTowards();
+		this._moveAlongPath();
 
 		this._fadeIn();
 		this._fadeInAudio();
@@ -1552,6 +1613,10 @@ export default class CanvasEffect extends PIXI.Container {
 			layer = canvas.primary;
 		}
 
+		if (this.data.group) {
+			return effectGroups.join(this, layer);
+		}
+
 		layer.addChild(this);
 		layer.sortChildren();
 	}
@@ -1576,7 +1641,18 @@ export default class CanvasEffect extends PIXI.Container {
 				"temporary.range.file"
 			);
 		} else {
-			if (!Sequencer.Database.entryExists(this.data.file)) {
+			if (Sequencer.Database.entryExists(this.data.file)) {
+				this._file = Sequencer.Database.getEntry(this.data.file).clone();
+			} else if (
+				lib.is_spritesheet_file(this.data.file) ||
+				(await SequencerFileCache.loadAnimatedImage(this.data.file))
+			) {
+				this._file = SequencerFileBase.make(
+					this.data.file,
+					"temporary.spritesheet",
+					{}
+				);
+			} else {
 				let texture = await SequencerFileCache.loadFile(this.data.file);
 				this.video = this.data.file.toLowerCase().endsWith(".webm")
 					? texture?.baseTexture?.resource?.source ?? false
@@ -1586,13 +1662,19 @@ export default class CanvasEffect extends PIXI.Container {
 				this._currentFilePath = this.data.file;
 				return;
 			}
-
-			this._file = Sequencer.Database.getEntry(this.data.file).clone();
 		}
 
 		this._file.fileIndex = this.data.forcedIndex;
 		this._file.twister = this._twister;
 
+		// Spritesheets and image sequences may have their frame rate, frame range, and animation overridden in .file()
+		for (const key of ["fps", "frames", "animation"]) {
+			if (this.data.fileOptions?.[key] !== undefined) {
+				this._file[key] = this.data.fileOptions[key];
+			}
+		}
+		this._frameRate = this._file.fps ?? 24;
+
 		this._isRangeFind = this._file?.rangeFind;
 
 		this.spriteSheet = false;
@@ -1737,6 +1819,14 @@ export default class CanvasEffect extends PIXI.Container {
 			this._animationDuration = this._animationDuration || 1000;
 		}
 
+		// If the effect moves along a path at a given speed, make sure it lasts long enough to reach the end of it
+		if (this.data.movePath?.speed) {
+			this._animationDuration = Math.max(
+				this._animationDuration,
+				canvaslib.get_path_duration(this.data.movePath)
+			);
+		}
+
 		// Clamp effect duration to start time and end time
 		this._startTime = 0;
 		if (this.data.time?.start && this.mediaCurrentTime !== null) {
@@ -1844,7 +1934,13 @@ export default class CanvasEffect extends PIXI.Container {
 	_createSprite() {
 		this.renderable = false;
 
-		const texture = this.spriteSheet ? this.spriteSheet : PIXI.Texture.EMPTY;
+		// Frames without durations of their own, such as those of flipbooks and spritesheets, are shown at the frame rate
+		const frames = this.spriteSheet
+			? this.spriteSheet.map((frame) => frame instanceof PIXI.Texture
+				? { texture: frame, time: 1000 / this._frameRate }
+				: frame)
+			: false;
+		const texture = frames ? frames : PIXI.Texture.EMPTY;
 		const isVisionMaskingEnabled = 
 			!this.data.xray && 
 			!this.spriteSheet && 
@@ -1867,7 +1963,13 @@ export default class CanvasEffect extends PIXI.Container {
 		this.animatedSprite = false;
 		if (this.spriteSheet) {
 			this.animatedSprite = true;
-			this.sprite.animationSpeed = 0.4;
+			this.sprite.animationSpeed = 1;
+			this._frameStartTimes = [];
+			this._framesDuration = 0;
+			for (const frame of frames) {
+				this._frameStartTimes.push(this._framesDuration);
+				this._framesDuration += frame.time;
+			}
 			this.sprite.loop = false;
 		}
 
@@ -1994,6 +2096,153 @@ export default class CanvasEffect extends PIXI.Container {
 		}
 	}
 
+	/**
+	 * Loads the textures that this effect's particles are randomly given, expanding database paths into their files
+	 *
+	 * @returns {Promise}
+	 * @private
+	 */
+	async _loadParticleTextures() {
+		this._particleTextures = [];
+		if (!this.data.particles) return;
+
+		const files = lib.make_array_unique(
+			this.data.particles.textures
+				.map((texture) => Sequencer.Database.entryExists(texture)
+					? Sequencer.Database.getAllFileEntries(texture)
+					: lib.is_image_sequence(texture)
+						? lib.get_image_sequence_files(texture)
+						: texture)
+				.deepFlatten()
+		);
+
+		const imageFiles = files.filter((file) => !file.toLowerCase().endsWith(".webm"));
+		if (imageFiles.length < files.length) {
+			lib.custom_warning(
+				"Sequencer",
+				`Particles | Effect "${this.data.name ?? this.id}" - video files cannot be used as particle textures and were skipped`
+			);
+		}
+
+		const textures = await Promise.all(
+			imageFiles.map((file) => SequencerFileCache.loadFile(file))
+		);
+		// Spritesheet atlases add every one of their frames to the pool
+		this._particleTextures = textures
+			.map((texture) => texture instanceof PIXI.Spritesheet ? Object.values(texture.textures) : texture)
+			.deepFlatten()
+			.filter(Boolean);
+	}
+
+	/**
+	 * Creates the container that this effect's particles are emitted into, and starts emitting them
+	 *
+	 * @private
+	 */
+	_createParticles() {
+		this._particleEmitter = null;
+		if (!this.data.particles || !this._particleTextures.length) return;
+
+		const container = new PIXI.Container();
+		container.id = this.id + "-particles";
+		container.filters = this.sprite.filters;
+		this.spriteContainer.addChild(container);
+
+		this._particleEmitter = {
+			container,
+			elapsed: this.actualCreationTime - this.creationTimestamp,
+			pending: 0,
+		};
+
+		this._addToTicker(this._updateParticles);
+	}
+
+	/**
+	 * Ages, moves, and removes this effect's particles, and emits new ones at the emitter's rate
+	 *
+	 * @private
+	 */
+	_updateParticles() {
+		if (this._paused || !this._particleEmitter) return;
+
+		const particles = this.data.particles;
+		const emitter = this._particleEmitter;
+		const deltaMs = this._ticker.deltaMS;
+		const seconds = deltaMs / 1000;
+		const gravityMultiplier = particles.gravity.gridUnits ? canvas.grid.size : 1;
+
+		emitter.elapsed += deltaMs;
+		emitter.container.alpha = this.sprite.alpha;
+
+		for (const particle of [...emitter.container.children]) {
+			particle.age += deltaMs;
+			if (particle.age >= particle.lifetime) {
+				particle.destroy();
+				continue;
+			}
+			particle.velocity.x += particles.gravity.x * gravityMultiplier * seconds;
+			particle.velocity.y += particles.gravity.y * gravityMultiplier * seconds;
+			particle.position.x += particle.velocity.x * seconds;
+			particle.position.y += particle.velocity.y * seconds;
+			this._applyParticleLife(particle);
+		}
+
+		if (this._isEnding || (particles.emitDuration && emitter.elapsed > particles.emitDuration)) {
+			return;
+		}
+
+		emitter.pending += lib.random_float_between(particles.rate.min, particles.rate.max, this._twister) * seconds;
+		while (emitter.pending >= 1) {
+			emitter.pending--;
+			if (emitter.container.children.length >= particles.maxParticles) continue;
+			this._emitParticle();
+		}
+	}
+
+	/**
+	 * Emits a single particle from the center of the effect
+	 *
+	 * @private
+	 */
+	_emitParticle() {
+		const particles = this.data.particles;
+		const texture = lib.random_array_element(this._particleTextures, { twister: this._twister });
+		const particle = this._particleEmitter.container.addChild(new PIXI.Sprite(texture));
+		particle.anchor.set(0.5);
+
+		const angle = -Math.toRadians(
+			particles.direction +
+			lib.random_float_between(-particles.spread / 2, particles.spread / 2, this._twister)
+		);
+		const speed = lib.random_float_between(particles.velocity.min, particles.velocity.max, this._twister) *
+			(particles.velocity.gridUnits ? canvas.grid.size : 1);
+
+		particle.velocity = { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed };
+		particle.lifetime = lib.random_float_between(particles.lifetime.min, particles.lifetime.max, this._twister);
+		particle.age = 0;
+
+		this._applyParticleLife(particle);
+	}
+
+	/**
+	 * Sets the scale, alpha, and tint of a particle based on how far along its lifetime it is
+	 *
+	 * @private
+	 */
+	_applyParticleLife(particle) {
+		const particles = this.data.particles;
+		const life = particle.age / particle.lifetime;
+		const scale = canvaslib.get_value_along_curve(particles.scale, life) * this.gridSizeDifference;
+		particle.scale.set(
+			scale * (this.data.scale?.x ?? 1.0),
+			scale * (this.data.scale?.y ?? 1.0)
+		);
+		particle.alpha = canvaslib.get_value_along_curve(particles.alpha, life);
+		particle.tint = particles.color
+			? canvaslib.get_value_along_curve(particles.color, life, true)
+			: this.data.tint ?? 0xffffff;
+	}
+
 	updateElevation() {
 		let targetElevation = Math.max(
 				canvaslib.get_object_elevation(this.source ?? {}),
@@ -2849,6 +3098,11 @@ export default class CanvasEffect extends PIXI.Container {
 
 			if (!animation.target) continue;
 
+			if (animation.keyframes) {
+				animationsToSend.push(this._convertKeyframes(animation));
+				continue;
+			}
+
 			if (animation.propertyName.indexOf("rotation") > -1) {
 				animation.from = animation.from * (Math.PI / 180);
 				animation.to = animation.to * (Math.PI / 180);
@@ -2885,6 +3139,11 @@ export default class CanvasEffect extends PIXI.Container {
 
 			if (!animation.target) continue;
 
+			if (animation.keyframes) {
+				animationsToSend.push(this._convertKeyframes(animation));
+				continue;
+			}
+
 			if (animation.propertyName.indexOf("rotation") > -1) {
 				animation.values = animation.values.map((angle) => {
 					return angle * (Math.PI / 180);
@@ -2926,6 +3185,27 @@ export default class CanvasEffect extends PIXI.Container {
 		}, 20);
 	}
 
+	/**
+	 * Converts the values of an animation compiled from keyframes into the units that the animation engine expects
+	 *
+	 * @param animation
+	 * @returns {object}
+	 * @private
+	 */
+	_convertKeyframes(animation) {
+		let multiplier = 1;
+		if (animation.propertyName.indexOf("rotation") > -1) {
+			multiplier = Math.PI / 180;
+		} else if (animation.gridUnits) {
+			multiplier = canvas.grid.size;
+		}
+		animation.keyframes = animation.keyframes.map((keyframe) => ({
+			...keyframe,
+			value: keyframe.value * multiplier,
+		}));
+		return animation;
+	}
+
 	_getFromEndCustomAnimations(immediate = false) {
 		let fromEndAnimations = [];
 
@@ -3322,6 +3602,11 @@ export default class CanvasEffect extends PIXI.Container {
 		)
 			return;
 
+		if (moves.arc) {
+			this._moveInArc(duration);
+			return duration + moves.delay;
+		}
+
 		SequencerAnimationEngine.addAnimation(this.id, [
 			{
 				target: this,
@@ -3346,16 +3631,160 @@ export default class CanvasEffect extends PIXI.Container {
 		return duration + moves.delay;
 	}
 
+	/**
+	 * Causes the effect to move towards its target in a parabolic arc, rotating along the arc if it rotates towards its
+	 * target, and scaling up towards the top of the arc if the arc has a scale
+	 *
+	 * @param {number} duration
+	 * @private
+	 */
+	_moveInArc(duration) {
+		const moves = this.data.moves;
+		const start = { x: this.sourcePosition.x, y: this.sourcePosition.y };
+		const end = { x: this.targetPosition.x, y: this.targetPosition.y };
+
+		let height = moves.arc.height;
+		if (height === null) {
+			height = moves.arc.gravity
+				? (moves.arc.gravity * Math.pow(duration / 1000, 2)) / 8
+				: canvaslib.distance_between(start, end) / 4;
+		}
+		const arcOffset = this._getArcOffset(height);
+
+		const baseScale = { x: this.spriteContainer.scale.x, y: this.spriteContainer.scale.y };
+		const arcProgress = { id: this.id + "-arc", progress: 0 };
+
+		const moveToProgress = () => {
+			const progress = arcProgress.progress;
+			const lift = 4 * progress * (1 - progress);
+			this.position.set(
+				start.x + (end.x - start.x) * progress + arcOffset.x * lift,
+				start.y + (end.y - start.y) * progress + arcOffset.y * lift
+			);
+			if (moves.rotate) {
+				const slope = 4 * (1 - 2 * progress);
+				const rotation = Math.atan2(
+					end.y - start.y + arcOffset.y * slope,
+					end.x - start.x + arcOffset.x * slope
+				);
+				this.rotationContainer.rotation = Math.normalizeRadians(
+					rotation +
+					(this.flipX === 1 ? 0 : Math.PI) +
+					Math.toRadians(this.data.rotateTowards?.rotationOffset ?? 0)
+				);
+				this._tweakRotationForIsometric();
+			}
+			if (moves.arc.scale !== 1) {
+				const scale = 1 + (moves.arc.scale - 1) * lift;
+				this.spriteContainer.scale.set(baseScale.x * scale, baseScale.y * scale);
+			}
+		};
+
+		moveToProgress();
+		this._addToTicker(moveToProgress);
+
+		SequencerAnimationEngine.addAnimation(this.id, {
+			target: arcProgress,
+			propertyName: "progress",
+			from: 0,
+			to: 1,
+			duration: duration,
+			ease: moves.ease,
+			delay: moves.delay,
+			absolute: true,
+		});
+	}
+
+	/**
+	 * Gets the direction and distance on the canvas that an arc of the given height rises towards. In isometric scenes,
+	 * up is towards the top right of the canvas, and the height is converted with the scene's projection.
+	 *
+	 * @param {number} height
+	 * @returns {{ x: number, y: number }}
+	 * @private
+	 */
+	_getArcOffset(height) {
+		if (!this.isIsometricActive) return { x: 0, y: -height };
+		const projection = foundry.utils.getProperty(
+			game.scenes.get(this.data.sceneId),
+			CONSTANTS.INTEGRATIONS.ISOMETRIC.PROJECTION_FLAG
+		);
+		const conversion =
+			projection === CONSTANTS.INTEGRATIONS.ISOMETRIC.PROJECTION_TYPES.DIAMETRIC
+				? CONSTANTS.INTEGRATIONS.ISOMETRIC.DIMETRIC_CONVERSION
+				: CONSTANTS.INTEGRATIONS.ISOMETRIC.ISOMETRIC_CONVERSION;
+		const offset = (height * conversion) / Math.SQRT2;
+		return { x: offset, y: -offset };
+	}
+
+	/**
+	 * Causes the effect to move along its path
+	 *
+	 * @returns {number}
+	 * @private
+	 */
+	_moveAlongPath() {
+		if (!this.data.movePath || !this.sprite) return 0;
+
+		const movePath = this.data.movePath;
+		const { length, distances } = canvaslib.get_path_distances(movePath.points);
+
+		const duration = movePath.speed
+			? (length / movePath.speed) * 1000
+			: this._totalDuration - movePath.delay;
+
+		const pathProgress = { id: this.id + "-path", progress: 0 };
+
+		const moveToProgress = () => {
+			const point = canvaslib.get_point_along_path(
+				movePath.points,
+				distances,
+				pathProgress.progress * length
+			);
+			this.position.set(point.x, point.y);
+			if (movePath.orientToPath) {
+				this.rotationContainer.rotation = point.rotation;
+				this._tweakRotationForIsometric();
+			}
+		};
+
+		moveToProgress();
+		this._addToTicker(moveToProgress);
+
+		SequencerAnimationEngine.addAnimation(
+			this.id,
+			{
+				target: pathProgress,
+				propertyName: "progress",
+				keyframes: [
+					{ at: 0, value: 0, ease: "linear" },
+					{ at: Math.max(duration, 0), value: 1, ease: movePath.ease },
+				],
+				duration: Math.max(duration, 0),
+				delay: movePath.delay,
+				ease: "linear",
+				looping: movePath.loop !== false,
+				loops: lib.is_real_number(movePath.loop) ? movePath.loop : undefined,
+				indefinite: movePath.loop === true,
+				pingPong: false,
+				absolute: true,
+			},
+			this.actualCreationTime - this.creationTimestamp
+		);
+
+		return duration + movePath.delay;
+	}
+
 	/**
 	 * If this effect is temporary, this sets the timeout for when the effect should resolve and get removed;
 	 *
 	 * @private
 	 */
 	_setEndTimeout() {
-		setTimeout(() => {
+		this._endTimeout = lib.pausable_timeout(() => {
 			this._resolve(this.data);
 			this.endEffect();
-		}, this._totalDuration);
+		}, Math.max(0, this._totalDuration - this._startOffset), this._paused);
 	}
 
 	_setupTimestampHook(offset) {
@@ -3392,7 +3821,9 @@ export default class CanvasEffect extends PIXI.Container {
 
 		if (!this.hasAnimatedMedia) return;
 
-		let creationTimeDifference = this.data.persist ? this.actualCreationTime - this.creationTimestamp : 0;
+		let creationTimeDifference = this.data.persist
+			? this.actualCreationTime - this.creationTimestamp
+			: this._startOffset;
 
 		this._currentLoops = Math.floor(creationTimeDifference / this._totalDuration);
 
@@ -3465,7 +3896,7 @@ export default class CanvasEffect extends PIXI.Container {
 			return;
 		}
 
-		this._resetTimeout = setTimeout(() => {
+		this._resetTimeout = lib.pausable_timeout(() => {
 			if (this._ended) return;
 			this._loopOffset = 0;
 			this._currentLoops++;
@@ -3476,7 +3907,7 @@ export default class CanvasEffect extends PIXI.Container {
 				return;
 			}
 			this._resetLoop(false);
-		}, loopWaitTime + this.loopDelay);
+		}, loopWaitTime + this.loopDelay, this._paused);
 	}
 }
 
@@ -3485,6 +3916,7 @@ class PersistentCanvasEffect extends CanvasEffect {
 	/** @OVERRIDE */
 	_playPresetAnimations() {
 		this._moveTowards();
+		this._moveAlongPath();
 		this._fadeIn();
 		this._scaleIn();
 		this._rotateIn();
@@ -0,0 +1,244 @@
+import * as lib from "../lib/lib.js";
+import SequencerAnimationEngine from "../modules/sequencer-animation-engine.js";
+
+/**
+ * The effect groups on the canvas, keyed by their name. As effects can only be sorted against the other objects on their
+ * own layer, a group has a container on each layer that its effects are on, which all share the group's transform.
+ */
+const groups = new Map();
+
+const DEFAULT_TRANSFORM = {
+	origin: null,
+	position: null,
+	rotation: 0,
+	scale: { x: 1, y: 1 },
+	alpha: 1,
+};
+
+/**
+ * A container that parents the effects of a group on a single layer, which is sorted on that layer as if it were the
+ * highest of its effects
+ */
+class EffectGroupContainer extends PIXI.Container {
+	constructor(inName) {
+		super();
+		this.id = "sequencer-group-" + inName + "-" + foundry.utils.randomID();
+		this.sortableChildren = true;
+	}
+
+	get effects() {
+		return this.children.filter((child) => !child.destroyed);
+	}
+
+	get elevation() {
+		return Math.max(0, ...this.effects.map((effect) => effect.elevation ?? 0));
+	}
+
+	get sortLayer() {
+		return Math.max(0, ...this.effects.map((effect) => effect.sortLayer ?? 0));
+	}
+
+	get sort() {
+		return Math.max(0, ...this.effects.map((effect) => effect.sort ?? 0));
+	}
+
+	// The effects sort this container when their sort changes, which can change where it belongs on its layer
+	sortChildren() {
+		super.sortChildren();
+		this.parent?.sortChildren();
+	}
+}
+
+const effectGroups = {
+	DEFAULT_TRANSFORM,
+
+	/**
+	 * Validates the transform of a group, which may only contain some of its properties
+	 *
+	 * @param {object} inTransform
+	 * @returns {object|string} The validated transform, or an error message
+	 */
+	validateTransform(inTransform) {
+		if (typeof inTransform !== "object" || inTransform === null) {
+			return "the transform must be of type object";
+		}
+		const transform = {};
+		for (const key of ["origin", "position"]) {
+			if (inTransform[key] === undefined) continue;
+			const point = inTransform[key];
+			if (
+				point !== null &&
+				!(lib.is_real_number(point?.x) && lib.is_real_number(point?.y))
+			) {
+				return `${key} must be an object with x and y numbers`;
+			}
+			transform[key] = point ? { x: point.x, y: point.y } : null;
+		}
+		if (inTransform.rotation !== undefined) {
+			if (!lib.is_real_number(inTransform.rotation)) {
+				return "rotation must be of type number";
+			}
+			transform.rotation = inTransform.rotation;
+		}
+		if (inTransform.scale !== undefined) {
+			const scale = lib.is_real_number(inTransform.scale)
+				? { x: inTransform.scale, y: inTransform.scale }
+				: inTransform.scale;
+			if (!(lib.is_real_number(scale?.x) && lib.is_real_number(scale?.y))) {
+				return "scale must be of type number, or an object with x and y numbers";
+			}
+			transform.scale = { x: scale.x, y: scale.y };
+		}
+		if (inTransform.alpha !== undefined) {
+			if (
+				!lib.is_real_number(inTransform.alpha) ||
+				inTransform.alpha < 0 ||
+				inTransform.alpha > 1
+			) {
+				return "alpha must be a number between 0 and 1";
+			}
+			transform.alpha = inTransform.alpha;
+		}
+		return transform;
+	},
+
+	/**
+	 * Gets the current transform of a group, or the transform stored on the given effect if the group is not on the canvas
+	 *
+	 * @param {string} inName
+	 * @param {CanvasEffect} inEffect
+	 * @returns {object}
+	 */
+	getTransform(inName, inEffect) {
+		const group = groups.get(inName);
+		if (group) return foundry.utils.deepClone(group.transform);
+		const { name, ...transform } = inEffect?.data?.group ?? {};
+		return foundry.utils.mergeObject(
+			foundry.utils.deepClone(DEFAULT_TRANSFORM),
+			transform,
+			{ inplace: false }
+		);
+	},
+
+	/**
+	 * Adds an effect to its group's container on the given layer, creating the group if it is the first of its effects.
+	 * Groups rotate and scale around their origin, which is the position of their first effect unless it has been set.
+	 *
+	 * @param {CanvasEffect} inEffect
+	 * @param {PIXI.Container} inLayer
+	 */
+	join(inEffect, inLayer) {
+		const name = inEffect.data.group.name;
+		let group = groups.get(name);
+		// The containers of a group are destroyed along with their layers when the canvas is torn down
+		if (group && Array.from(group.containers.values()).every((container) => container.destroyed)) {
+			group = null;
+		}
+		if (!group) {
+			const transform = this.getTransform(name, inEffect);
+			if (!transform.origin) {
+				const { x, y } = inEffect.getSourceData().position;
+				transform.origin = { x, y };
+			}
+			group = { name, transform, containers: new Map() };
+			groups.set(name, group);
+		}
+
+		let container = group.containers.get(inLayer);
+		if (!container || container.destroyed) {
+			container = new EffectGroupContainer(name);
+			apply_transform(container, group.transform);
+			group.containers.set(inLayer, container);
+			inLayer.addChild(container);
+		}
+
+		container.addChild(inEffect);
+		container.sortChildren();
+	},
+
+	/**
+	 * Removes an effect from its group, destroying the group's container once it has no effects left
+	 *
+	 * @param {CanvasEffect} inEffect
+	 */
+	leave(inEffect) {
+		const container = inEffect.parent;
+		if (!(container instanceof EffectGroupContainer)) return;
+		container.removeChild(inEffect);
+		if (container.effects.length) return;
+
+		const group = groups.get(inEffect.data.group?.name);
+		for (const [layer, groupContainer] of group?.containers ?? []) {
+			if (groupContainer === container) group.containers.delete(layer);
+		}
+		if (group && !group.containers.size) {
+			groups.delete(group.name);
+		}
+		SequencerAnimationEngine.endAnimations(container.id);
+		container.destroy();
+	},
+
+	/**
+	 * Transforms a group's containers, either immediately or by animating them over a duration
+	 *
+	 * @param {string} inName
+	 * @param {object} inTransform
+	 * @param {object} [inOptions] inOptions
+	 * @returns {Promise}
+	 */
+	transform(inName, inTransform, { duration = 0, ease = "linear" } = {}) {
+		const group = groups.get(inName);
+		if (!group) return Promise.resolve();
+		group.transform = foundry.utils.mergeObject(group.transform, inTransform, {
+			inplace: false,
+		});
+		group.transform.origin = inTransform.origin ?? group.transform.origin;
+
+		return Promise.all(
+			Array.from(group.containers.values()).map((container) => {
+				SequencerAnimationEngine.endAnimations(container.id);
+				if (!duration) {
+					apply_transform(container, group.transform);
+					return Promise.resolve();
+				}
+				const { origin, rotation, scale, alpha } = group.transform;
+				const position = group.transform.position ?? origin;
+				container.pivot.set(origin.x, origin.y);
+				return SequencerAnimationEngine.addAnimation(
+					container.id,
+					[
+						["position.x", position.x],
+						["position.y", position.y],
+						["angle", rotation],
+						["scale.x", scale.x],
+						["scale.y", scale.y],
+						["alpha", alpha],
+					].map(([propertyName, to]) => ({
+						target: container,
+						propertyName,
+						to,
+						duration,
+						ease,
+						delay: 0,
+						absolute: true,
+					}))
+				);
+			})
+		);
+	},
+};
+
+/**
+ * @private
+ */
+function apply_transform(inContainer, inTransform) {
+	const { origin, rotation, scale, alpha } = inTransform;
+	const position = inTransform.position ?? origin;
+	inContainer.pivot.set(origin.x, origin.y);
+	inContainer.position.set(position.x, position.y);
+	inContainer.angle = rotation;
+	inContainer.scale.set(scale.x, scale.y);
+	inContainer.alpha = alpha;
+}
+
+export default effectGroups;
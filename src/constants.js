@@ -23,6 +23,8 @@ const CONSTANTS = {
     COMPLETE: 2,
     SKIPPED: 3,
     ABORTED: 4,
+    PAUSED: 5,
+    FAILED: 6,
   },
 
 	PLACEMENT_RESTRICTIONS: {
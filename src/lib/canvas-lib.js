@@ -595,3 +595,471 @@ export function validateLoopingAnimation(inTarget, inPropertyName, inOptions) {
     gridUnits: inOptions?.gridUnits ?? false,
   };
 }
+
+/**
+ * The properties that can be given in keyframes, and the properties of the effect's sprite that they animate
+ */
+const KEYFRAME_PROPERTIES = {
+  x: ["position.x"],
+  y: ["position.y"],
+  scale: ["scale.x", "scale.y"],
+  rotation: ["rotation"],
+  alpha: ["alpha"],
+};
+
+/**
+ * Compiles a list of keyframes into one animation per animated property, each of which interpolates between the values
+ * of the keyframes that set that property
+ *
+ * @param {Array<Object>} inKeyframes
+ * @param {Object} inOptions
+ * @returns {string|Array<Object>} An error message, or the compiled animations
+ */
+export function validateKeyframes(inKeyframes, inOptions) {
+  if (!Array.isArray(inKeyframes) || !inKeyframes.length) {
+    return `inKeyframes must be an array containing at least one keyframe`;
+  }
+  if (
+    inOptions?.loop !== undefined &&
+    typeof inOptions.loop !== "boolean" &&
+    !(lib.is_real_number(inOptions.loop) && inOptions.loop > 0)
+  ) {
+    return `inOptions.loop must be of type boolean or a positive number`;
+  }
+  if (
+    inOptions?.pingPong !== undefined &&
+    typeof inOptions.pingPong !== "boolean"
+  ) {
+    return `inOptions.pingPong must be of type boolean`;
+  }
+  if (inOptions?.delay !== undefined && !lib.is_real_number(inOptions.delay)) {
+    return `inOptions.delay must be of type number`;
+  }
+  if (
+    inOptions?.gridUnits !== undefined &&
+    typeof inOptions.gridUnits !== "boolean"
+  ) {
+    return `inOptions.gridUnits must be of type boolean`;
+  }
+  const absolute = inOptions?.absolute ?? false;
+  if (
+    typeof absolute !== "boolean" &&
+    !(
+      Array.isArray(absolute) &&
+      absolute.every((property) => property in KEYFRAME_PROPERTIES)
+    )
+  ) {
+    return `inOptions.absolute must be of type boolean, or an array containing "${Object.keys(KEYFRAME_PROPERTIES).join('", "')}"`;
+  }
+
+  const tracks = {};
+  const keyframes = [...inKeyframes].sort((a, b) => a?.at - b?.at);
+  for (const keyframe of keyframes) {
+    if (typeof keyframe !== "object" || keyframe === null) {
+      return `each keyframe must be of type object`;
+    }
+    if (!lib.is_real_number(keyframe.at) || keyframe.at < 0) {
+      return `each keyframe's "at" must be a number of milliseconds that is 0 or higher`;
+    }
+    if (keyframe.ease !== undefined && typeof keyframe.ease !== "string") {
+      return `each keyframe's "ease" must be of type string`;
+    }
+    for (const [key, value] of Object.entries(keyframe)) {
+      if (key === "at" || key === "ease") continue;
+      if (!(key in KEYFRAME_PROPERTIES)) {
+        return `"${key}" is not a property that can be given in keyframes, valid properties are "${Object.keys(KEYFRAME_PROPERTIES).join('", "')}"`;
+      }
+      const values =
+        key === "scale" && typeof value === "object" && value !== null
+          ? [value.x, value.y]
+          : KEYFRAME_PROPERTIES[key].map(() => value);
+      if (!values.every((entry) => lib.is_real_number(entry))) {
+        return key === "scale"
+          ? `each keyframe's "scale" must be of type number or an object with x and y numbers`
+          : `each keyframe's "${key}" must be of type number`;
+      }
+      KEYFRAME_PROPERTIES[key].forEach((propertyName, index) => {
+        if (!tracks[propertyName]) tracks[propertyName] = { key, keyframes: [] };
+        tracks[propertyName].keyframes.push({
+          at: keyframe.at,
+          value: values[index],
+          ease: keyframe.ease ?? "linear",
+        });
+      });
+    }
+  }
+
+  if (!Object.keys(tracks).length) {
+    return `the keyframes must set at least one of "${Object.keys(KEYFRAME_PROPERTIES).join('", "')}"`;
+  }
+
+  const length = keyframes[keyframes.length - 1].at;
+  const pingPong = inOptions?.pingPong ?? false;
+  const loop = inOptions?.loop ?? false;
+
+  return Object.entries(tracks).map(([propertyName, track]) => ({
+    target: "sprite",
+    propertyName,
+    keyframes: track.keyframes,
+    duration: pingPong ? length * 2 : length,
+    delay: inOptions?.delay ?? 0,
+    ease: "linear",
+    looping: loop !== false,
+    loops: lib.is_real_number(loop) ? loop : undefined,
+    indefinite: loop === true,
+    pingPong,
+    fromEnd: false,
+    gridUnits:
+      (inOptions?.gridUnits ?? false) &&
+      ["position.x", "position.y"].includes(propertyName),
+    absolute: Array.isArray(absolute)
+      ? absolute.includes(track.key)
+      : absolute,
+  }));
+}
+
+const PATH_CURVES = ["linear", "catmullRom", "bezier"];
+
+/**
+ * Turns a list of points, a Drawing, or a spline into a list of points along the path, close enough to each other that
+ * an effect can move between them in straight lines
+ *
+ * @param {Array|Drawing|object} inPath
+ * @param {object} inOptions
+ * @returns {string|{ points: Array<{ x: number, y: number }>, closed: boolean }} An error message, or the path's points
+ */
+export function validatePath(inPath, inOptions = {}) {
+  let points;
+  let curve = inOptions.curve;
+  let closed = inOptions.closed;
+  let tension = inOptions.tension;
+
+  const drawing = inPath?.document ?? inPath;
+  if (drawing instanceof DrawingDocument) {
+    const drawingPath = get_drawing_path(drawing);
+    if (!drawingPath) {
+      return `could not determine a path from the given Drawing`;
+    }
+    points = drawingPath.points;
+    curve ??= drawingPath.curve;
+    closed ??= drawingPath.closed;
+  } else if (Array.isArray(inPath)) {
+    points = inPath;
+  } else if (Array.isArray(inPath?.points)) {
+    points = inPath.points;
+    curve ??= inPath.curve;
+    closed ??= inPath.closed;
+    tension ??= inPath.tension;
+  } else {
+    return `inPath must be an array of points, a Drawing, or an object with an array of points`;
+  }
+
+  curve ??= "catmullRom";
+  closed ??= false;
+  tension ??= 0.5;
+
+  if (!PATH_CURVES.includes(curve)) {
+    return `the path's curve must be one of "${PATH_CURVES.join('", "')}"`;
+  }
+  if (typeof closed !== "boolean") {
+    return `the path's closed must be of type boolean`;
+  }
+  if (!lib.is_real_number(tension)) {
+    return `the path's tension must be of type number`;
+  }
+
+  points = points.map((point) => {
+    if (Array.isArray(point)) return { x: point[0], y: point[1] };
+    if (lib.is_real_number(point?.x) && lib.is_real_number(point?.y)) {
+      return { x: point.x, y: point.y };
+    }
+    return point ? get_object_position(point) : {};
+  });
+
+  if (
+    !points.every(
+      (point) => lib.is_real_number(point.x) && lib.is_real_number(point.y)
+    )
+  ) {
+    return `each point in the path must be an object with x and y, an array of [x, y], or a placeable object`;
+  }
+  if (points.length < 2) {
+    return `the path must contain at least two points`;
+  }
+  if (
+    curve === "bezier" &&
+    (closed ? points.length % 3 !== 0 : (points.length - 1) % 3 !== 0)
+  ) {
+    return `a bezier path must consist of a starting point, followed by two control points and an end point for each curve`;
+  }
+
+  return {
+    points: sample_path(points, curve, closed, tension),
+    closed,
+  };
+}
+
+/**
+ * Gets the points of a Drawing in canvas coordinates, and the curve that best fits how it is drawn
+ *
+ * @param {DrawingDocument} inDrawing
+ * @returns {boolean|{ points: Array<{ x: number, y: number }>, curve: string, closed: boolean }}
+ */
+function get_drawing_path(inDrawing) {
+  const { shape, x, y, rotation, bezierFactor } = inDrawing;
+  const width = shape.width ?? 0;
+  const height = shape.height ?? 0;
+
+  let points;
+  let curve = "linear";
+  let closed = true;
+  if (shape.type === CONST.DRAWING_TYPES.RECTANGLE) {
+    points = [
+      { x: 0, y: 0 },
+      { x: width, y: 0 },
+      { x: width, y: height },
+      { x: 0, y: height },
+    ];
+  } else if (shape.type === CONST.DRAWING_TYPES.ELLIPSE) {
+    const segments = 64;
+    points = Array.from({ length: segments }, (_, index) => {
+      const angle = (index / segments) * Math.PI * 2;
+      return {
+        x: width / 2 + (Math.cos(angle) * width) / 2,
+        y: height / 2 + (Math.sin(angle) * height) / 2,
+      };
+    });
+  } else if (shape.points?.length >= 4) {
+    points = [];
+    for (let index = 0; index < shape.points.length - 1; index += 2) {
+      points.push({ x: shape.points[index], y: shape.points[index + 1] });
+    }
+    const first = points[0];
+    const last = points[points.length - 1];
+    closed = points.length > 2 && first.x === last.x && first.y === last.y;
+    if (closed) points.pop();
+    if (shape.type === CONST.DRAWING_TYPES.FREEHAND || bezierFactor) {
+      curve = "catmullRom";
+    }
+  } else {
+    return false;
+  }
+
+  const radians = Math.toRadians(rotation ?? 0);
+  return {
+    points: points.map((point) => {
+      const [rotatedX, rotatedY] = rotate_coordinate(
+        { x: width / 2, y: height / 2 },
+        point,
+        -radians
+      );
+      return { x: x + rotatedX, y: y + rotatedY };
+    }),
+    curve,
+    closed,
+  };
+}
+
+/**
+ * Samples points along a curve, returning the points as a closed loop if the curve is closed
+ *
+ * @param {Array<{ x: number, y: number }>} inPoints
+ * @param {string} inCurve
+ * @param {boolean} inClosed
+ * @param {number} inTension
+ * @returns {Array<{ x: number, y: number }>}
+ */
+function sample_path(inPoints, inCurve, inClosed, inTension) {
+  const points = [...inPoints];
+  const getPoint = (index) =>
+    inClosed
+      ? points[(index + points.length) % points.length]
+      : points[lib.clamp(index, 0, points.length - 1)];
+
+  const sampled = [{ ...points[0] }];
+  const addSamples = (segmentLength, func) => {
+    const samples = lib.clamp(Math.ceil(segmentLength / 8), 4, 64);
+    for (let sample = 1; sample <= samples; sample++) {
+      sampled.push(func(sample / samples));
+    }
+  };
+
+  if (inCurve === "bezier") {
+    const curves = inClosed ? points.length / 3 : (points.length - 1) / 3;
+    for (let index = 0; index < curves; index++) {
+      const [p0, p1, p2, p3] = [0, 1, 2, 3].map((offset) =>
+        getPoint(index * 3 + offset)
+      );
+      addSamples(
+        distance_between(p0, p1) +
+        distance_between(p1, p2) +
+        distance_between(p2, p3),
+        (t) => {
+          const u = 1 - t;
+          return {
+            x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+            y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y,
+          };
+        }
+      );
+    }
+    return sampled;
+  }
+
+  const segments = inClosed ? points.length : points.length - 1;
+  for (let index = 0; index < segments; index++) {
+    const p1 = getPoint(index);
+    const p2 = getPoint(index + 1);
+    if (inCurve === "linear") {
+      sampled.push({ ...p2 });
+      continue;
+    }
+    const p0 = getPoint(index - 1);
+    const p3 = getPoint(index + 2);
+    const m1 = { x: (p2.x - p0.x) * inTension, y: (p2.y - p0.y) * inTension };
+    const m2 = { x: (p3.x - p1.x) * inTension, y: (p3.y - p1.y) * inTension };
+    addSamples(distance_between(p1, p2), (t) => {
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const h1 = 2 * t3 - 3 * t2 + 1;
+      const h2 = t3 - 2 * t2 + t;
+      const h3 = -2 * t3 + 3 * t2;
+      const h4 = t3 - t2;
+      return {
+        x: h1 * p1.x + h2 * m1.x + h3 * p2.x + h4 * m2.x,
+        y: h1 * p1.y + h2 * m1.y + h3 * p2.y + h4 * m2.y,
+      };
+    });
+  }
+  return sampled;
+}
+
+/**
+ * Gets the total length of a path, and the distance along the path at which each of its points is reached
+ *
+ * @param {Array<{ x: number, y: number }>} inPoints
+ * @returns {{ length: number, distances: Array<number> }}
+ */
+export function get_path_distances(inPoints) {
+  const distances = [0];
+  for (let index = 1; index < inPoints.length; index++) {
+    distances.push(
+      distances[index - 1] +
+      Math.hypot(
+        inPoints[index].x - inPoints[index - 1].x,
+        inPoints[index].y - inPoints[index - 1].y
+      )
+    );
+  }
+  return { length: distances[distances.length - 1], distances };
+}
+
+/**
+ * Gets the position and direction at a given distance along a path
+ *
+ * @param {Array<{ x: number, y: number }>} inPoints
+ * @param {Array<number>} inDistances
+ * @param {number} inDistance
+ * @returns {{ x: number, y: number, rotation: number }} The position, and the direction of the path in radians
+ */
+export function get_point_along_path(inPoints, inDistances, inDistance) {
+  let index = inDistances.findIndex((distance) => distance >= inDistance);
+  if (index === -1) index = inPoints.length - 1;
+  index = Math.max(index, 1);
+  const previous = inPoints[index - 1];
+  const next = inPoints[index];
+  const segmentLength = inDistances[index] - inDistances[index - 1];
+  const t = segmentLength
+    ? lib.clamp((inDistance - inDistances[index - 1]) / segmentLength, 0, 1)
+    : 1;
+  return {
+    x: previous.x + (next.x - previous.x) * t,
+    y: previous.y + (next.y - previous.y) * t,
+    rotation: Math.atan2(next.y - previous.y, next.x - previous.x),
+  };
+}
+
+/**
+ * Gets how long an effect takes to move along its path at the path's speed, including each of its loops
+ *
+ * @param {object} inMovePath
+ * @returns {number}
+ */
+export function get_path_duration(inMovePath) {
+  if (!inMovePath?.speed) return 0;
+  const { length } = get_path_distances(inMovePath.points);
+  const loops = lib.is_real_number(inMovePath.loop) ? inMovePath.loop : 1;
+  return (length / inMovePath.speed) * 1000 * loops + (inMovePath.delay ?? 0);
+}
+
+/**
+ * Turns a list of values into a curve that can be sampled over the lifetime of a particle. The values can either be
+ * spread out evenly over the lifetime, or be given as points with an "at" between 0 and 1, and an optional ease.
+ *
+ * @param {Array<number|string|object>} inCurve
+ * @param {object} [inOptions] inOptions
+ * @param {boolean} [inOptions.color=false] Whether the values are colors
+ * @returns {string|Array<{ at: number, value: number, ease: string }>} An error message, or the curve's points
+ */
+export function validateCurve(inCurve, { color = false } = {}) {
+  if (!Array.isArray(inCurve)) inCurve = [inCurve];
+  if (!inCurve.length) {
+    return `the curve must contain at least one value`;
+  }
+  const points = [];
+  for (const [index, entry] of inCurve.entries()) {
+    const isPoint =
+      typeof entry === "object" && entry !== null && "value" in entry;
+    const at = isPoint
+      ? entry.at
+      : inCurve.length > 1
+        ? index / (inCurve.length - 1)
+        : 0;
+    if (!lib.is_real_number(at) || at < 0 || at > 1) {
+      return `each point's "at" must be a number between 0 and 1`;
+    }
+    if (isPoint && entry.ease !== undefined && typeof entry.ease !== "string") {
+      return `each point's "ease" must be of type string`;
+    }
+    let value = isPoint ? entry.value : entry;
+    if (color) {
+      value = lib.parseColor(value).decimal;
+      if (!lib.is_real_number(value)) {
+        return `each value must be a hexadecimal string or a number`;
+      }
+    } else if (!lib.is_real_number(value)) {
+      return `each value must be of type number`;
+    }
+    points.push({ at, value, ease: (isPoint && entry.ease) || "linear" });
+  }
+  return points.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Gets the value of a curve at a point between 0 and 1, interpolating colors by their red, green, and blue channels
+ *
+ * @param {Array<{ at: number, value: number, ease: string }>} inCurve
+ * @param {number} inT
+ * @param {boolean} [inColor=false] inColor
+ * @returns {number}
+ */
+export function get_value_along_curve(inCurve, inT, inColor = false) {
+  const index = inCurve.findIndex((point) => point.at > inT);
+  if (index === -1) return inCurve[inCurve.length - 1].value;
+  if (index === 0) return inCurve[0].value;
+  const previous = inCurve[index - 1];
+  const next = inCurve[index];
+  const t = (inT - previous.at) / (next.at - previous.at);
+  if (!inColor) {
+    return lib.interpolate(previous.value, next.value, t, next.ease);
+  }
+  return [16, 8, 0].reduce((color, shift) => {
+    const channel = lib.interpolate(
+      (previous.value >> shift) & 0xff,
+      (next.value >> shift) & 0xff,
+      t,
+      next.ease
+    );
+    return color + (Math.round(channel) << shift);
+  }, 0);
+}
@@ -139,6 +139,37 @@ export function random_array_element(
   return choice;
 }
 
+/**
+ *  Returns a random element in the given array, where the chance of each element being picked is its weight divided
+ *  by the total weight of all of the elements
+ *
+ * @param  {array}   inArray                    An array
+ * @param  {array<number>} inWeights            The weight of each element in the array
+ * @param  {boolean|MersenneTwister} twister    The twister to generate the random results from
+ * @param  {boolean} index                      Whether to return the chosen index instead
+ * @return {object}                             A random element from the array
+ */
+export function random_weighted_array_element(
+  inArray,
+  inWeights,
+  { twister = false, index = false } = {}
+) {
+  const totalWeight = inWeights.reduce((acc, weight) => acc + weight, 0);
+  let roll = random_float_between(0, totalWeight, twister);
+  let chosenIndex = inArray.length - 1;
+  for (let i = 0; i < inArray.length; i++) {
+    roll -= inWeights[i];
+    if (roll < 0) {
+      chosenIndex = i;
+      break;
+    }
+  }
+  if (index) {
+    return chosenIndex;
+  }
+  return inArray[chosenIndex];
+}
+
 /**
  *  Returns a random element in the given object
  *
@@ -249,6 +280,61 @@ export function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ *  Creates a timeout that, unlike setTimeout, can be paused, resumed, and skipped ahead
+ *
+ * @param  {function}   callback    The function to call once the timeout has elapsed
+ * @param  {number}     ms          Milliseconds to wait
+ * @param  {boolean}    paused      Whether the timeout should start out paused
+ * @return {object}                 An object with pause, resume, advance, and clear methods
+ */
+export function pausable_timeout(callback, ms, paused = false) {
+  let remaining = Math.max(0, ms);
+  let startedAt = 0;
+  let timeout = null;
+  let done = false;
+
+  const start = () => {
+    startedAt = performance.now();
+    timeout = setTimeout(() => {
+      done = true;
+      callback();
+    }, remaining);
+  };
+
+  const handle = {
+    get paused() {
+      return !done && timeout === null;
+    },
+    pause() {
+      if (done || timeout === null) return;
+      clearTimeout(timeout);
+      timeout = null;
+      remaining = Math.max(0, remaining - (performance.now() - startedAt));
+    },
+    resume() {
+      if (done || timeout !== null) return;
+      start();
+    },
+    advance(ms) {
+      if (done) return;
+      const wasRunning = timeout !== null;
+      handle.pause();
+      remaining = Math.max(0, remaining - ms);
+      if (wasRunning) start();
+    },
+    clear() {
+      clearTimeout(timeout);
+      timeout = null;
+      done = true;
+    },
+  };
+
+  if (!paused) start();
+
+  return handle;
+}
+
 /**
  *  Clamps a value between two numbers
  *
@@ -419,6 +505,18 @@ export function custom_error(inClassName, error, notify = true) {
   return new Error(error.replace("<br>", "\n"));
 }
 
+/**
+ * Turns one of the statuses in CONSTANTS.STATUS into its lowercase name, such as "complete" or "failed"
+ *
+ * @param {number} inStatus
+ * @returns {string}
+ */
+export function get_status_name(inStatus) {
+  return Object.keys(CONSTANTS.STATUS)
+    .find((key) => CONSTANTS.STATUS[key] === inStatus)
+    ?.toLowerCase();
+}
+
 export function user_can_do(inSetting) {
   return game.user.role > game.settings.get(CONSTANTS.MODULE_NAME, inSetting);
 }
@@ -555,3 +653,61 @@ export function createMersenneTwister(seed){
 	const twister = foundry?.dice?.MersenneTwister ?? MersenneTwister;
 	return new twister(seed);
 }
+
+const IMAGE_SEQUENCE_REGEX = /\{(\d+)\.\.(\d+)\}/;
+
+/**
+ *  Determines whether a file path is a numbered image sequence, such as "path/frame_{000..095}.webp"
+ *
+ * @param  {string}   inFile
+ * @return {boolean}
+ */
+export function is_image_sequence(inFile) {
+  return typeof inFile === "string" && IMAGE_SEQUENCE_REGEX.test(inFile);
+}
+
+/**
+ *  Expands a numbered image sequence into the file path of each of its frames, padding the frame numbers with zeroes
+ *  to the length of the first number of the sequence
+ *
+ * @param  {string}   inFile
+ * @return {array<string>}
+ */
+export function get_image_sequence_files(inFile) {
+  const [match, start, end] = inFile.match(IMAGE_SEQUENCE_REGEX);
+  const step = Number(end) >= Number(start) ? 1 : -1;
+  const files = [];
+  for (let frame = Number(start); frame !== Number(end) + step; frame += step) {
+    files.push(
+      inFile.replace(match, String(frame).padStart(start.length, "0"))
+    );
+  }
+  return files;
+}
+
+/**
+ *  Determines whether a file path is a spritesheet, which is either a spritesheet JSON atlas or a numbered image
+ *  sequence
+ *
+ * @param  {string}   inFile
+ * @return {boolean}
+ */
+export function is_spritesheet_file(inFile) {
+  return (
+    typeof inFile === "string" &&
+    (inFile.toLowerCase().endsWith(".json") || is_image_sequence(inFile))
+  );
+}
+
+/**
+ *  Determines whether a file path is an image format that may contain an animation, which are GIF and APNG files
+ *
+ * @param  {string}   inFile
+ * @return {boolean}
+ */
+export function may_be_animated_image(inFile) {
+  return (
+    typeof inFile === "string" &&
+    /\.(gif|apng|png)$/i.test(inFile.split("?")[0])
+  );
+}
@@ -21,6 +21,12 @@ import Section from "./sections/section.js";
 import * as lib from "./lib/lib.js";
 import { SequencerAboveUILayer } from "./canvas-effects/effects-layer.js";
 import SequencerPresets from "./modules/sequencer-presets.js";
+import SequencerConditions from "./modules/sequencer-conditions.js";
+import SequencerMiddleware from "./modules/sequencer-middleware.js";
+import SequencerFunctions from "./modules/sequencer-functions.js";
+import SequencerLibrary from "./modules/sequencer-library.js";
+import SequencerClock from "./modules/sequencer-clock.js";
+import sequenceSchema from "./utils/sequence-schema.js";
 import registerLibwrappers from "./libwrapper.js";
 import { DatabaseViewerApp } from "./formapplications/database/database-viewer-app.js";
 import CONSTANTS from "./constants.js";
@@ -71,6 +77,9 @@ Hooks.once("ready", async function() {
   }
 
   SequencerFoundryReplicator.registerHooks();
+  SequencerLibrary.registerHooks();
+  SequencerPresets.registerHooks();
+  SequencerClock.registerHooks();
   InteractionManager.initialize();
 });
 
@@ -112,6 +121,12 @@ function initializeModule() {
   window.Sequencer = {
     Player: EffectPlayer,
     Presets: SequencerPresets,
+    Conditions: SequencerConditions,
+    Middleware: SequencerMiddleware,
+    Functions: SequencerFunctions,
+    Library: SequencerLibrary,
+    Clock: SequencerClock,
+    SequenceSchema: sequenceSchema,
     Database: SequencerDatabase,
     DatabaseViewer: DatabaseViewerApp,
     Preloader: SequencerPreloader,
@@ -131,6 +146,7 @@ function initializeModule() {
       random_int_between: lib.random_int_between,
       shuffle_array: lib.shuffle_array,
       random_array_element: lib.random_array_element,
+      random_weighted_array_element: lib.random_weighted_array_element,
       random_object_element: lib.random_object_element,
       make_array_unique: lib.make_array_unique,
     },
@@ -32,7 +32,7 @@ const SequencerAnimationEngine = {
 					attribute.duration = attribute.duration ?? 0;
 					attribute.durationDone = timeDifference ?? 0;
 
-					if (attribute?.looping) {
+					if (attribute?.looping && !attribute.keyframes) {
 						attribute.loopDuration = attribute.loopDuration ?? attribute.duration ?? 0;
 						attribute.loopDurationDone = timeDifference % attribute.loopDuration ?? 0;
 						attribute.loops = attribute.loops ?? 0;
@@ -50,6 +50,8 @@ const SequencerAnimationEngine = {
 					return attribute;
 				}),
 				complete: false,
+				paused: false,
+				skippedMS: 0,
 				totalDt: timeDifference,
 				resolve: resolve,
 			});
@@ -74,6 +76,18 @@ const SequencerAnimationEngine = {
 		);
 	},
 
+	setAnimationsPaused(target, paused) {
+		this._animations
+			.filter((animation) => animation.origin === target)
+			.forEach((animation) => (animation.paused = paused));
+	},
+
+	advanceAnimations(target, ms) {
+		this._animations
+			.filter((animation) => animation.origin === target)
+			.forEach((animation) => (animation.skippedMS += ms));
+	},
+
 	updateStartValues(target, propertyName) {
 		const targetId = lib.get_object_identifier(target) + "-" + propertyName;
 		if (targetId in this._coreValues) {
@@ -114,7 +128,10 @@ const SequencerAnimationEngine = {
 	_storedValues: {},
 
 	_animate(animation) {
-		animation.totalDt += this.ticker.elapsedMS;
+		// Paused animations still apply their current values, they just don't progress unless skipped ahead
+		this.dt = (animation.paused ? 0 : this.ticker.deltaMS) + animation.skippedMS;
+		animation.totalDt += (animation.paused ? 0 : this.ticker.elapsedMS) + animation.skippedMS;
+		animation.skippedMS = 0;
 
 		animation.attributes.filter((attribute) => {
 			return !attribute.complete && animation.totalDt >= attribute.delay;
@@ -153,7 +170,9 @@ const SequencerAnimationEngine = {
 			};
 		}
 
-		if (attribute?.looping && attribute?.indefinite) {
+		if (attribute?.keyframes) {
+			this._handleKeyframes(attribute);
+		} else if (attribute?.looping && attribute?.indefinite) {
 			this._handleIndefiniteLoop(attribute);
 		} else if (attribute?.looping) {
 			this._handleLoops(attribute);
@@ -186,7 +205,7 @@ const SequencerAnimationEngine = {
 			attribute.initialized = true;
 		}
 
-		attribute.loopDurationDone += this.ticker.deltaMS;
+		attribute.loopDurationDone += this.dt;
 		attribute.progress = attribute.loopDurationDone / attribute.loopDuration;
 
 		attribute.value = lib.interpolate(
@@ -225,7 +244,7 @@ const SequencerAnimationEngine = {
 	_handleLoops(attribute) {
 		this._handleBaseLoop(attribute);
 
-		attribute.durationDone += this.ticker.deltaMS;
+		attribute.durationDone += this.dt;
 		attribute.overallProgress = attribute.durationDone / attribute.duration;
 
 		if (
@@ -241,6 +260,62 @@ const SequencerAnimationEngine = {
 		}
 	},
 
+	_handleKeyframes(attribute) {
+		if (!attribute.initialized) {
+			if (attribute.keyframes[0].at > 0) {
+				attribute.keyframes.unshift({
+					at: 0,
+					value: attribute.absolute
+						? this._coreValues[attribute.targetId].value
+						: attribute.isFunkyProperty ? 1.0 : 0.0,
+					ease: "linear",
+				});
+			}
+			attribute.initialized = true;
+		}
+
+		attribute.durationDone += this.dt;
+
+		const keyframes = attribute.keyframes;
+		const cycleDuration = attribute.duration;
+		const finalValue = attribute.pingPong
+			? keyframes[0].value
+			: keyframes[keyframes.length - 1].value;
+
+		if (
+			!cycleDuration ||
+			(!attribute.looping && attribute.durationDone >= cycleDuration) ||
+			(attribute.looping &&
+				!attribute.indefinite &&
+				attribute.durationDone >= cycleDuration * attribute.loops)
+		) {
+			attribute.value = finalValue;
+			attribute.finishing = true;
+			return;
+		}
+
+		let time = attribute.durationDone % cycleDuration;
+		if (attribute.pingPong && time > cycleDuration / 2) {
+			time = cycleDuration - time;
+		}
+
+		let index = keyframes.findIndex((keyframe) => keyframe.at > time);
+		if (index === -1) {
+			attribute.value = keyframes[keyframes.length - 1].value;
+			return;
+		}
+		const previous = keyframes[Math.max(index - 1, 0)];
+		const next = keyframes[index];
+		const segmentDuration = next.at - previous.at;
+
+		attribute.value = lib.interpolate(
+			previous.value,
+			next.value,
+			segmentDuration ? lib.clamp((time - previous.at) / segmentDuration, 0.0, 1.0) : 1.0,
+			next.ease
+		);
+	},
+
 	_handleDefault(attribute) {
 		if (!attribute.initialized) {
 			if (attribute.from === undefined) {
@@ -249,7 +324,7 @@ const SequencerAnimationEngine = {
 			attribute.initialized = true;
 		}
 
-		attribute.durationDone += this.ticker.deltaMS;
+		attribute.durationDone += this.dt;
 		attribute.progress = attribute.durationDone / attribute.duration;
 
 		attribute.value = lib.interpolate(
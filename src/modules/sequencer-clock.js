@@ -0,0 +1,116 @@
+import * as lib from "../lib/lib.js";
+import { sequencerSocket, SOCKET_HANDLERS } from "../sockets.js";
+
+const SAMPLE_COUNT = 5;
+const SYNC_INTERVAL = 300000;
+
+let clockOffset = 0;
+let clockLatency = 0;
+
+export default class SequencerClock {
+  /**
+   * The estimated difference in milliseconds between this client's clock and the shared clock, which is the clock of
+   * the active GM
+   *
+   * @returns {number}
+   */
+  static get offset() {
+    return clockOffset;
+  }
+
+  /**
+   * The estimated one-way latency in milliseconds between this client and the active GM
+   *
+   * @returns {number}
+   */
+  static get latency() {
+    return clockLatency;
+  }
+
+  /**
+   * The current time on the shared clock, in milliseconds since the epoch
+   *
+   * @returns {number}
+   */
+  static now() {
+    return Date.now() + clockOffset;
+  }
+
+  /**
+   * Converts a time on the shared clock to the same point in time on this client's clock
+   *
+   * @param {number} inTime
+   * @returns {number}
+   */
+  static toLocalTime(inTime) {
+    return inTime - clockOffset;
+  }
+
+  /**
+   * Waits until the shared clock has reached the given time, and resolves to how many milliseconds past it the shared
+   * clock already was, if any
+   *
+   * @param {number} inTime
+   * @returns {Promise<number>}
+   */
+  static async waitUntil(inTime) {
+    const delay = inTime - this.now();
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    return Math.max(0, this.now() - inTime);
+  }
+
+  static registerHooks() {
+    this.sync();
+    setInterval(() => this.sync(), SYNC_INTERVAL);
+    Hooks.on("userConnected", (user, connected) => {
+      if (user.isGM && connected) this.sync();
+    });
+  }
+
+  /**
+   * Estimates the offset between this client's clock and the active GM's clock, by asking the GM for their time a few
+   * times and keeping the estimate with the shortest round trip
+   *
+   * @returns {Promise<number>}
+   */
+  static async sync() {
+    const activeGM = game.users.activeGM;
+    if (!activeGM || activeGM.isSelf) {
+      clockOffset = 0;
+      clockLatency = 0;
+      return clockOffset;
+    }
+
+    let bestSample = null;
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+      const sentAt = Date.now();
+      let remoteTime;
+      try {
+        remoteTime = await sequencerSocket.executeAsGM(
+          SOCKET_HANDLERS.GET_CLOCK_TIME
+        );
+      } catch (err) {
+        lib.debug("Clock | Failed to reach the active GM", err);
+        return clockOffset;
+      }
+      const receivedAt = Date.now();
+      const roundTrip = receivedAt - sentAt;
+      if (bestSample && bestSample.roundTrip <= roundTrip) continue;
+      bestSample = {
+        roundTrip,
+        offset: remoteTime + roundTrip / 2 - receivedAt,
+      };
+    }
+
+    clockOffset = bestSample.offset;
+    clockLatency = bestSample.roundTrip / 2;
+    lib.debug(
+      `Clock | Synchronized with an offset of ${Math.round(
+        clockOffset
+      )}ms and a latency of ${Math.round(clockLatency)}ms`
+    );
+    return clockOffset;
+  }
+}
@@ -0,0 +1,11 @@
+import SequencerFunctions from "./sequencer-functions.js";
+
+/**
+ * Named conditions that pick which sequence .branch() plays and when .loop() stops, which are kept apart from the
+ * functions used by .thenDo()
+ */
+export default class SequencerConditions extends SequencerFunctions {
+  static niceName = "Condition";
+
+  static _registry = new Map();
+}
@@ -4,7 +4,9 @@ import * as lib from "../lib/lib.js";
 import flagManager from "../utils/flag-manager.js";
 import CONSTANTS from "../constants.js";
 import SequenceManager from "./sequence-manager.js";
+import SequencerClock from "./sequencer-clock.js";
 import { EffectsUIApp } from "../formapplications/effects-ui/effects-ui-app.js";
+import effectGroups from "../canvas-effects/effect-groups.js";
 
 const PositionContainer = new Map();
 const TemporaryPositionsContainer = new Map();
@@ -60,6 +62,7 @@ export default class SequencerEffectManager {
    *                             - object: An ID or a PlaceableObject
    *                             - name: The name of the effect
    *                             - sceneId: the ID of the scene to search within
+   *                             - group: the name of the group of the effect
    * @returns {Array} An array containing effects that match the given filter
    */
   static getEffects(inFilter = {}) {
@@ -80,6 +83,7 @@ export default class SequencerEffectManager {
    *                             - name: The name of the effect
    *                             - sceneId: the ID of the scene to search within
    *                             - effects: a single CanvasEffect or its ID, or an array of such
+   *                             - group: the name of the group of the effect
    * @param {object} inUpdates
    * @returns {promise}
    */
@@ -102,6 +106,90 @@ export default class SequencerEffectManager {
     );
   }
 
+  /**
+   * Moves, rotates, scales, or fades a group of effects as a whole, either immediately or over a duration. The new
+   * transform is stored on persistent effects in the group, so that the group is restored with it.
+   *
+   * @param {string} inName The name of the group
+   * @param {object} inUpdates An object containing the group's new origin, position, rotation, scale, and/or alpha
+   * @param {object} [inOptions] inOptions
+   * @param {number} [inOptions.duration=0] How long the group is animated over in milliseconds
+   * @param {string} [inOptions.ease="linear"] The easing of the animation
+   * @param {string} [inOptions.sceneId] The ID of the scene that the group is on, defaults to the current scene
+   * @returns {promise}
+   */
+  static async updateGroup(
+    inName,
+    inUpdates,
+    { duration = 0, ease = "linear", sceneId = game.user.viewedScene } = {}
+  ) {
+    if (typeof inName !== "string" || !inName)
+      throw lib.custom_error(
+        "Sequencer",
+        "EffectManager | updateGroup | inName must be of type string"
+      );
+    const updates = effectGroups.validateTransform(inUpdates);
+    if (typeof updates === "string")
+      throw lib.custom_error(
+        "Sequencer",
+        `EffectManager | updateGroup | inUpdates.${updates}`
+      );
+    if (!lib.is_real_number(duration) || duration < 0)
+      throw lib.custom_error(
+        "Sequencer",
+        "EffectManager | updateGroup | inOptions.duration must be a number that is 0 or higher"
+      );
+    if (typeof ease !== "string")
+      throw lib.custom_error(
+        "Sequencer",
+        "EffectManager | updateGroup | inOptions.ease must be of type string"
+      );
+
+    const effects = this._filterEffects(
+      this._validateFilters({ group: inName, sceneId })
+    );
+    if (!effects.length) return;
+    if (effects.some((effect) => !effect.userCanUpdate))
+      throw lib.custom_error(
+        "Sequencer",
+        `EffectManager | updateGroup | You do not have permission to update every effect in the "${inName}" group`
+      );
+
+    const transform = foundry.utils.mergeObject(
+      effectGroups.getTransform(inName, effects[0]),
+      updates,
+      { inplace: false }
+    );
+
+    // Persisted effects are stored with the new transform before it is applied, so that they are recreated with it
+    const flagsToAdd = new Map();
+    for (const effect of effects) {
+      if (!effect.data.persist) continue;
+      const sourceUUID =
+        lib.is_UUID(effect.data.source) && effect.data.attachTo
+          ? effect.data.source
+          : "Scene." + effect.data.sceneId;
+      if (!flagsToAdd.has(sourceUUID)) flagsToAdd.set(sourceUUID, []);
+      flagsToAdd.get(sourceUUID).push({
+        ...effect.data,
+        group: { ...effect.data.group, ...transform },
+      });
+    }
+    await Promise.all(
+      Array.from(flagsToAdd).map(([sourceUUID, flags]) =>
+        flagManager.addEffectFlags(sourceUUID, flags)
+      )
+    );
+
+    return sequencerSocket.executeForEveryone(
+      SOCKET_HANDLERS.UPDATE_EFFECT_GROUP,
+      effects[0].data.sceneId,
+      inName,
+      transform,
+      { duration, ease }
+    );
+  }
+
   /**
    * End effects that are playing on the canvas based on a set of filters
    *
@@ -110,6 +198,7 @@ export default class SequencerEffectManager {
    *                             - name: The name of the effect
    *                             - sceneId: the ID of the scene to search within
    *                             - effects: a single CanvasEffect or its ID, or an array of such
+   *                             - group: the name of the group of the effect
    * @param {boolean} [push=true] A flag indicating whether or not to make other clients end the effects
    * @returns {promise} A promise that resolves when the effects have ended
    */
@@ -217,7 +306,8 @@ export default class SequencerEffectManager {
             effect.data.name.match(inFilter.name)?.length)) &&
         (!inFilter.source || inFilter.source === effect.data.source) &&
         (!inFilter.target || inFilter.target === effect.data.target) &&
-        (!inFilter.origin || inFilter.origin === effect.data.origin)
+        (!inFilter.origin || inFilter.origin === effect.data.origin) &&
+        (!inFilter.group || inFilter.group === effect.data.group?.name)
       );
     });
   }
@@ -315,6 +405,12 @@ export default class SequencerEffectManager {
         "EffectManager | inFilter.origin must be of type string"
       );
 
+    if (inFilter?.group && typeof inFilter?.group !== "string")
+      throw lib.custom_error(
+        "Sequencer",
+        "EffectManager | inFilter.group must be of type string"
+      );
+
     if (inFilter?.effects) {
       if (!Array.isArray(inFilter.effects))
         inFilter.effects = [inFilter.effects];
@@ -335,7 +431,8 @@ export default class SequencerEffectManager {
       !inFilter.target &&
       !inFilter.sceneId &&
       !inFilter.effects &&
-      !inFilter.origin
+      !inFilter.origin &&
+      !inFilter.group
     )
       return false;
 
@@ -347,6 +444,7 @@ export default class SequencerEffectManager {
         target: false,
         sceneId: false,
         origin: false,
+        group: false,
       },
       inFilter
     );
@@ -362,6 +460,10 @@ export default class SequencerEffectManager {
    */
   static async _playEffect(data, setFlags = true) {
 
+    if (setFlags && data.startAtServerTime) {
+      await SequencerClock.waitUntil(data.startAtServerTime);
+    }
+
     const effect = CanvasEffect.make(data);
 
     if (
@@ -426,6 +528,32 @@ export default class SequencerEffectManager {
     return playData;
   }
 
+  /**
+   * Pauses or resumes every effect that was created by the given sequence
+   *
+   * @param {string} inSequenceId
+   * @param {boolean} inPaused
+   * @private
+   */
+  static _setSequencePaused(inSequenceId, inPaused) {
+    this.effects
+      .filter((effect) => effect.data.sequenceId === inSequenceId)
+      .forEach((effect) => effect._setPaused(inPaused));
+  }
+
+  /**
+   * Skips every effect that was created by the given sequence ahead by an amount of milliseconds
+   *
+   * @param {string} inSequenceId
+   * @param {number} inMs
+   * @private
+   */
+  static _advanceSequence(inSequenceId, inMs) {
+    this.effects
+      .filter((effect) => effect.data.sequenceId === inSequenceId)
+      .forEach((effect) => effect._advanceTime(inMs));
+  }
+
   /**
    * Updates a single effect with the given data
    *
@@ -440,6 +568,27 @@ export default class SequencerEffectManager {
     return effect._update(inUpdates);
   }
 
+  /**
+   * Transforms a group of effects on this client, and keeps the group's transform on the data of its effects so that
+   * it is kept when they are updated
+   *
+   * @param {string} inSceneId
+   * @param {string} inName
+   * @param {object} inTransform
+   * @param {object} inOptions
+   * @returns {promise|boolean}
+   * @private
+   */
+  static _updateGroup(inSceneId, inName, inTransform, inOptions) {
+    if (inSceneId !== canvas.scene?.id) return false;
+    this.effects
+      .filter((effect) => effect.data.group?.name === inName)
+      .forEach((effect) => {
+        effect.data.group = { ...effect.data.group, ...inTransform };
+      });
+    return effectGroups.transform(inName, inTransform, inOptions);
+  }
+
   /**
    * Updates a single effect with new animations
    *
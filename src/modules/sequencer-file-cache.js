@@ -1,10 +1,18 @@
 import CONSTANTS from "../constants.js";
 import SequencerSoundManager from "./sequencer-sound-manager.js";
+import {
+  custom_error,
+  get_image_sequence_files,
+  is_image_sequence,
+  may_be_animated_image,
+} from "../lib/lib.js";
 
 const SequencerFileCache = {
   _videos: {},
   _preloadedFiles: new Set(),
   _totalCacheSize: 0,
+  _mediaDurations: {},
+  _animatedImages: {},
   _validTypes: ["video/webm", "video/x-webm", "application/octet-stream"],
 
   async loadVideo(inSrc) {
@@ -47,12 +55,57 @@ const SequencerFileCache = {
   },
 
   srcExists(inSrc) {
+    if (is_image_sequence(inSrc)) {
+      inSrc = get_image_sequence_files(inSrc)[0];
+    }
     if (this._preloadedFiles.has(inSrc)) {
       return true;
     }
     return srcExists(inSrc);
   },
 
+  /**
+   * Retrieves the duration of a video or audio file in milliseconds without rendering it, which is 0 for images
+   *
+   * @param {string} inSrc
+   * @returns {Promise<number>}
+   */
+  async getMediaDuration(inSrc) {
+    if (may_be_animated_image(inSrc)) {
+      const frames = await this.loadAnimatedImage(inSrc);
+      return frames ? frames.reduce((total, frame) => total + frame.time, 0) : 0;
+    }
+    if (this._mediaDurations[inSrc] === undefined) {
+      this._mediaDurations[inSrc] = await get_media_duration(inSrc);
+    }
+    return this._mediaDurations[inSrc];
+  },
+
+  /**
+   * Decodes the frames of an animated GIF or APNG file, along with how long each frame is shown for in milliseconds.
+   * Images that are not animated, or that the browser cannot decode, resolve to false. As most PNG files are not
+   * animated, only those whose header marks them as an APNG are decoded.
+   *
+   * @param {string} inSrc
+   * @returns {Promise<Array<{ texture: PIXI.Texture, time: number }>|boolean>}
+   */
+  loadAnimatedImage(inSrc) {
+    if (!may_be_animated_image(inSrc)) return Promise.resolve(false);
+    if (this._animatedImages[inSrc] === undefined) {
+      const animated = /\.png$/i.test(inSrc.split("?")[0])
+        ? is_animated_png(inSrc)
+        : Promise.resolve(true);
+      this._animatedImages[inSrc] = animated.then(async (isAnimated) => {
+        const frames = isAnimated && (await decode_animated_image(inSrc));
+        if (frames) {
+          this._preloadedFiles.add(inSrc);
+        }
+        return frames;
+      });
+    }
+    return this._animatedImages[inSrc];
+  },
+
   async loadFile(inSrc, preload = false) {
     if (inSrc.toLowerCase().endsWith(".webm")) {
       let blob = await this.loadVideo(inSrc);
@@ -60,6 +113,13 @@ const SequencerFileCache = {
       this._preloadedFiles.add(inSrc);
       if (preload) return true;
       return get_video_texture(blob);
+    } else if (inSrc.toLowerCase().endsWith(".json")) {
+      const spritesheet = await load_spritesheet(inSrc);
+      if (spritesheet) {
+        this._preloadedFiles.add(inSrc);
+      }
+      if (preload) return !!spritesheet;
+      return spritesheet;
     } else if (SequencerSoundManager.AudioHelper.hasAudioExtension(inSrc)) {
       try {
         const audio = await SequencerSoundManager.AudioHelper.preloadSound(inSrc);
@@ -73,6 +133,10 @@ const SequencerFileCache = {
       }
     }
 
+    if (preload && may_be_animated_image(inSrc)) {
+      await this.loadAnimatedImage(inSrc);
+    }
+
     const texture = await loadTexture(inSrc);
     if (texture) {
       this._preloadedFiles.add(inSrc);
@@ -81,6 +145,133 @@ const SequencerFileCache = {
   },
 };
 
+/**
+ * Loads a spritesheet JSON atlas, such as those exported by TexturePacker, along with the images it references
+ *
+ * @param {string} inSrc
+ * @returns {Promise<PIXI.Spritesheet|boolean>}
+ */
+async function load_spritesheet(inSrc) {
+  try {
+    const spritesheet = await PIXI.Assets.load(inSrc);
+    return spritesheet instanceof PIXI.Spritesheet ? spritesheet : false;
+  } catch (err) {
+    custom_error("Sequencer", `FileCache | Failed to load spritesheet: ${inSrc}`);
+    return false;
+  }
+}
+
+/**
+ * Reads the chunks at the start of a PNG file up to its image data, which is where APNG files have their animation
+ * control chunk, so that the rest of the file does not need to be downloaded to tell whether it is animated
+ *
+ * @param {string} inSrc
+ * @returns {Promise<boolean>}
+ */
+async function is_animated_png(inSrc) {
+  let reader;
+  try {
+    const response = await fetch(inSrc, {
+      mode: "cors",
+      credentials: "same-origin",
+    });
+    if (!response.ok || !response.body) return false;
+    reader = response.body.getReader();
+    let bytes = new Uint8Array(0);
+    // Each chunk is made up of its length, its type, its data, and a checksum, and the first follows an 8 byte signature
+    let offset = 8;
+    while (true) {
+      while (bytes.length < offset + 8) {
+        const { done, value } = await reader.read();
+        if (done) return false;
+        const joined = new Uint8Array(bytes.length + value.length);
+        joined.set(bytes);
+        joined.set(value, bytes.length);
+        bytes = joined;
+      }
+      const length = new DataView(bytes.buffer).getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      if (type === "acTL") return true;
+      if (type === "IDAT") return false;
+      offset += length + 12;
+    }
+  } catch (err) {
+    return false;
+  } finally {
+    reader?.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Decodes every frame of an animated image through the browser's ImageDecoder, drawing each of them onto a canvas
+ *
+ * @param {string} inSrc
+ * @returns {Promise<Array<{ texture: PIXI.Texture, time: number }>|boolean>}
+ */
+async function decode_animated_image(inSrc) {
+  if (typeof ImageDecoder === "undefined") return false;
+  const type = inSrc.split("?")[0].toLowerCase().endsWith(".gif")
+    ? "image/gif"
+    : "image/png";
+  let decoder;
+  try {
+    if (!(await ImageDecoder.isTypeSupported(type))) return false;
+    const data = await fetch(inSrc, {
+      mode: "cors",
+      credentials: "same-origin",
+    }).then((r) => r.arrayBuffer());
+    decoder = new ImageDecoder({ data, type });
+    await decoder.tracks.ready;
+    const track = decoder.tracks.selectedTrack;
+    if (!track?.animated || track.frameCount <= 1) return false;
+    const frames = [];
+    for (let frameIndex = 0; frameIndex < track.frameCount; frameIndex++) {
+      const { image } = await decoder.decode({ frameIndex });
+      const canvas = document.createElement("canvas");
+      canvas.width = image.displayWidth;
+      canvas.height = image.displayHeight;
+      canvas.getContext("2d").drawImage(image, 0, 0);
+      // Frame durations are in microseconds, and like browsers do, very short delays are shown for 100ms instead
+      const time = (image.duration ?? 0) / 1000;
+      image.close();
+      frames.push({
+        texture: PIXI.Texture.from(canvas),
+        time: time > 10 ? time : 100,
+      });
+    }
+    return frames;
+  } catch (err) {
+    custom_error("Sequencer", `FileCache | Failed to decode animated image: ${inSrc}`);
+    return false;
+  } finally {
+    decoder?.close();
+  }
+}
+
+async function get_media_duration(inSrc) {
+  if (SequencerSoundManager.AudioHelper.hasAudioExtension(inSrc)) {
+    try {
+      const sound = await SequencerSoundManager.AudioHelper.preloadSound(inSrc);
+      return (sound?.duration ?? 0) * 1000;
+    } catch (err) {
+      return 0;
+    }
+  }
+  if (!VideoHelper.hasVideoExtension(inSrc)) return 0;
+  return new Promise((resolve) => {
+    const video = document.createElement("video");
+    video.preload = "metadata";
+    video.muted = true;
+    video.onloadedmetadata = () => {
+      resolve(video.duration * 1000);
+      video.removeAttribute("src");
+      video.load();
+    };
+    video.onerror = () => resolve(0);
+    video.src = inSrc;
+  });
+}
+
 async function get_video_texture(inBlob) {
   return new Promise(async (resolve) => {
     const video = document.createElement("video");
@@ -1,7 +1,14 @@
 import * as lib from "../lib/lib.js";
 import SequencerFileCache from "./sequencer-file-cache.js";
 
-const flipBookTextureCache = {};
+const spriteSheetCache = {};
+
+/**
+ * Frames of animated images have their own durations, so they are given as objects with a texture and a time
+ */
+function get_frame_texture(inFrame) {
+  return inFrame instanceof PIXI.Texture ? inFrame : inFrame.texture;
+}
 
 export class SequencerFileBase {
   static make(inData, inDBPath, inMetadata) {
@@ -37,6 +44,11 @@ export class SequencerFile extends SequencerFileBase {
     this.file = foundry.utils.duplicate(this.originalFile);
     this.fileIndex = null;
 
+    if (lib.is_image_sequence(this.file)) {
+      this.file = lib.get_image_sequence_files(this.file);
+      this.flipbook = true;
+    }
+
     this.fileTextureMap = Object.fromEntries(
       this.getAllFiles().map((file) => {
         return [file, false];
@@ -86,10 +98,13 @@ export class SequencerFile extends SequencerFileBase {
   }
 
   getFile() {
+    if (this.flipbook) {
+      return this.file[0];
+    }
     if (Array.isArray(this.file)) {
       this.fileIndex = lib.is_real_number(this.fileIndex)
         ? this.fileIndex
-        : lib.random_array_element(this.file, {
+        : lib.random_weighted_array_element(this.file, this.getWeights(), {
             twister: this.twister,
             index: true,
           });
@@ -98,6 +113,25 @@ export class SequencerFile extends SequencerFileBase {
     return this.file;
   }
 
+  /**
+   * Gets the weight of each of this entry's variants, which are set through the "_weights" metadata of the entry, and
+   * otherwise all have the same weight
+   *
+   * @returns {Array<number>}
+   */
+  getWeights() {
+    const files = Array.isArray(this.file) ? this.file : [this.file];
+    if (
+      Array.isArray(this.weights) &&
+      this.weights.length === files.length &&
+      this.weights.every((weight) => lib.is_real_number(weight) && weight >= 0) &&
+      this.weights.some((weight) => weight > 0)
+    ) {
+      return this.weights;
+    }
+    return files.map(() => 1);
+  }
+
   getTimestamps() {
     if (Array.isArray(this.originalMetadata?.timestamps)) {
       return (
@@ -123,7 +157,7 @@ export class SequencerFile extends SequencerFileBase {
   }
 
   destroy() {
-    if (this.originalMetadata?.flipbook) return;
+    if (this.flipbook) return;
     for (let texture of Object.values(this.fileTextureMap)) {
       if (!texture) continue;
       try {
@@ -159,21 +193,65 @@ export class SequencerFile extends SequencerFileBase {
     return this.template ? this.template[1] / width : undefined;
   }
 
-  async _getFlipBookSheet(filePath) {
-    if (!this.originalMetadata?.flipbook) return false;
-    if (flipBookTextureCache[filePath]) {
-      return flipBookTextureCache[filePath];
+  /**
+   * Gets the frames of a flipbook, a numbered image sequence, a spritesheet JSON atlas, or an animated GIF or APNG,
+   * limited to the frame range set through the "_frames" metadata of the entry. Atlases play the animation set through
+   * the "_animation" metadata, their first animation, or otherwise all of their frames in order of their names.
+   *
+   * @param {string} filePath
+   * @returns {Promise<Array<PIXI.Texture|{ texture: PIXI.Texture, time: number }>|boolean>}
+   */
+  async _getSpriteSheet(filePath) {
+    const isAtlas = filePath.toLowerCase().endsWith(".json");
+    if (!this.flipbook && !isAtlas && !lib.may_be_animated_image(filePath))
+      return false;
+    const cacheKey = [
+      filePath,
+      this.flipbook ? this.file.length : this.animation ?? "",
+      this.frames ?? "",
+      this.fps ?? "",
+    ].join("|");
+    if (!spriteSheetCache[cacheKey]) {
+      spriteSheetCache[cacheKey] = this._loadSpriteSheet(filePath, isAtlas);
+    }
+    return spriteSheetCache[cacheKey];
+  }
+
+  async _loadSpriteSheet(filePath, isAtlas) {
+    let frames;
+    if (isAtlas) {
+      const spritesheet = await SequencerFileCache.loadFile(filePath);
+      if (!spritesheet) return false;
+      const animations = spritesheet.animations ?? {};
+      const animation = this.animation ?? Object.keys(animations)[0];
+      frames = animations[animation] ?? Object.keys(spritesheet.textures)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map((name) => spritesheet.textures[name]);
+    } else if (this.flipbook) {
+      frames = await Promise.all(
+        this.file.map((file) => SequencerFileCache.loadFile(file))
+      );
+    } else {
+      frames = await SequencerFileCache.loadAnimatedImage(filePath);
+      if (!frames) return false;
+      // A set frame rate takes precedence over the delays of each frame
+      if (this.fps) {
+        frames = frames.map((frame) => frame.texture);
+      }
     }
-    flipBookTextureCache[filePath] = this.file.map((file) => {
-      return PIXI.Texture.from(file);
-    });
-    return flipBookTextureCache[filePath];
+    if (Array.isArray(this.frames)) {
+      frames = frames.slice(this.frames[0], this.frames[1] + 1);
+    }
+    frames = frames.filter(Boolean);
+    return frames.length ? frames : false;
   }
 
   async getTexture(distance) {
     const filePath = this.getFile();
-    const texture = await this._getTexture(this.getFile());
-    const sheet = await this._getFlipBookSheet(filePath);
+    const sheet = await this._getSpriteSheet(filePath);
+    const texture = sheet
+      ? get_frame_texture(sheet[0])
+      : await this._getTexture(filePath);
     return {
       filePath,
       texture,
@@ -244,10 +322,11 @@ export class SequencerFileRangeFind extends SequencerFile {
   }
 
   async getTexture(distance = 400) {
-    const { filePath, texture } = await this._getTextureForDistance(distance);
+    const { filePath, texture, sheet } = await this._getTextureForDistance(distance);
     return {
       filePath,
       texture,
+      sheet,
       spriteScale: this._adjustScaleForPadding(distance, texture.width),
       spriteAnchor: this._adjustAnchorForPadding(texture.width),
     };
@@ -310,7 +389,10 @@ export class SequencerFileRangeFind extends SequencerFile {
 
   async _getTextureForDistance(distance) {
     const filePath = this._rangeFind(distance);
-    const texture = await this._getTexture(filePath);
-    return { filePath, texture };
+    const sheet = await this._getSpriteSheet(filePath);
+    const texture = sheet
+      ? get_frame_texture(sheet[0])
+      : await this._getTexture(filePath);
+    return { filePath, texture, sheet };
   }
 }
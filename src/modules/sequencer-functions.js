@@ -0,0 +1,64 @@
+import { custom_error, debug, is_function } from "../lib/lib.js";
+
+export default class SequencerFunctions {
+  static niceName = "Function";
+
+  static _registry = new Map();
+
+  /**
+   * Registers a named function that can then be used in sequences, and which survives serialization as only its name
+   * is stored
+   *
+   * @param {string} inName
+   * @param {Function} inFunction
+   * @param {boolean} [overwrite=false] overwrite
+   * @returns {Map<string, Function>}
+   */
+  static register(inName, inFunction, overwrite = false) {
+    if (typeof inName !== "string") {
+      throw custom_error(
+        "Sequencer",
+        `Sequencer${this.niceName}s | inName must be of type string`
+      );
+    }
+
+    if (!is_function(inFunction)) {
+      throw custom_error(
+        "Sequencer",
+        `Sequencer${this.niceName}s | inFunction must be of type function`
+      );
+    }
+
+    if (this._registry.get(inName) && !overwrite) {
+      throw custom_error(
+        "Sequencer",
+        `Sequencer${this.niceName}s | ${this.niceName} "${inName}" already exists`
+      );
+    }
+
+    this._registry.set(inName, inFunction);
+    debug(
+      `Sequencer | ${this.niceName}s | Registered "${inName}" ${this.niceName.toLowerCase()}`
+    );
+    return this._registry;
+  }
+
+  /**
+   * Retrieves all registered functions
+   *
+   * @returns {Map<string, Function>}
+   */
+  static getAll() {
+    return this._registry;
+  }
+
+  /**
+   * Retrieves a registered function based on its name
+   *
+   * @param {string} name
+   * @returns {Function}
+   */
+  static get(name) {
+    return this._registry.get(name);
+  }
+}
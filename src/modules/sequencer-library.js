@@ -0,0 +1,250 @@
+import * as lib from "../lib/lib.js";
+import CONSTANTS from "../constants.js";
+import Sequence from "./sequencer.js";
+import sequenceSchema from "../utils/sequence-schema.js";
+import { get, writable } from "svelte/store";
+
+const librarySequences = writable({});
+
+export default class SequencerLibrary {
+  static get store() {
+    return librarySequences;
+  }
+
+  static registerHooks() {
+    librarySequences.set(
+      game.settings.get(CONSTANTS.MODULE_NAME, "sequence-library")
+    );
+    Hooks.on("hotbarDrop", (hotbar, data, slot) => {
+      if (data?.type !== "SequencerLibrarySequence") return;
+      this.createMacro(data.id, slot);
+      return false;
+    });
+  }
+
+  /**
+   * Called when the library setting changes
+   *
+   * @param {Object} inLibrary
+   * @private
+   */
+  static _onChange(inLibrary) {
+    librarySequences.set(inLibrary);
+  }
+
+  /**
+   * Retrieves all saved sequences
+   *
+   * @returns {Array<Object>}
+   */
+  static getAll() {
+    return Object.values(get(librarySequences));
+  }
+
+  /**
+   * Retrieves a saved sequence based on its id or name
+   *
+   * @param {string} inIdOrName
+   * @returns {Object|undefined}
+   */
+  static get(inIdOrName) {
+    const library = get(librarySequences);
+    return (
+      library[inIdOrName] ??
+      Object.values(library).find((entry) => entry.name === inIdOrName)
+    );
+  }
+
+  /**
+   * Saves a sequence to the world's sequence library
+   *
+   * @param {string} inName
+   * @param {Sequence|Object} inSequence
+   * @param {boolean} [overwrite=false] overwrite
+   * @returns {Promise<Object>}
+   */
+  static async save(inName, inSequence, overwrite = false) {
+    if (!game.user.isGM) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | Only GMs can save sequences to the library`
+      );
+    }
+
+    if (typeof inName !== "string" || !inName) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | inName must be of type string`
+      );
+    }
+
+    const data =
+      inSequence instanceof Sequence
+        ? await inSequence.toJSON({ deferred: true })
+        : sequenceSchema.migrate(inSequence);
+    const { errors } = sequenceSchema.validate(data);
+    if (errors.length) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | inSequence must be a Sequence, or a valid serialized sequence: ${errors.join(", ")}`
+      );
+    }
+
+    const existingEntry = this.getAll().find((entry) => entry.name === inName);
+    if (existingEntry && !overwrite) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | A sequence with the name "${inName}" already exists`
+      );
+    }
+
+    const entry = {
+      id: existingEntry?.id ?? foundry.utils.randomID(),
+      name: inName,
+      data,
+    };
+
+    await game.settings.set(CONSTANTS.MODULE_NAME, "sequence-library", {
+      ...get(librarySequences),
+      [entry.id]: entry,
+    });
+
+    lib.debug(`Sequencer | Library | Saved "${inName}" sequence`);
+
+    return entry;
+  }
+
+  /**
+   * Deletes a saved sequence from the world's sequence library
+   *
+   * @param {string} inIdOrName
+   * @returns {Promise}
+   */
+  static async delete(inIdOrName) {
+    if (!game.user.isGM) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | Only GMs can delete sequences from the library`
+      );
+    }
+    const entry = this._getEntry(inIdOrName, "delete");
+    const library = { ...get(librarySequences) };
+    delete library[entry.id];
+    return game.settings.set(
+      CONSTANTS.MODULE_NAME,
+      "sequence-library",
+      library
+    );
+  }
+
+  /**
+   * Plays a saved sequence
+   *
+   * @param {string} inIdOrName
+   * @param {Object} [inOptions] inOptions
+   * @returns {Promise}
+   */
+  static play(inIdOrName, inOptions = {}) {
+    const entry = this._getEntry(inIdOrName, "play");
+    const data = foundry.utils.deepClone(entry.data);
+    refreshEffectIds(data);
+    return new Sequence().fromJSON(data).play(inOptions);
+  }
+
+  /**
+   * Downloads a saved sequence as a JSON file
+   *
+   * @param {string} inIdOrName
+   */
+  static export(inIdOrName) {
+    const entry = this._getEntry(inIdOrName, "export");
+    const fileName = entry.name.slugify({ strict: true }) || entry.id;
+    saveDataToFile(
+      JSON.stringify({ name: entry.name, data: entry.data }, null, 2),
+      "text/json",
+      `sequencer-${fileName}.json`
+    );
+  }
+
+  /**
+   * Imports saved sequences from a JSON file, which can either contain an exported sequence, or a serialized sequence
+   *
+   * @param {File} inFile
+   * @param {boolean} [overwrite=false] overwrite
+   * @returns {Promise<Object>}
+   */
+  static async import(inFile, overwrite = false) {
+    let json;
+    try {
+      json = JSON.parse(await readTextFromFile(inFile));
+    } catch (err) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | Could not read "${inFile?.name}" as JSON`
+      );
+    }
+    const name =
+      json?.name ?? inFile.name.replace(/\.json$/, "").replace(/^sequencer-/, "");
+    return this.save(name, json?.data ?? json, overwrite);
+  }
+
+  /**
+   * Creates a macro that plays a saved sequence, and assigns it to the user's hotbar
+   *
+   * @param {string} inIdOrName
+   * @param {number} [slot] slot
+   * @returns {Promise<Macro>}
+   */
+  static async createMacro(inIdOrName, slot) {
+    const entry = this._getEntry(inIdOrName, "createMacro");
+    const command = `Sequencer.Library.play("${entry.id}");`;
+    const macro =
+      game.macros.find(
+        (macro) => macro.command === command && macro.isOwner
+      ) ??
+      (await Macro.create({
+        name: entry.name,
+        type: "script",
+        img: "icons/svg/sound.svg",
+        command,
+      }));
+    await game.user.assignHotbarMacro(macro, slot);
+    return macro;
+  }
+
+  /**
+   * @private
+   */
+  static _getEntry(inIdOrName, inFunctionName) {
+    const entry = this.get(inIdOrName);
+    if (!entry) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SequencerLibrary | ${inFunctionName} - Could not find saved sequence "${inIdOrName}"`
+      );
+    }
+    return entry;
+  }
+}
+
+/**
+ * Gives the effects in serialized sequence data new ids, so that playing the same saved sequence more than once does
+ * not create effects that share their ids
+ *
+ * @param {Object} inData
+ */
+function refreshEffectIds(inData) {
+  for (const section of inData.sections) {
+    if (section.type === "effect" || section.type === "particles") {
+      section.sectionData._id = foundry.utils.randomID();
+    }
+    const nestedSequences = [
+      ...Object.values(section.sectionData?.branches ?? {}),
+      ...(section.sectionData?.weightedBranches || []).map(
+        (branch) => branch.sequence
+      ),
+      ...(section.sectionData?.sequences ?? []),
+    ];
+    nestedSequences.forEach(refreshEffectIds);
+  }
+}
@@ -0,0 +1,144 @@
+import { custom_error, debug, is_function } from "../lib/lib.js";
+
+const TYPES = ["effect", "sound"];
+
+const middlewareMap = new Map();
+
+export default class SequencerMiddleware {
+  /**
+   * Registers a named middleware that is run over the data of every effect or sound played by this client, before the
+   * preCreateSequencerEffect and preCreateSequencerSound hooks are called
+   *
+   * @param {string} inName
+   * @param {Function} inFunction
+   * @param {Object} [inOptions] inOptions
+   * @param {Array<string>} [inOptions.types=["effect", "sound"]] The types of data this middleware is run over
+   * @param {number} [inOptions.priority=0] Middleware with a higher priority is run first
+   * @param {boolean} [inOptions.overwrite=false] overwrite
+   * @returns {Map<string, Object>}
+   */
+  static register(
+    inName,
+    inFunction,
+    { types = TYPES, priority = 0, overwrite = false } = {}
+  ) {
+    if (typeof inName !== "string") {
+      throw custom_error(
+        "Sequencer",
+        `SequencerMiddleware | inName must be of type string`
+      );
+    }
+
+    if (!is_function(inFunction)) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerMiddleware | inFunction must be of type function`
+      );
+    }
+
+    if (typeof types === "string") types = [types];
+    if (
+      !Array.isArray(types) ||
+      !types.length ||
+      types.some((type) => !TYPES.includes(type))
+    ) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerMiddleware | types must be an array containing "${TYPES.join('" and/or "')}"`
+      );
+    }
+
+    if (typeof priority !== "number") {
+      throw custom_error(
+        "Sequencer",
+        `SequencerMiddleware | priority must be of type number`
+      );
+    }
+
+    if (middlewareMap.get(inName) && !overwrite) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerMiddleware | Middleware "${inName}" already exists`
+      );
+    }
+
+    middlewareMap.delete(inName);
+    middlewareMap.set(inName, {
+      name: inName,
+      func: inFunction,
+      types: Array.from(new Set(types)),
+      priority,
+    });
+    debug(`Sequencer | Middleware | Registered "${inName}" middleware`);
+    return middlewareMap;
+  }
+
+  /**
+   * Removes a registered middleware
+   *
+   * @param {string} inName
+   * @returns {boolean} Whether a middleware with the given name was removed
+   */
+  static unregister(inName) {
+    const removed = middlewareMap.delete(inName);
+    if (removed) {
+      debug(`Sequencer | Middleware | Unregistered "${inName}" middleware`);
+    }
+    return removed;
+  }
+
+  /**
+   * Retrieves all middleware
+   *
+   * @returns {Map<string, Object>}
+   */
+  static getAll() {
+    return middlewareMap;
+  }
+
+  /**
+   * Retrieves middleware based on its name
+   *
+   * @param {string} name
+   * @returns {Object}
+   */
+  static get(name) {
+    return middlewareMap.get(name);
+  }
+
+  /**
+   * Runs the data of an effect or sound through every middleware registered for its type, in order of priority. Each
+   * middleware is given the data returned by the previous one, and can either modify it and return nothing, return new
+   * data, or return false to prevent the effect or sound from being played.
+   *
+   * @param {string} inType
+   * @param {Object} inData
+   * @param {Section} inSection
+   * @returns {Promise<Object|boolean>}
+   * @private
+   */
+  static async _apply(inType, inData, inSection) {
+    const middleware = Array.from(middlewareMap.values())
+      .filter((entry) => entry.types.includes(inType))
+      .sort((a, b) => b.priority - a.priority);
+
+    if (!middleware.length) return inData;
+
+    let data = foundry.utils.deepClone(inData);
+    for (const entry of middleware) {
+      const result = await entry.func(data, {
+        type: inType,
+        section: inSection,
+        sequence: inSection.sequence,
+      });
+      if (result === false) {
+        debug(
+          `Sequencer | Middleware | "${entry.name}" middleware prevented ${inType} from playing`
+        );
+        return false;
+      }
+      if (result !== undefined) data = result;
+    }
+    return data;
+  }
+}
@@ -174,6 +174,9 @@ const SequencerPreloader = {
           if (Sequencer.Database.entryExists(src)) {
             return Sequencer.Database.getAllFileEntries(src);
           }
+          if (lib.is_image_sequence(src)) {
+            return lib.get_image_sequence_files(src);
+          }
           return src;
         })
         .deepFlatten()
@@ -1,17 +1,156 @@
-import { custom_error, debug, is_function } from "../lib/lib.js";
+import {
+  custom_error,
+  custom_warning,
+  debug,
+  is_function,
+  is_real_number,
+  get_object_from_scene,
+  validate_document,
+} from "../lib/lib.js";
+import CONSTANTS from "../constants.js";
+import SequencerDatabase from "./sequencer-database.js";
+import { get, writable } from "svelte/store";
 
 const presetMap = new Map();
 
+const registeredPresets = writable({});
+
+const worldPresets = writable({});
+
+/**
+ * The types of sections that world presets can be made for, mapped to the nice name of their section class
+ */
+const PRESET_TYPES = {
+  effect: "Effect",
+  sound: "Sound",
+  animation: "Animation",
+  scrollingText: "Scrolling Text",
+  canvasPan: "Canvas Pan",
+};
+
+/**
+ * Methods that sections have, but which should not be called by world presets
+ */
+const RESTRICTED_METHODS = ["constructor", "run", "preRun", "preset"];
+
+/**
+ * The types of arguments that presets can describe in their argument schema, mapped to functions that validate a given
+ * value and return the value that is passed on to the preset, or throw a message describing what is wrong with it
+ */
+const ARGUMENT_TYPES = {
+  number: (value, schema) => {
+    if (!is_real_number(value)) throw "must be of type number";
+    if (is_real_number(schema.min) && value < schema.min)
+      throw `must be at least ${schema.min}`;
+    if (is_real_number(schema.max) && value > schema.max)
+      throw `must be at most ${schema.max}`;
+    return value;
+  },
+  string: (value) => {
+    if (typeof value !== "string") throw "must be of type string";
+    return value;
+  },
+  boolean: (value) => {
+    if (typeof value !== "boolean") throw "must be of type boolean";
+    return value;
+  },
+  color: (value) => {
+    if (
+      !(typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value)) &&
+      !(Number.isInteger(value) && value >= 0 && value <= 0xffffff)
+    ) {
+      throw `must be a hex color string like "#ff0000", or a number`;
+    }
+    return value;
+  },
+  databasePath: (value) => {
+    if (typeof value !== "string" || !value) throw "must be of type string";
+    if (
+      !SequencerDatabase.entryExists(value) &&
+      !/\.[a-z0-9]+$/i.test(value)
+    ) {
+      throw `"${value}" is not a database path or a file`;
+    }
+    return value;
+  },
+  token: (value) => {
+    const document = validate_document(
+      typeof value === "string" ? get_object_from_scene(value) : value
+    );
+    if (!(document instanceof TokenDocument)) throw "must be a token";
+    return document.object ?? document;
+  },
+  location: (value) => {
+    if (typeof value === "string") {
+      return get_object_from_scene(value)?.object ?? value;
+    }
+    if (is_real_number(value?.x) && is_real_number(value?.y)) return value;
+    if (validate_document(value) instanceof foundry.abstract.Document)
+      return value;
+    throw "must be a placeable, a document, an object with x and y, or the name of a location";
+  },
+};
+
 export default class SequencerPresets {
+  static get store() {
+    return worldPresets;
+  }
+
+  static get types() {
+    return Object.keys(PRESET_TYPES);
+  }
+
+  static registerHooks() {
+    worldPresets.set(
+      game.settings.get(CONSTANTS.MODULE_NAME, "world-presets")
+    );
+  }
+
   /**
-   * Adds a preset that can then be used in sequences
+   * Called when the world presets setting changes
+   *
+   * @param {Object} inPresets
+   * @private
+   */
+  static _onChange(inPresets) {
+    worldPresets.set(inPresets);
+  }
+
+  static get registeredStore() {
+    return registeredPresets;
+  }
+
+  static get argumentTypes() {
+    return Object.keys(ARGUMENT_TYPES);
+  }
+
+  /**
+   * Adds a preset that can then be used in sequences. The options can contain a schema describing the arguments the
+   * preset accepts, such as { duration: { type: "number", default: 1000, min: 0 } }, which validates the arguments given
+   * to .preset() and fills in their defaults before they are passed to the preset as an object. Presets added with a
+   * module name are namespaced under it, such as "my-module.breathe".
    *
    * @param {string} inName
    * @param {Function} inFunction
-   * @param {boolean} [overwrite=false] overwrite
+   * @param {boolean|Object} [inOptions=false] Whether to overwrite an existing preset, or an object of options
+   * @param {boolean} [inOptions.overwrite=false] inOptions.overwrite
+   * @param {Object} [inOptions.args] inOptions.args
+   * @param {string} [inOptions.module] inOptions.module
+   * @param {string} [inOptions.type] inOptions.type
+   * @param {string} [inOptions.description] inOptions.description
    * @returns {Map<string, Function>}
    */
-  static add(inName, inFunction, overwrite = false) {
+  static add(inName, inFunction, inOptions = false) {
+    const {
+      overwrite = false,
+      args = null,
+      module = null,
+      type = null,
+      description = "",
+    } = typeof inOptions === "object" && inOptions !== null
+      ? inOptions
+      : { overwrite: inOptions };
+
     if (typeof inName !== "string") {
       throw custom_error(
         "Sequencer",
@@ -26,25 +165,174 @@ export default class SequencerPresets {
       );
     }
 
-    if (presetMap.get(inName) && !overwrite) {
+    if (module !== null && (typeof module !== "string" || !module)) {
       throw custom_error(
         "Sequencer",
-        `SequencerPresets | Preset "${inName}" already exists`
+        `SequencerPresets | inOptions.module must be of type string`
       );
     }
 
-    presetMap.set(inName, inFunction);
-    debug(`Sequencer | Presets | Added "${inName}" preset`);
+    if (type !== null && !PRESET_TYPES[type]) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | inOptions.type must be one of "${this.types.join(
+          '", "'
+        )}"`
+      );
+    }
+
+    if (args !== null) {
+      validateSchema(inName, args);
+    }
+
+    const name = module ? `${module}.${inName}` : inName;
+
+    if (presetMap.get(name) && !overwrite) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${name}" already exists`
+      );
+    }
+
+    presetMap.set(name, inFunction);
+    registeredPresets.update((presets) => {
+      presets[name] = {
+        name,
+        module,
+        type,
+        description,
+        args: args ?? {},
+      };
+      return presets;
+    });
+    debug(`Sequencer | Presets | Added "${name}" preset`);
     return presetMap;
   }
 
   /**
-   * Retrieves all presets
+   * Removes a preset that was added through code
+   *
+   * @param {string} inName
+   * @returns {boolean} Whether a preset was removed
+   */
+  static remove(inName) {
+    if (!presetMap.has(inName)) return false;
+    presetMap.delete(inName);
+    registeredPresets.update((presets) => {
+      delete presets[inName];
+      return presets;
+    });
+    debug(`Sequencer | Presets | Removed "${inName}" preset`);
+    return true;
+  }
+
+  /**
+   * Removes every preset that a module has added
+   *
+   * @param {string} inModuleName
+   * @returns {Array<string>} The names of the removed presets
+   */
+  static removeModule(inModuleName) {
+    const names = this.list({ module: inModuleName }).map(
+      (preset) => preset.name
+    );
+    names.forEach((name) => this.remove(name));
+    return names;
+  }
+
+  /**
+   * Lists the presets and what they accept, optionally only those added by a given module. World presets are listed
+   * unless a module is given.
+   *
+   * @param {Object} [inOptions] inOptions
+   * @param {string} [inOptions.module] inOptions.module
+   * @returns {Array<Object>}
+   */
+  static list({ module = null } = {}) {
+    const presets = Object.values(get(registeredPresets)).map((preset) => ({
+      ...preset,
+      world: false,
+    }));
+    if (module) {
+      return presets.filter((preset) => preset.module === module);
+    }
+    for (const preset of this.getWorldPresets()) {
+      if (presetMap.has(preset.name)) continue;
+      presets.push({
+        id: preset.id,
+        name: preset.name,
+        module: null,
+        type: preset.type,
+        description: "",
+        args: {},
+        world: true,
+      });
+    }
+    return presets;
+  }
+
+  /**
+   * Validates the arguments given to a preset against its argument schema, and fills in the defaults of any that were
+   * not given
+   *
+   * @param {string} inName
+   * @param {Object} [inArgs] inArgs
+   * @returns {Object}
+   */
+  static validateArgs(inName, inArgs = {}) {
+    const schema = get(registeredPresets)[inName]?.args ?? {};
+    if (typeof inArgs !== "object" || inArgs === null) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" - its arguments must be given as an object`
+      );
+    }
+    const args = {};
+    for (const [key, argument] of Object.entries(schema)) {
+      const value = inArgs[key] ?? argument.default;
+      if (value === undefined || value === null) {
+        if (argument.required) {
+          throw custom_error(
+            "Sequencer",
+            `SequencerPresets | Preset "${inName}" - argument "${key}" is required`
+          );
+        }
+        continue;
+      }
+      try {
+        args[key] = ARGUMENT_TYPES[argument.type](value, argument);
+      } catch (err) {
+        if (err instanceof Error) throw err;
+        throw custom_error(
+          "Sequencer",
+          `SequencerPresets | Preset "${inName}" - argument "${key}" ${err}`
+        );
+      }
+    }
+    for (const key of Object.keys(inArgs)) {
+      if (schema[key]) continue;
+      custom_warning(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" - ignoring unknown argument "${key}"`
+      );
+    }
+    return args;
+  }
+
+  /**
+   * Retrieves all presets, including the world presets
    *
    * @returns {Map<string, Function>}
    */
   static getAll() {
-    return presetMap;
+    const presets = new Map(
+      Array.from(presetMap.keys()).map((name) => [name, this.get(name)])
+    );
+    for (const preset of this.getWorldPresets()) {
+      if (presets.has(preset.name)) continue;
+      presets.set(preset.name, createPresetFunction(preset));
+    }
+    return presets;
   }
 
   /**
@@ -54,6 +342,265 @@ export default class SequencerPresets {
    * @returns {Function}
    */
   static get(name) {
-    return presetMap.get(name);
+    if (presetMap.has(name)) {
+      const preset = presetMap.get(name);
+      if (!Object.keys(get(registeredPresets)[name]?.args ?? {}).length) {
+        return preset;
+      }
+      return (inTarget, inArgs, ...args) =>
+        preset(inTarget, this.validateArgs(name, inArgs), ...args);
+    }
+    const preset = this.getWorldPreset(name);
+    return preset ? createPresetFunction(preset) : undefined;
+  }
+
+  /**
+   * Whether the preset with the given name is stored in the world, rather than added through code
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isWorldPreset(name) {
+    return !presetMap.has(name) && !!this.getWorldPreset(name);
+  }
+
+  /**
+   * Retrieves all presets stored in the world
+   *
+   * @returns {Array<Object>}
+   */
+  static getWorldPresets() {
+    return Object.values(get(worldPresets));
+  }
+
+  /**
+   * Retrieves a preset stored in the world based on its id or name
+   *
+   * @param {string} inIdOrName
+   * @returns {Object|undefined}
+   */
+  static getWorldPreset(inIdOrName) {
+    const presets = get(worldPresets);
+    return (
+      presets[inIdOrName] ??
+      Object.values(presets).find((preset) => preset.name === inIdOrName)
+    );
+  }
+
+  /**
+   * Saves a preset to the world, made up of the type of section it creates, and the methods that are called on that
+   * section along with their arguments, such as:
+   * { type: "effect", methods: [{ method: "file", args: ["jb2a.fire_bolt.orange"] }, { method: "scale", args: [0.5] }] }
+   *
+   * @param {string} inName
+   * @param {Object} inData
+   * @param {boolean} [overwrite=false] overwrite
+   * @returns {Promise<Object>}
+   */
+  static async save(inName, inData, overwrite = false) {
+    if (!game.user.isGM) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Only GMs can save presets to the world`
+      );
+    }
+
+    if (typeof inName !== "string" || !inName) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | inName must be of type string`
+      );
+    }
+
+    if (presetMap.has(inName)) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" already exists`
+      );
+    }
+
+    if (!PRESET_TYPES[inData?.type]) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | inData.type must be one of "${this.types.join(
+          '", "'
+        )}"`
+      );
+    }
+
+    if (!Array.isArray(inData.methods)) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | inData.methods must be of type array`
+      );
+    }
+
+    const methods = inData.methods.map((entry, index) => {
+      if (
+        typeof entry?.method !== "string" ||
+        !entry.method ||
+        entry.method.startsWith("_") ||
+        RESTRICTED_METHODS.includes(entry.method)
+      ) {
+        throw custom_error(
+          "Sequencer",
+          `SequencerPresets | inData.methods[${index}].method must be the name of a section method`
+        );
+      }
+      if (entry.args !== undefined && !Array.isArray(entry.args)) {
+        throw custom_error(
+          "Sequencer",
+          `SequencerPresets | inData.methods[${index}].args must be of type array`
+        );
+      }
+      return {
+        method: entry.method,
+        args: foundry.utils.deepClone(entry.args ?? []),
+      };
+    });
+
+    const existingPreset = this.getWorldPresets().find(
+      (preset) => preset.name === inName
+    );
+    if (existingPreset && existingPreset.id !== inData.id && !overwrite) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" already exists`
+      );
+    }
+
+    const presets = { ...get(worldPresets) };
+    const id = inData.id ?? existingPreset?.id ?? foundry.utils.randomID();
+    if (existingPreset && existingPreset.id !== id) {
+      delete presets[existingPreset.id];
+    }
+
+    const preset = {
+      id,
+      name: inName,
+      type: inData.type,
+      methods,
+    };
+
+    presets[id] = preset;
+
+    await game.settings.set(CONSTANTS.MODULE_NAME, "world-presets", presets);
+
+    debug(`Sequencer | Presets | Saved "${inName}" world preset`);
+
+    return preset;
+  }
+
+  /**
+   * Deletes a preset stored in the world
+   *
+   * @param {string} inIdOrName
+   * @returns {Promise}
+   */
+  static async delete(inIdOrName) {
+    if (!game.user.isGM) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Only GMs can delete presets from the world`
+      );
+    }
+    const preset = this.getWorldPreset(inIdOrName);
+    if (!preset) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | delete - Could not find world preset "${inIdOrName}"`
+      );
+    }
+    const presets = { ...get(worldPresets) };
+    delete presets[preset.id];
+    return game.settings.set(CONSTANTS.MODULE_NAME, "world-presets", presets);
   }
+
+  /**
+   * Retrieves the names of the methods that world presets can call on a given section
+   *
+   * @param {Section} inSection
+   * @returns {Array<string>}
+   */
+  static getSectionMethods(inSection) {
+    const methods = new Set();
+    let prototype = Object.getPrototypeOf(inSection);
+    while (prototype && prototype !== Object.prototype) {
+      for (const name of Object.getOwnPropertyNames(prototype)) {
+        if (name.startsWith("_") || RESTRICTED_METHODS.includes(name)) continue;
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, name);
+        if (is_function(descriptor.value)) methods.add(name);
+      }
+      prototype = Object.getPrototypeOf(prototype);
+    }
+    return Array.from(methods).sort();
+  }
+}
+
+/**
+ * Checks that an argument schema given to SequencerPresets.add() only describes known types, and that its defaults are
+ * valid
+ *
+ * @param {string} inName
+ * @param {Object} inSchema
+ */
+function validateSchema(inName, inSchema) {
+  if (typeof inSchema !== "object" || Array.isArray(inSchema)) {
+    throw custom_error(
+      "Sequencer",
+      `SequencerPresets | Preset "${inName}" - inOptions.args must be of type object`
+    );
+  }
+  for (const [key, argument] of Object.entries(inSchema)) {
+    if (!ARGUMENT_TYPES[argument?.type]) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" - argument "${key}" must have a type of "${Object.keys(
+          ARGUMENT_TYPES
+        ).join('", "')}"`
+      );
+    }
+    if (
+      argument.default === undefined ||
+      ["token", "location", "databasePath"].includes(argument.type)
+    ) {
+      continue;
+    }
+    try {
+      ARGUMENT_TYPES[argument.type](argument.default, argument);
+    } catch (err) {
+      throw custom_error(
+        "Sequencer",
+        `SequencerPresets | Preset "${inName}" - the default of argument "${key}" ${err}`
+      );
+    }
+  }
+}
+
+/**
+ * Creates the function that applies a world preset, which calls the preset's methods on the section it is applied to if
+ * that section is of the preset's type, and otherwise on a new section of that type
+ *
+ * @param {Object} inPreset
+ * @returns {Function}
+ */
+function createPresetFunction(inPreset) {
+  return (inTarget) => {
+    const section =
+      inTarget?.constructor?.niceName === PRESET_TYPES[inPreset.type]
+        ? inTarget
+        : (inTarget.sequence ?? inTarget)[inPreset.type]();
+    const methods = SequencerPresets.getSectionMethods(section);
+    for (const { method, args } of inPreset.methods) {
+      if (!methods.includes(method)) {
+        custom_warning(
+          section.sequence.moduleName,
+          `preset | "${inPreset.name}" - ${section.constructor.niceName} sections do not have a "${method}" method`
+        );
+        continue;
+      }
+      section[method](...foundry.utils.deepClone(args));
+    }
+    return section;
+  };
 }
@@ -1,14 +1,39 @@
 import Section from "../sections/section.js";
+import EffectSection from "../sections/effect.js";
+import ParticleSection from "../sections/particles.js";
+import SoundSection from "../sections/sound.js";
+import AnimationSection from "../sections/animation.js";
+import ScrollingTextSection from "../sections/scrollingText.js";
+import CanvasPanSection from "../sections/canvasPan.js";
+import traits from "../sections/traits/_traits.js";
 import * as lib from "../lib/lib.js";
 
+/**
+ * The sections that traits can be registered on, by the name of the Sequence method that creates them
+ */
+const TRAIT_SECTIONS = {
+  effect: EffectSection,
+  particles: ParticleSection,
+  sound: SoundSection,
+  animation: AnimationSection,
+  scrollingText: ScrollingTextSection,
+  canvasPan: CanvasPanSection,
+};
+
 class SequencerSectionManager {
 
 	#sections = {};
 
+	#traits = {};
+
 	get externalSections(){
 		return this.#sections;
 	}
 
+	get externalTraits(){
+		return this.#traits;
+	}
+
   /**
    * Registers a class by a name that will then be available through the Sequencer
    *
@@ -68,6 +93,91 @@ class SequencerSectionManager {
 
     return true;
   }
+
+  /**
+   * Registers a method on an existing type of section, which can then be chained like any of its other methods. Unless
+   * the method returns something else, it returns the section it was called on. If "serialize" is true, each call to the
+   * method is stored along with its arguments, so that it is serialized along with the section and called again when
+   * the section is deserialized, and effects and sounds include these calls in their data as "traits".
+   *
+   * @param {String}      inSectionType   One of "effect", "sound", "animation", "scrollingText", or "canvasPan"
+   * @param {String}      inName
+   * @param {Function}    inFunction
+   * @param {Object}      [inOptions]     inOptions
+   * @param {Boolean}     [inOptions.serialize=false] Whether calls to the method are serialized; their arguments must be serializable
+   * @param {Boolean}     [inOptions.overwrite=false] Whether to overwrite a method previously registered through this
+   * @returns {Boolean}                   Whether the registration succeeded
+   */
+  registerTrait(inSectionType, inName, inFunction, { serialize = false, overwrite = false } = {}) {
+    const sectionClass = TRAIT_SECTIONS[inSectionType];
+    if (!sectionClass) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SectionManager | registerTrait - inSectionType must be one of "${Object.keys(TRAIT_SECTIONS).join('", "')}"`
+      );
+    }
+
+    if (typeof inName !== "string" || !inName || inName.startsWith("_")) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SectionManager | registerTrait - inName must be of type string, and cannot start with an underscore`
+      );
+    }
+
+    if (!lib.is_function(inFunction)) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SectionManager | registerTrait - inFunction must be of type function`
+      );
+    }
+
+    const registeredTraits = this.#traits[inSectionType] ?? {};
+
+    if (registeredTraits[inName] && !overwrite) {
+      throw lib.custom_error(
+        "Sequencer",
+        `SectionManager | registerTrait - ${inName} is already a registered trait of ${inSectionType} sections`
+      );
+    }
+
+    if (!registeredTraits[inName]) {
+      const existingMethods = [
+        ...Object.getOwnPropertyNames(Sequence.prototype),
+        ...Object.keys(this.#sections),
+        ...Object.values(traits).map((trait) => Object.keys(trait)).flat(),
+      ];
+      let prototype = sectionClass.prototype;
+      while (prototype && prototype !== Object.prototype) {
+        existingMethods.push(...Object.getOwnPropertyNames(prototype));
+        prototype = Object.getPrototypeOf(prototype);
+      }
+      if (existingMethods.includes(inName)) {
+        throw lib.custom_error(
+          "Sequencer",
+          `SectionManager | registerTrait - ${inName} is an existing method of ${inSectionType} sections or the Sequence class - please register with another method name!`
+        );
+      }
+    }
+
+    sectionClass.prototype[inName] = function (...args) {
+      if (serialize) {
+        this._traitCalls.push({ name: inName, args });
+      }
+      const result = inFunction.call(this, ...args);
+      return result === undefined ? this : result;
+    };
+
+    this.#traits[inSectionType] = {
+      ...registeredTraits,
+      [inName]: { func: inFunction, serialize },
+    };
+
+    lib.debug(
+      `SectionManager | Successfully registered ${inName} trait on ${inSectionType} sections!`
+    );
+
+    return true;
+  }
 }
 
 const sectionManager = new SequencerSectionManager();
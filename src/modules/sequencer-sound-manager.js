@@ -5,6 +5,7 @@ import SequenceManager from "./sequence-manager.js";
 import { EffectsUIApp } from "../formapplications/effects-ui/effects-ui-app.js";
 import * as canvaslib from "../lib/canvas-lib.js";
 import CONSTANTS from "../constants.js";
+import SequencerClock from "./sequencer-clock.js";
 
 
 function createSoundListener(sound, name, func) {
@@ -58,6 +59,18 @@ export default class SequencerSoundManager {
 
 		if (data.delete) return false;
 
+		if (data.startAtServerTime) {
+			const lateness = await SequencerClock.waitUntil(data.startAtServerTime);
+			if (data.duration && lateness >= data.duration) return false;
+			if (lateness > 0) {
+				data = {
+					...data,
+					startTime: (data.startTime ?? 0) + lateness / 1000,
+					duration: data.duration ? data.duration - lateness : data.duration,
+				};
+			}
+		}
+
 		Hooks.callAll("createSequencerSound", data);
 
 		lib.debug(`Playing sound:`, data);
@@ -143,7 +156,7 @@ export default class SequencerSoundManager {
 		}
 
 		if (data.duration) {
-			setTimeout(() => {
+			sound.sequencer_timeout = lib.pausable_timeout(() => {
 				sound.stop();
 			}, data.duration);
 		}
@@ -159,6 +172,63 @@ export default class SequencerSoundManager {
 		return data.duration;
 	}
 
+	/**
+	 * Pauses or resumes every sound that was created by the given sequence
+	 *
+	 * @param {string} inSequenceId
+	 * @param {boolean} inPaused
+	 * @private
+	 */
+	static _setSequencePaused(inSequenceId, inPaused) {
+		for (const sound of this._getSequenceSounds(inSequenceId)) {
+			if (!!sound.sequencer_paused === inPaused) continue;
+			sound.sequencer_paused = inPaused;
+			SequencerAnimationEngine.setAnimationsPaused(sound.sequencer_data.id, inPaused);
+			if (inPaused) {
+				sound.sequencer_timeout?.pause();
+				sound.pause();
+				continue;
+			}
+			sound.sequencer_timeout?.resume();
+			this._resumeSound(sound, sound.currentTime + (sound.sequencer_skipped ?? 0) / 1000);
+			sound.sequencer_skipped = 0;
+		}
+	}
+
+	/**
+	 * Skips every sound that was created by the given sequence ahead by an amount of milliseconds
+	 *
+	 * @param {string} inSequenceId
+	 * @param {number} inMs
+	 * @private
+	 */
+	static _advanceSequence(inSequenceId, inMs) {
+		for (const sound of this._getSequenceSounds(inSequenceId)) {
+			sound.sequencer_timeout?.advance(inMs);
+			SequencerAnimationEngine.advanceAnimations(sound.sequencer_data.id, inMs);
+			if (sound.sequencer_paused) {
+				sound.sequencer_skipped = (sound.sequencer_skipped ?? 0) + inMs;
+				continue;
+			}
+			const offset = sound.currentTime + inMs / 1000;
+			sound.pause();
+			this._resumeSound(sound, offset);
+		}
+	}
+
+	static _getSequenceSounds(inSequenceId) {
+		return this.sounds.filter((sound) => sound.sequencer_data?.sequenceId === inSequenceId);
+	}
+
+	static _resumeSound(sound, offset) {
+		const duration = sound.duration || Infinity;
+		return sound.play({
+			offset: sound.loop ? offset % duration : Math.min(offset, duration),
+			volume: sound.volume,
+			loop: sound.loop
+		});
+	}
+
 	static _validateFilters(inFilter) {
 
 		if (inFilter?.sounds) {
@@ -1,18 +1,32 @@
 import * as lib from "../lib/lib.js";
 import FunctionSection from "../sections/func.js";
+import MacroSection from "../sections/macro.js";
 import EffectSection from "../sections/effect.js";
+import ParticleSection from "../sections/particles.js";
 import SoundSection from "../sections/sound.js";
 import AnimationSection from "../sections/animation.js";
 import Section from "../sections/section.js";
 import SequencerPresets from "./sequencer-presets.js";
+import SequencerConditions from "./sequencer-conditions.js";
+import SequencerClock from "./sequencer-clock.js";
+import SequencerFunctions from "./sequencer-functions.js";
+import sequenceSchema from "../utils/sequence-schema.js";
 import ScrollingTextSection from "../sections/scrollingText.js";
-import { sequencerSocket, SOCKET_HANDLERS } from "../sockets.js";
+import {
+	sequencerSocket,
+	SOCKET_HANDLERS,
+	setSequencePaused,
+	advanceSequence
+} from "../sockets.js";
 import CanvasPanSection from "../sections/canvasPan.js";
 import SequenceManager from "./sequence-manager.js";
 import { get, writable } from "svelte/store";
 import CONSTANTS from "../constants.js";
 import WaitSection from "../sections/wait.js";
 import CrosshairSection from "../sections/crosshair.js";
+import BranchSection from "../sections/branch.js";
+import ParallelSection from "../sections/parallel.js";
+import SetVarSection from "../sections/setVar.js";
 import { get_object_canvas_data } from "../lib/canvas-lib.js";
 import CrosshairsPlaceable from "./sequencer-crosshair/CrosshairsPlaceable.js";
 import CrosshairsDocument from "./sequencer-crosshair/CrosshairsDocument.js";
@@ -22,6 +36,7 @@ export default class Sequence {
 		options = {
 			moduleName: "Sequencer",
 			softFail: false,
+			continueOnError: false,
 		},
 		softFail = false
 	) {
@@ -31,35 +46,60 @@ export default class Sequence {
 				? options
 				: options?.moduleName ?? "Sequencer";
 		this.softFail = options?.softFail ?? softFail;
+		this._continueOnError = options?.continueOnError ?? false;
+		this._errorHandlers = [];
 		this.sections = [];
 		this.nameOffsetMap = false;
 		this.crosshairs = {}
+		this.context = {};
 		this.effectIndex = 0;
 		this.sectionToCreate = undefined;
 		this.localOnly = false;
 		this._status = writable(CONSTANTS.STATUS.READY);
+		this._timeouts = new Set();
+		this._loop = {
+			count: 1,
+			until: false,
+			stopped: false,
+		};
+		this._iteration = writable(0);
+		this._planning = false;
+		this._timing = {
+			startedAt: 0,
+			startedAtServerTime: 0,
+			pausedAt: 0,
+			pausedDuration: 0,
+			skipped: 0,
+		};
 		return lib.sequence_proxy_wrap(this);
 	}
 
 	/**
-	 * Plays all of this sequence's sections
+	 * Plays all of this sequence's sections. If given a time on the clock shared between clients through "at", the
+	 * sequence waits until then before it starts playing. Resolves to a report of how the sequence went, containing the
+	 * status, timing, and created effects and sounds of every section that was run, and any errors that were thrown.
 	 *
-	 * @returns {Promise}
+	 * @returns {Promise<Object>}
 	 */
-	async play({ remote = false, preload = false, local = false } = {}) {
+	async play({ remote = false, preload = false, local = false, at = null } = {}) {
+		if (at !== null && !lib.is_real_number(at))
+			throw lib.custom_error(
+				this.moduleName,
+				`play - at must be of type number`
+			);
 		this.localOnly = local || remote;
 		if (remote) {
 			const data = await this.toJSON();
 			sequencerSocket.executeForOthers(
 				SOCKET_HANDLERS.RUN_SEQUENCE_LOCALLY,
-				data
+				data,
+				{ at }
 			);
-			return new Sequence().fromJSON(data).play();
+			return new Sequence().fromJSON(data).play({ at });
 		}
 		Hooks.callAll("createSequencerSequence", this);
 		lib.debug("Initializing sections");
-		const initializationPromises = this.sections.map((section) => section._initialize())
-		await Promise.allSettled(initializationPromises)
+		await this._initializeSections(this.sections);
 		if (preload) {
 			const preloadFiles = this.sections.filter(section => !!section._file).map(section => section._file)
 			if(local) {
@@ -68,39 +108,303 @@ export default class Sequence {
 				await Sequencer.Preloader.preloadForClients(preloadFiles)
 			}
 		}
+		if (at !== null) {
+			lib.debug(`Waiting until ${at} to play sections`);
+			await SequencerClock.waitUntil(at);
+		}
 		SequenceManager.RunningSequences.add(this.id, this);
 		this.effectIndex = 0;
 		lib.debug("Playing sections");
 		this.status = CONSTANTS.STATUS.RUNNING;
-		const promises = [];
-		for (let section of this.sections) {
-			if (section instanceof EffectSection) this.effectIndex++;
-			if (section.shouldWaitUntilFinished) {
-				promises.push(await section._execute());
-			} else {
-				promises.push(section._execute());
-			}
-			if (this.status === CONSTANTS.STATUS.ABORTED) {
-				continue;
-			}
-			if (!section._isLastSection) {
-				await new Promise((resolve) => setTimeout(resolve, 3));
+		this._timing.startedAt = performance.now();
+		this._timing.startedAtServerTime = at ?? false;
+		this._iteration.set(0);
+		const results = [];
+		results.push(...await this._executeSections(this.sections));
+		while (await this._shouldLoop()) {
+			await this._wait(3);
+			this._iteration.update((iteration) => iteration + 1);
+			for (const section of this.sections) {
+				section._sectionStatus.set(CONSTANTS.STATUS.READY);
 			}
+			lib.debug(`Looping sections, iteration ${this.iteration}`);
+			results.push(...await this._executeSections(this.sections));
 		}
+		const sectionResults = results.map((result) => result.value).filter(Boolean);
+		Hooks.callAll("endedSequencerSequence", this, sectionResults);
+		lib.debug("Finished playing sections");
+		this.status = CONSTANTS.STATUS.COMPLETE;
+		return {
+			id: this.id,
+			status: lib.get_status_name(this.status),
+			duration: this.currentTime,
+			iterations: this.iteration + 1,
+			sections: sectionResults,
+			effects: sectionResults.map((result) => result.effects).flat(),
+			sounds: sectionResults.map((result) => result.sounds).flat(),
+			errors: sectionResults.filter((result) => result.error),
+		};
+	}
 
-		return Promise.allSettled(promises).then(() => {
-			Hooks.callAll("endedSequencerSequence");
-			lib.debug("Finished playing sections");
-			this.status = CONSTANTS.STATUS.COMPLETE;
-		});
+	/**
+	 * Adds a function that is called whenever a section of this sequence throws an error, either when it is being
+	 * initialized or while it is running. The function is given the error, the section's result, and this sequence, and
+	 * can either be an actual function, or the name of a function registered through Sequencer.Functions.
+	 *
+	 * @param {Function|string} inFunc
+	 * @returns {Sequence} this
+	 */
+	onError(inFunc) {
+		if (!(lib.is_function(inFunc) || typeof inFunc === "string"))
+			throw lib.custom_error(
+				this.moduleName,
+				`onError - inFunc must be of type function or string`
+			);
+		this._errorHandlers.push(inFunc);
+		return this;
+	}
+
+	/**
+	 * Sets whether this sequence should keep playing its remaining sections when one of them throws an error. By default,
+	 * a section throwing an error aborts the rest of the sequence.
+	 *
+	 * @param {boolean} [inContinue=true] inContinue
+	 * @returns {Sequence} this
+	 */
+	continueOnError(inContinue = true) {
+		if (typeof inContinue !== "boolean")
+			throw lib.custom_error(
+				this.moduleName,
+				`continueOnError - inContinue must be of type boolean`
+			);
+		this._continueOnError = inContinue;
+		return this;
+	}
+
+	/**
+	 * Causes the whole sequence to loop once it has played all of its sections, either a number of times, or until the
+	 * given function (or the name of a condition registered through Sequencer.Conditions) returns true. Without any
+	 * parameters, the sequence loops until it is stopped or aborted.
+	 *
+	 * @param {number|Function|string} [inLoop=Infinity] inLoop
+	 * @returns {Sequence} this
+	 */
+	loop(inLoop = Infinity) {
+		const isCount = typeof inLoop === "number" && (Number.isInteger(inLoop) || inLoop === Infinity);
+		if (!(isCount || lib.is_function(inLoop) || typeof inLoop === "string"))
+			throw lib.custom_error(
+				this.moduleName,
+				`loop - inLoop must be of type number, function, or string`
+			);
+		if (isCount && inLoop < 1)
+			throw lib.custom_error(
+				this.moduleName,
+				`loop - inLoop must be a number greater than 0`
+			);
+		this._loop = {
+			count: isCount ? inLoop : Infinity,
+			until: isCount ? false : inLoop,
+			stopped: false,
+		};
+		return this;
+	}
+
+	/**
+	 * Stops a looping sequence from looping again, letting its current iteration finish
+	 *
+	 * @returns {Sequence} this
+	 */
+	stopLoop() {
+		if (!this.isLooping) {
+			lib.custom_warning(this.moduleName, `stopLoop - This sequence is not looping`);
+			return this;
+		}
+		this._loop.stopped = true;
+		return this;
+	}
+
+	/**
+	 * Whether this sequence has been set to loop
+	 *
+	 * @returns {boolean}
+	 */
+	get isLooping() {
+		return this._loop.count > 1;
+	}
+
+	/**
+	 * The index of the iteration of the loop that this sequence is currently playing, starting at 0
+	 *
+	 * @returns {number}
+	 */
+	get iteration() {
+		return get(this._iteration);
+	}
+
+	get iterationStore() {
+		return this._iteration;
 	}
 
 	/**
-	 * Creates a section that will run a function.
+	 * Pauses the sequence, which freezes any pending waits and delays, and the effects and sounds it has created
 	 *
-	 * @param {function} inFunc
 	 * @returns {Sequence} this
 	 */
+	pause() {
+		if (this.status !== CONSTANTS.STATUS.RUNNING) {
+			lib.custom_warning(this.moduleName, `pause - Only running sequences can be paused`);
+			return this;
+		}
+		this.status = CONSTANTS.STATUS.PAUSED;
+		this._timing.pausedAt = performance.now();
+		for (const timeout of this._timeouts) {
+			timeout.pause();
+		}
+		this._setMediaPaused(true);
+		return this;
+	}
+
+	/**
+	 * Resumes a paused sequence
+	 *
+	 * @returns {Sequence} this
+	 */
+	resume() {
+		if (this.status !== CONSTANTS.STATUS.PAUSED) {
+			lib.custom_warning(this.moduleName, `resume - Only paused sequences can be resumed`);
+			return this;
+		}
+		this.status = CONSTANTS.STATUS.RUNNING;
+		this._timing.pausedDuration += performance.now() - this._timing.pausedAt;
+		for (const timeout of this._timeouts) {
+			timeout.resume();
+		}
+		this._setMediaPaused(false);
+		return this;
+	}
+
+	/**
+	 * Skips the sequence ahead to the given time in milliseconds since it started playing, fast-forwarding any pending
+	 * waits and delays, and the effects and sounds it has created. Sequences cannot be sought backwards.
+	 *
+	 * @param {number} inTime
+	 * @returns {Sequence} this
+	 */
+	seek(inTime) {
+		if (!lib.is_real_number(inTime))
+			throw lib.custom_error(
+				this.moduleName,
+				`seek - inTime must be of type number`
+			);
+		if (!(this.status === CONSTANTS.STATUS.RUNNING || this.status === CONSTANTS.STATUS.PAUSED)) {
+			lib.custom_warning(this.moduleName, `seek - Only running or paused sequences can be sought`);
+			return this;
+		}
+		const delta = inTime - this.currentTime;
+		if (delta <= 0) {
+			lib.custom_warning(this.moduleName, `seek - Sequences can only be sought forwards, it is already at ${Math.round(this.currentTime)}ms`);
+			return this;
+		}
+		this._timing.skipped += delta;
+		for (const timeout of this._timeouts) {
+			timeout.advance(delta);
+		}
+		advanceSequence(this.id, delta);
+		if (!this.localOnly) {
+			sequencerSocket.executeForOthers(SOCKET_HANDLERS.ADVANCE_SEQUENCE, this.id, delta);
+		}
+		return this;
+	}
+
+	/**
+	 * The amount of milliseconds this sequence has been playing for, excluding the time it has spent paused
+	 *
+	 * @returns {number}
+	 */
+	get currentTime() {
+		if (!this._timing.startedAt) return 0;
+		const now = this.status === CONSTANTS.STATUS.PAUSED
+			? this._timing.pausedAt
+			: performance.now();
+		return now - this._timing.startedAt - this._timing.pausedDuration + this._timing.skipped;
+	}
+
+	/**
+	 * Works out the timeline of this sequence without playing it, by initializing its sections and resolving their files,
+	 * durations, delays, and repetitions. Random delays are resolved to their minimum, maximum, or a random value based
+	 * on the "delays" option. Functions and macros are treated as instant, and conditions are evaluated as they would be
+	 * when played. Sequences that loop forever, or until a condition is met, are planned for a single iteration.
+	 *
+	 * @param {Object} [options] options
+	 * @param {string} [options.delays="min"] delays
+	 * @returns {Promise<Object>}
+	 */
+	async plan({ delays = "min" } = {}) {
+		if (!["min", "max", "random"].includes(delays))
+			throw lib.custom_error(
+				this.moduleName,
+				`plan - delays must be one of "min", "max", or "random"`
+			);
+		const context = this.context;
+		const iteration = this.iteration;
+		const nameOffsetMap = this.nameOffsetMap;
+		// The copies share their targets with the sections, which resolve context variables into them before running
+		const targets = this.sections.map((section) => section._target?.target);
+		this.context = { ...context };
+		this._planning = { delays, errors: [] };
+		try {
+			// Sections store what they resolve when initialized, so copies of them are planned instead
+			const planSections = this._adoptSections(this);
+			await this._planInitialize(planSections);
+			const iterations = !this._loop.until && Number.isFinite(this._loop.count)
+				? this._loop.count
+				: 1;
+			const sections = [];
+			let duration = 0;
+			for (let index = 0; index < iterations; index++) {
+				this._iteration.set(index);
+				const plan = await this._planSections(planSections, index ? duration + 3 : 0);
+				sections.push(...plan.sections.map((entry) => ({ iteration: index, ...entry })));
+				duration = plan.duration;
+			}
+			return {
+				duration,
+				end: Math.max(duration, ...sections.map((entry) => entry.end)),
+				iterations: iterations === this._loop.count ? iterations : null,
+				sections,
+				files: Array.from(new Set(sections.map((entry) => entry.files).flat())),
+				users: Array.from(new Set(sections.map((entry) => entry.users).flat())),
+				errors: this._planning.errors,
+			};
+		} finally {
+			this.context = context;
+			this.nameOffsetMap = nameOffsetMap;
+			this.sections.forEach((section, index) => {
+				if (section._target) section._target.target = targets[index];
+			});
+			this._iteration.set(iteration);
+			this._planning = false;
+		}
+	}
+
+	/**
+	 * The time on the clock shared between clients that this sequence is scheduled to have reached. This is the time it
+	 * was given to start at plus how long it has been playing for, so sequences that started late are behind it. Sequences
+	 * that were not scheduled through play({ at }) play immediately on every client, and have no server time.
+	 *
+	 * @returns {number|boolean}
+	 */
+	get serverTime() {
+		if (!this._timing.startedAtServerTime) return false;
+		return this._timing.startedAtServerTime + this.currentTime;
+	}
+
+	/**
+	 * Creates a section that will run a function, or a function registered through Sequencer.Functions by its name.
+	 *
+	 * @param {function|string} inFunc
+	 * @returns {FunctionSection}
+	 */
 	thenDo(inFunc) {
 		const func = lib.section_proxy_wrap(new FunctionSection(this, inFunc));
 		this.sections.push(func);
@@ -108,16 +412,17 @@ export default class Sequence {
 	}
 
 	/**
-	 * Creates a section that will run a macro based on a name or a direct reference to a macro.
+	 * Creates a section that will run a macro based on a name, id, UUID, or a direct reference to a macro.
 	 *
 	 * @param {string|Macro} inMacro
-	 * @param {object} args
+	 * @param {object} [inArgs={}] inArgs
 	 * @returns {Sequence} this
 	 */
-	macro(inMacro, ...args) {
+	macro(inMacro, inArgs = {}) {
 		let macro;
-		let compendium = false;
-		if (typeof inMacro === "string") {
+		if (inMacro === undefined) {
+			macro = inMacro;
+		} else if (typeof inMacro === "string") {
 			if (inMacro.startsWith("Compendium")) {
 				let packArray = inMacro.split(".");
 				let pack = game.packs.get(`${packArray[1]}.${packArray[2]}`);
@@ -131,11 +436,12 @@ export default class Sequence {
 						`macro - Compendium '${packArray[1]}.${packArray[2]}' was not found`
 					);
 				}
-				macro = packArray;
-				compendium = pack;
+				macro = inMacro;
 			} else {
-				macro = game.macros.getName(inMacro);
-				if (!macro) {
+				macro = game.macros.getName(inMacro)
+					?? game.macros.get(inMacro)
+					?? (inMacro.startsWith("Macro.") ? fromUuidSync(inMacro) : null);
+				if (!(macro instanceof Macro)) {
 					if (this.softFail) {
 						return this;
 					}
@@ -154,48 +460,17 @@ export default class Sequence {
 			);
 		}
 
-		args = args.length ? args?.[0] : {};
-		if (typeof args !== "object") {
+		if (!inArgs || typeof inArgs !== "object" || Array.isArray(inArgs)) {
 			throw lib.custom_error(
 				this.moduleName,
 				`macro - Secondary argument must be an object`
 			);
 		}
 
-		const func = lib.section_proxy_wrap(
-			new FunctionSection(
-				this,
-				async () => {
-					if (compendium) {
-						const macroIndex = (await compendium.getIndex())
-							.find((i) => {
-								if(macro[3] === "Macro"){
-									return macro[4] === i._id;
-								}
-								return i.name === macro[3]
-							});
-						const macroData = macroIndex ? (await compendium.getDocument(macroIndex?._id)) : false;
-						if (!macroData) {
-							if (this.softFail) {
-								return;
-							}
-							throw lib.custom_error(
-								this.moduleName,
-								`macro - Macro '${macro[3]}' was not found in compendium '${macro[1]}.${macro[2]}'`
-							);
-						}
-						macro = new Macro(macroData);
-						macro.ownership.default = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
-					}
-
-          await macro.execute(args);
-        },
-        true
-      )
-    );
-    this.sections.push(func);
-    return this;
-  }
+		const section = lib.section_proxy_wrap(new MacroSection(this, macro, inArgs));
+		this.sections.push(section);
+		return this;
+	}
 
   /**
    * Creates an effect section. Until you call .then(), .effect(), .sound(), or .wait(), you'll be working on the Effect section.
@@ -209,6 +484,18 @@ export default class Sequence {
     return effect;
   }
 
+  /**
+   * Creates a particle emitter section. Until you call .then(), .effect(), .sound(), or .wait(), you'll be working on the Particles section.
+   *
+   * @param {string|Array<string>} [inTextures] inTextures
+   * @returns {ParticleSection}
+   */
+  particles(inTextures = []) {
+    const particles = lib.section_proxy_wrap(new ParticleSection(this, inTextures));
+    this.sections.push(particles);
+    return particles;
+  }
+
   /**
    * Creates a sound section. Until you call .then(), .effect(), .sound(), or .wait(), you'll be working on the Sound section.
    *
@@ -279,6 +566,75 @@ export default class Sequence {
 		return crosshair;
 	}
 
+	/**
+	 * Creates a branch section, which picks one of several sequences to play at that point in the sequence. The
+	 * condition can either be a function (or the name of a condition registered through Sequencer.Conditions) whose
+	 * result picks the branch with the matching key, or an array of weighted entries to pick from at random.
+	 *
+	 * @param {Function|string|Array<{sequence: Sequence, weight: number}>} inCondition
+	 * @param {Object<string, Sequence>} [inBranches] inBranches
+	 * @returns {BranchSection}
+	 */
+	branch(inCondition, inBranches) {
+		const branch = lib.section_proxy_wrap(
+			new BranchSection(this, inCondition, inBranches)
+		);
+		this.sections.push(branch);
+		return branch;
+	}
+
+	/**
+	 * Creates a parallel section, which plays the given sequences at the same time. The sequence continues once they
+	 * have all finished ("all"), or once the first one has finished, either stopping the others ("race") or letting
+	 * them play out ("any").
+	 *
+	 * @param {Array<Sequence>} inSequences
+	 * @param {Object} [options] options
+	 * @param {string} [options.mode="all"] mode
+	 * @returns {ParallelSection}
+	 */
+	parallel(inSequences, { mode = "all" } = {}) {
+		const parallel = lib.section_proxy_wrap(
+			new ParallelSection(this, inSequences, { mode })
+		);
+		this.sections.push(parallel);
+		return parallel;
+	}
+
+	/**
+	 * Creates a section that sets a variable in the sequence's context when it is reached, which later sections can
+	 * reference as {{name}} in file paths, texts, and locations. If given a function, the variable is set to its result.
+	 *
+	 * @param {string} inName
+	 * @param {*|Function} inValue
+	 * @returns {SetVarSection}
+	 */
+	setVar(inName, inValue) {
+		if (inName !== undefined && typeof inName !== "string")
+			throw lib.custom_error(
+				this.moduleName,
+				`setVar - inName must be of type string`
+			);
+		const section = lib.section_proxy_wrap(new SetVarSection(this, inName, inValue));
+		this.sections.push(section);
+		return section;
+	}
+
+	/**
+	 * Retrieves a variable from the sequence's context
+	 *
+	 * @param {string} inName
+	 * @returns {*}
+	 */
+	getVar(inName) {
+		if (typeof inName !== "string")
+			throw lib.custom_error(
+				this.moduleName,
+				`getVar - inName must be of type string`
+			);
+		return foundry.utils.getProperty(this.context, inName);
+	}
+
 	/**
 	 * Adds a location to the sequence and ties it to a string so that it may be used later
 	 * @param {string} inName
@@ -339,7 +695,7 @@ export default class Sequence {
 	}
 
 	/**
-	 * Applies a preset to the sequence
+	 * Applies a preset to the sequence. Presets stored in the world create a new section of their type.
 	 *
 	 * @param {string} presetName
 	 * @param {*} args
@@ -357,6 +713,9 @@ export default class Sequence {
 			);
 			return this;
 		}
+		if (SequencerPresets.isWorldPreset(presetName)) {
+			return preset(this, ...args);
+		}
 		const lastSection = this.sections[this.sections.length - 1] || this;
 		return preset(lastSection, ...args);
 	}
@@ -387,13 +746,37 @@ export default class Sequence {
 		return this;
 	}
 
-	async toJSON() {
+	/**
+	 * Serializes this sequence, so that it can be recreated through fromJSON()
+	 *
+	 * @param {Object} [options] options
+	 * @param {boolean} [options.deferred=false] Whether effects should keep their randomly picked files and references to
+	 * the sequence's context variables, so that they are resolved each time the recreated sequence is played
+	 * @returns {Promise<Object>}
+	 */
+	async toJSON({ deferred = false } = {}) {
+		if (lib.is_function(this._loop.until)) {
+			throw lib.custom_error(
+				this.moduleName,
+				`toJSON - sequences looping until a function returns true cannot be serialized, register it through Sequencer.Conditions.register() and use its name instead`
+			);
+		}
 		const data = {
-			options: { moduleName: this.moduleName, softFail: this.softFail },
+			version: sequenceSchema.latestVersion,
+			options: {
+				moduleName: this.moduleName,
+				softFail: this.softFail,
+				continueOnError: this._continueOnError,
+			},
+			errorHandlers: this._errorHandlers.filter((handler) => typeof handler === "string"),
+			loop: {
+				count: Number.isFinite(this._loop.count) ? this._loop.count : null,
+				until: this._loop.until,
+			},
 			sections: [],
 		};
 		for (const section of this.sections) {
-			const sectionData = await section._serialize();
+			const sectionData = await section._serialize({ deferred });
 			if (!sectionData.type) {
 				throw new Error(
 					`Sequencer | toJson | ${section.constructor.name} does not support serialization!`
@@ -404,16 +787,271 @@ export default class Sequence {
 		return data;
 	}
 
-	fromJSON(data) {
+	/**
+	 * Recreates a sequence from data serialized through toJSON(), migrating it from older versions and validating it
+	 * beforehand. Sequences nested in branches and parallel sections are validated along with the sequence they are in.
+	 *
+	 * @param {Object} inData
+	 * @param {Object} [options] options
+	 * @param {boolean} [options.validate=true] options.validate
+	 * @returns {Sequence} this
+	 */
+	fromJSON(inData, { validate = true } = {}) {
+		const data = sequenceSchema.migrate(inData);
+		if (validate) {
+			const { errors, unknown } = sequenceSchema.validate(data);
+			const moduleName = data?.options?.moduleName ?? this.moduleName;
+			if (errors.length) {
+				throw lib.custom_error(
+					moduleName,
+					`fromJSON - Invalid sequence data: ${errors.join(", ")}`
+				);
+			}
+			if (unknown.length) {
+				lib.custom_warning(
+					moduleName,
+					`fromJSON - Ignoring unknown fields: ${unknown.join(", ")}`
+				);
+			}
+		}
 		this.moduleName = data.options.moduleName;
 		this.softFail = data.options.softFail;
+		this._continueOnError = data.options.continueOnError ?? false;
+		this._errorHandlers = data.errorHandlers ?? [];
 		this.localOnly = true;
+		if (data.loop) {
+			this._loop = {
+				count: data.loop.count ?? Infinity,
+				until: data.loop.until,
+				stopped: false,
+			};
+		}
 		for (const section of data.sections) {
 			this[section.type]()._deserialize(section);
 		}
 		return this;
 	}
 
+	/**
+	 * Initializes the given sections, passing along any errors they throw
+	 *
+	 * @param {Array<Section>} sections
+	 * @returns {Promise}
+	 * @private
+	 */
+	async _initializeSections(sections) {
+		const results = await Promise.allSettled(sections.map((section) => section._initialize()));
+		for (const [index, result] of results.entries()) {
+			if (result.status !== "rejected") continue;
+			sections[index]._index = index;
+			await this._onSectionError(sections[index], result.reason, { initializing: true });
+		}
+	}
+
+	/**
+	 * Marks the given section as failed, and calls the functions added through onError. Unless this sequence has been
+	 * set to continue on errors, the rest of the sequence is then aborted.
+	 *
+	 * @param {Section} section
+	 * @param {Error} error
+	 * @param {boolean} [initializing=false] initializing
+	 * @returns {Promise}
+	 * @private
+	 */
+	async _onSectionError(section, error, { initializing = false } = {}) {
+		if (initializing) {
+			section._initializationError = error;
+		} else {
+			section._error = error;
+		}
+		section.sectionStatus = CONSTANTS.STATUS.FAILED;
+		if (!this._errorHandlers.length) {
+			console.error(error);
+		}
+		const result = section._getResult();
+		for (const handler of this._errorHandlers) {
+			const func = typeof handler === "string" ? SequencerFunctions.get(handler) : handler;
+			if (!func) {
+				lib.custom_warning(this.moduleName, `onError - Could not find function with name "${handler}"`);
+				continue;
+			}
+			try {
+				await func(error, result, this);
+			} catch (err) {
+				console.error(err);
+			}
+		}
+		if (!this._continueOnError) {
+			this._abort();
+		}
+	}
+
+	/**
+	 * Executes the given sections in order, waiting for those that should be waited on, and resolves to the settled
+	 * results of each section
+	 *
+	 * @param {Array<Section>} sections
+	 * @returns {Promise<Array<Object>>}
+	 * @private
+	 */
+	async _executeSections(sections) {
+		const promises = [];
+		for (const [index, section] of sections.entries()) {
+			section._index = index;
+			section._effectIds = [];
+			section._soundIds = [];
+			section._blocked = false;
+			section._error = null;
+			section._timing = { startedAt: null, endedAt: null };
+			if (section._initializationError) {
+				section.sectionStatus = CONSTANTS.STATUS.FAILED;
+				promises.push(section._getResult(index));
+				continue;
+			}
+			// Sections can be aborted before they start, such as when the sequence is aborted or loses a race
+			if (get(section.sectionStatus) === CONSTANTS.STATUS.ABORTED) {
+				promises.push(section._getResult(index));
+				continue;
+			}
+			if (Hooks.call("preSequencerSection", this, section._getResult(index)) === false) {
+				section.sectionStatus = CONSTANTS.STATUS.SKIPPED;
+				promises.push(section._getResult(index));
+				continue;
+			}
+			if (section instanceof EffectSection) this.effectIndex++;
+			section._timing.startedAt = this.currentTime;
+			Hooks.callAll("sequencerSectionStarted", this, section._getResult(index));
+			const promise = section._execute().catch((err) => this._onSectionError(section, err)).then(() => {
+				section.sectionStatus = CONSTANTS.STATUS.COMPLETE;
+				section._timing.endedAt = this.currentTime;
+				const result = section._getResult(index);
+				Hooks.callAll("sequencerSectionEnded", this, result);
+				return result;
+			});
+			if (section.shouldWaitUntilFinished) {
+				promises.push(await promise);
+			} else {
+				promises.push(promise);
+			}
+			if (this.status === CONSTANTS.STATUS.ABORTED) {
+				continue;
+			}
+			if (!section._isLastSection) {
+				await this._wait(3);
+			}
+		}
+		return Promise.allSettled(promises);
+	}
+
+	/**
+	 * @returns {Promise<boolean>}
+	 * @private
+	 */
+	async _shouldLoop() {
+		if (this.status === CONSTANTS.STATUS.ABORTED || this._loop.stopped) return false;
+		const nextIteration = this.iteration + 1;
+		if (nextIteration >= this._loop.count) return false;
+		if (!this._loop.until) return true;
+		let until = this._loop.until;
+		if (typeof until === "string") {
+			until = SequencerConditions.get(this._loop.until);
+			if (!until) {
+				lib.custom_warning(this.moduleName, `loop - Could not find condition with name "${this._loop.until}"`);
+				return false;
+			}
+		}
+		return !(await until(nextIteration, this));
+	}
+
+	/**
+	 * Initializes the given sections ahead of planning them, noting down any that failed
+	 *
+	 * @param {Array<Section>} sections
+	 * @returns {Promise}
+	 * @private
+	 */
+	async _planInitialize(sections) {
+		const results = await Promise.allSettled(sections.map((section) => section._initialize()));
+		results.forEach((result, index) => {
+			if (result.status !== "rejected") return;
+			this._planning.errors.push({
+				type: sections[index].constructor.niceName,
+				error: result.reason?.message ?? String(result.reason),
+			});
+		});
+	}
+
+	/**
+	 * Plans the given sections in order from the given start time, mirroring how they would be executed
+	 *
+	 * @param {Array<Section>} sections
+	 * @param {number} inStartTime
+	 * @returns {Promise<{sections: Array<Object>, duration: number, end: number}>}
+	 * @private
+	 */
+	async _planSections(sections, inStartTime) {
+		const entries = [];
+		let time = inStartTime;
+		let duration = inStartTime;
+		for (const section of sections) {
+			const entry = await section._plan(time);
+			entries.push(entry);
+			duration = Math.max(duration, entry.resolvesAt);
+			if (entry.waitUntilFinished) {
+				time = entry.resolvesAt;
+			}
+			if (!section._isLastSection) {
+				time += 3;
+			}
+		}
+		return {
+			sections: entries,
+			duration,
+			end: Math.max(duration, ...entries.map((entry) => entry.end)),
+		};
+	}
+
+	/**
+	 * Picks a value between the given minimum and maximum based on how the sequence is being planned
+	 *
+	 * @param {number} inMin
+	 * @param {number} inMax
+	 * @returns {number}
+	 * @private
+	 */
+	_planValue(inMin, inMax) {
+		switch (this._planning?.delays) {
+			case "max":
+				return inMax;
+			case "random":
+				return lib.random_float_between(inMin, inMax);
+			default:
+				return inMin;
+		}
+	}
+
+	/**
+	 * Creates copies of the given sequence's sections that belong to this sequence, so that they can be executed as a part of it
+	 *
+	 * @param {Sequence} inSequence
+	 * @returns {Array<Section>}
+	 * @private
+	 */
+	_adoptSections(inSequence) {
+		const sections = [];
+		for (const section of inSequence.sections) {
+			const newSection = Object.assign(
+				Object.create(Object.getPrototypeOf(section)),
+				section
+			);
+			newSection.sequence = this;
+			newSection._sectionStatus = writable(CONSTANTS.STATUS.READY);
+			newSection._siblingSections = sections;
+			sections.push(newSection);
+		}
+		return sections;
+	}
+
 	_createCustomSection(...args) {
 		const func = lib.section_proxy_wrap(
 			new this.sectionToCreate(this, ...args)
@@ -438,11 +1076,36 @@ export default class Sequence {
 		);
 	}
 
+	/**
+	 * Waits for an amount of milliseconds, which is halted while the sequence is paused
+	 *
+	 * @param {number} ms
+	 * @returns {Promise}
+	 * @private
+	 */
+	_wait(ms) {
+		return new Promise((resolve) => {
+			const timeout = lib.pausable_timeout(() => {
+				this._timeouts.delete(timeout);
+				resolve();
+			}, ms, this.status === CONSTANTS.STATUS.PAUSED);
+			this._timeouts.add(timeout);
+		});
+	}
+
+	_setMediaPaused(inPaused) {
+		setSequencePaused(this.id, inPaused);
+		if (!this.localOnly) {
+			sequencerSocket.executeForOthers(SOCKET_HANDLERS.SET_SEQUENCE_PAUSED, this.id, inPaused);
+		}
+	}
+
 	set status(inStatus) {
 		this._status.update((currentStatus) => {
 			if (
 				currentStatus === CONSTANTS.STATUS.READY ||
-				currentStatus === CONSTANTS.STATUS.RUNNING
+				currentStatus === CONSTANTS.STATUS.RUNNING ||
+				currentStatus === CONSTANTS.STATUS.PAUSED
 			) {
 				return inStatus;
 			}
@@ -459,6 +1122,9 @@ export default class Sequence {
 	}
 
 	_abort() {
+		if (this.status === CONSTANTS.STATUS.PAUSED) {
+			this.resume();
+		}
 		this.status = CONSTANTS.STATUS.ABORTED;
 		for (const section of this.sections) {
 			section._abortSection();
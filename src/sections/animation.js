@@ -3,6 +3,7 @@ import * as canvaslib from "../lib/canvas-lib.js";
 import Section from "./section.js";
 import traits from "./traits/_traits.js";
 import { sequencerSocket, SOCKET_HANDLERS } from "../sockets.js";
+import CONSTANTS from "../constants.js";
 
 class AnimationSection extends Section {
   constructor(inSequence, inTarget) {
@@ -238,6 +239,43 @@ class AnimationSection extends Section {
     return this._runAnimate();
   }
 
+  /**
+   * @private
+   */
+  async _planRun() {
+    const durations = [
+      this._duration || 0,
+      ...[
+        this._rotateTowards,
+        this._fadeIn,
+        this._fadeInAudio,
+        this._rotateIn,
+        this._fadeOut,
+        this._fadeOutAudio,
+        this._rotateOut,
+      ]
+        .filter(Boolean)
+        .map((animation) => animation.duration + animation.delay),
+    ];
+    if (this._moveTowards && this._originObject) {
+      const distance = canvaslib.distance_between(
+        canvaslib.get_object_position(this._originObject, { exact: true }),
+        canvaslib.get_object_position(this._moveTowards.target, {
+          exact: true,
+        })
+      );
+      const maxFPS = 1000 / game.settings.get("core", "maxFPS");
+      durations.push(
+        (this._duration || (distance / this._moveSpeed) * maxFPS) +
+          this._moveTowards.delay
+      );
+    }
+    return {
+      duration: Math.max(...durations),
+      users: this._planUsers(),
+    };
+  }
+
   /**
    * @private
    */
@@ -296,19 +334,25 @@ class AnimationSection extends Section {
    * @private
    */
   async _execute() {
-    if (!(await this._shouldPlay())) return;
+    if (!(await this._shouldPlay())) {
+      this.sectionStatus = CONSTANTS.STATUS.SKIPPED;
+      return;
+    }
     let self = this;
     this._basicDelay = lib.random_float_between(this._delayMin, this._delayMax);
-    return new Promise(async (resolve) => {
-      setTimeout(async () => {
-        await this._waitForTokenRefresh(this._originObject);
-        if (this._shouldAsync) {
-          await self.run();
-        } else {
-          self.run();
-        }
-        resolve();
-      }, this._basicDelay);
+    return new Promise(async (resolve, reject) => {
+      this.sequence
+        ._wait(this._basicDelay)
+        .then(async () => {
+          await this._waitForTokenRefresh(this._originObject);
+          if (this._shouldAsync) {
+            await self.run();
+          } else {
+            self.run().catch((err) => this.sequence._onSectionError(this, err));
+          }
+          resolve();
+        })
+        .catch(reject);
     });
   }
 
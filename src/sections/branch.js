@@ -0,0 +1,208 @@
+import * as lib from "../lib/lib.js";
+import Section from "./section.js";
+import Sequence from "../modules/sequencer.js";
+import SequencerConditions from "../modules/sequencer-conditions.js";
+import CONSTANTS from "../constants.js";
+import { get } from "svelte/store";
+
+export default class BranchSection extends Section {
+  constructor(inSequence, inCondition, inBranches) {
+    super(inSequence);
+    this._condition = false;
+    this._branches = {};
+    this._weightedBranches = false;
+    this._runningSections = [];
+    if (inCondition === undefined && inBranches === undefined) return;
+    if (Array.isArray(inCondition)) {
+      if (!inCondition.length)
+        throw this.sequence._customError(
+          this,
+          "branch",
+          "the weighted table must contain at least one entry"
+        );
+      this._weightedBranches = inCondition.map((entry) => {
+        const weight = entry?.weight ?? 1;
+        if (!lib.is_real_number(weight) || weight <= 0)
+          throw this.sequence._customError(
+            this,
+            "branch",
+            "each weighted entry's weight must be a positive number"
+          );
+        return {
+          weight,
+          sequence: this._validateBranch(entry?.sequence),
+        };
+      });
+      return;
+    }
+    if (!(typeof inCondition === "string" || lib.is_function(inCondition)))
+      throw this.sequence._customError(
+        this,
+        "branch",
+        "inCondition must be of type string, function, or an array of weighted entries"
+      );
+    if (typeof inBranches !== "object" || Array.isArray(inBranches))
+      throw this.sequence._customError(
+        this,
+        "branch",
+        "inBranches must be of type object"
+      );
+    this._condition = inCondition;
+    for (const [key, branch] of Object.entries(inBranches)) {
+      this._branches[key] = this._validateBranch(branch);
+    }
+  }
+
+  static niceName = "Branch";
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async run() {
+    this._runningSections = [];
+    const branch = await this._determineBranch();
+    if (!branch) {
+      lib.debug("Branch - no branch was chosen");
+      return;
+    }
+    lib.debug("Running branch");
+    const sections = this.sequence._adoptSections(branch);
+    this._runningSections = sections;
+    await this.sequence._initializeSections(sections);
+    if (get(this.sectionStatus) === CONSTANTS.STATUS.ABORTED) return;
+    await this.sequence._executeSections(sections);
+  }
+
+  async _planRun(inStartTime) {
+    const branch = await this._determineBranch();
+    if (!branch) return {};
+    const sections = this.sequence._adoptSections(branch);
+    await this.sequence._planInitialize(sections);
+    const plan = await this.sequence._planSections(sections, inStartTime);
+    return {
+      duration: plan.duration - inStartTime,
+      end: plan.end,
+      files: plan.sections.map((entry) => entry.files).flat(),
+      users: plan.sections.map((entry) => entry.users).flat(),
+      sections: plan.sections,
+    };
+  }
+
+  _getResult(inIndex) {
+    const result = super._getResult(inIndex);
+    for (const section of this._runningSections) {
+      const { effects, sounds } = section._getResult();
+      result.effects.push(...effects);
+      result.sounds.push(...sounds);
+    }
+    return result;
+  }
+
+  _abortSection() {
+    super._abortSection();
+    for (const section of this._runningSections) {
+      section._abortSection();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateBranch(inBranch) {
+    if (inBranch instanceof Section) inBranch = inBranch.sequence;
+    if (!(inBranch instanceof Sequence)) {
+      throw this.sequence._customError(
+        this,
+        "branch",
+        "could not find the sequence from the given branch"
+      );
+    }
+    return inBranch;
+  }
+
+  /**
+   * @private
+   */
+  async _determineBranch() {
+    if (this._weightedBranches) {
+      const totalWeight = this._weightedBranches.reduce(
+        (acc, branch) => acc + branch.weight,
+        0
+      );
+      let roll = lib.random_float_between(0, totalWeight);
+      for (const branch of this._weightedBranches) {
+        roll -= branch.weight;
+        if (roll < 0) return branch.sequence;
+      }
+      return this._weightedBranches[this._weightedBranches.length - 1]
+        .sequence;
+    }
+
+    let condition = this._condition;
+    if (typeof condition === "string") {
+      condition = SequencerConditions.get(this._condition);
+      if (!condition) {
+        this.sequence._showWarning(
+          this,
+          "branch",
+          `Could not find condition with name "${this._condition}"`
+        );
+        return false;
+      }
+    }
+    if (!condition) return false;
+
+    const result = await condition(this.sequence);
+    return this._branches[String(result)] ?? this._branches["default"];
+  }
+
+  async _serialize(inOptions) {
+    if (lib.is_function(this._condition)) {
+      throw this.sequence._customError(
+        this,
+        "toJSON",
+        "branches using a function as a condition cannot be serialized, register it through Sequencer.Conditions.register() and use its name instead"
+      );
+    }
+    const data = await super._serialize();
+    const branches = {};
+    for (const [key, branch] of Object.entries(this._branches)) {
+      branches[key] = await branch.toJSON(inOptions);
+    }
+    const weightedBranches = [];
+    for (const branch of this._weightedBranches || []) {
+      weightedBranches.push({
+        weight: branch.weight,
+        sequence: await branch.sequence.toJSON(inOptions),
+      });
+    }
+    return {
+      ...data,
+      type: "branch",
+      sectionData: {
+        condition: this._condition,
+        branches,
+        weightedBranches: this._weightedBranches ? weightedBranches : false,
+      },
+    };
+  }
+
+  async _deserialize(data) {
+    this._condition = data.sectionData.condition;
+    this._branches = Object.fromEntries(
+      Object.entries(data.sectionData.branches).map(([key, branchData]) => [
+        key,
+        new Sequence().fromJSON(branchData, { validate: false }),
+      ])
+    );
+    this._weightedBranches = data.sectionData.weightedBranches
+      ? data.sectionData.weightedBranches.map((branch) => ({
+          weight: branch.weight,
+          sequence: new Sequence().fromJSON(branch.sequence, {
+            validate: false,
+          }),
+        }))
+      : false;
+    return super._deserialize(data);
+  }
+}
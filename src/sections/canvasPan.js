@@ -176,6 +176,10 @@ export default class CanvasPanSection extends Section {
     return this;
   }
 
+  async preRun() {
+    this._applyContextToLocations();
+  }
+
   async run() {
     const data = await this._sanitizeData();
     if (Hooks.call("preCanvasPan", data) === false) return;
@@ -183,9 +187,22 @@ export default class CanvasPanSection extends Section {
       !(data?.users?.length === 1 && data?.users?.includes(game.userId)) &&
       !this.sequence.localOnly;
     const duration = SequencerFoundryReplicator.panCanvas(data, push);
-    await new Promise((resolve) =>
-      setTimeout(resolve, this._currentWaitTime + duration)
-    );
+    await this.sequence._wait(this._currentWaitTime + duration);
+  }
+
+  async _planRun() {
+    const data = await this._sanitizeData();
+    if (!data.source) return {};
+    let duration = data.duration;
+    if (data.speed) {
+      const position =
+        SequencerFoundryReplicator._getPositionFromData(data);
+      duration = Math.round(
+        (canvaslib.distance_between(canvas.stage.pivot, position) * 1000) /
+          data.speed
+      );
+    }
+    return { duration, users: this._planUsers(data.users) };
   }
 
   _getSourceObject() {
@@ -209,7 +226,7 @@ export default class CanvasPanSection extends Section {
       users: this._users ? Array.from(this._users) : false,
       moduleName: this.sequence.moduleName,
       source: this._getSourceObject(),
-      offset: this._offset?.source ?? false,
+      offset: this._resolveOffset(this._offset?.source) ?? false,
       randomOffset: this._randomOffset?.source ?? false,
       duration: this._duration,
       speed: this._speed,
@@ -286,6 +286,10 @@ export default class CrosshairSection extends Section {
 		await this.run();
 	}
 
+	async _planRun() {
+		return { interactive: true };
+	}
+
 	/**
 	 * @private
 	 */
@@ -4,12 +4,16 @@ import * as canvaslib from "../lib/canvas-lib.js";
 import Section from "./section.js";
 import traits from "./traits/_traits.js";
 import CanvasEffect from "../canvas-effects/canvas-effect.js";
+import effectGroups from "../canvas-effects/effect-groups.js";
 import flagManager from "../utils/flag-manager.js";
 import SequencerFileCache from "../modules/sequencer-file-cache.js";
+import SequencerMiddleware from "../modules/sequencer-middleware.js";
 import CONSTANTS from "../constants.js";
 import CrosshairsPlaceable from "../modules/sequencer-crosshair/CrosshairsPlaceable.js";
 import CrosshairsDocument from "../modules/sequencer-crosshair/CrosshairsDocument.js";
 
+const CHAIN_JUMP_ORDERS = ["given", "nearest"];
+
 export default class EffectSection extends Section {
 	constructor(inSequence, inFile = "") {
 		super(inSequence);
@@ -67,6 +71,10 @@ export default class EffectSection extends Section {
 		this._spriteScaleMax = null;
 		this._isometric = null;
 		this._shapes = [];
+		this._particles = null;
+		this._movePath = null;
+		this._chainTo = null;
+		this._group = null;
 		this._xray = null;
 		this._playEffect = true;
 	}
@@ -126,6 +134,39 @@ export default class EffectSection extends Section {
 		return this;
 	}
 
+	/**
+	 * Adds the effect to a group of effects that share a container on the canvas, which can be moved, rotated, scaled,
+	 * and faded as a whole through Sequencer.EffectManager.updateGroup(), and whose effects can be ended together by
+	 * passing the group's name to Sequencer.EffectManager.endEffects()
+	 *
+	 * @param {string} inName
+	 * @param {object} [inOptions] inOptions
+	 * @returns {EffectSection}
+	 */
+	group(inName, inOptions = {}) {
+		if (typeof inName !== "string" || !inName)
+			throw this.sequence._customError(
+				this,
+				"group",
+				"inName must be of type string"
+			);
+		if (typeof inOptions !== "object" || inOptions === null)
+			throw this.sequence._customError(
+				this,
+				"group",
+				"inOptions must be of type object"
+			);
+		const transform = effectGroups.validateTransform(inOptions);
+		if (typeof transform === "string")
+			throw this.sequence._customError(this, "group", `inOptions.${transform}`);
+		this._group = {
+			...foundry.utils.deepClone(effectGroups.DEFAULT_TRANSFORM),
+			...transform,
+			name: inName,
+		};
+		return this;
+	}
+
 	syncGroup(inString) {
 		if (typeof inString !== "string")
 			throw this.sequence._customError(
@@ -515,6 +556,68 @@ export default class EffectSection extends Section {
 		return this;
 	}
 
+	/**
+	 * Causes the effect to chain from its location to each of the given targets in turn, like chain lightning. Each link
+	 * in the chain is its own effect that is stretched between two targets, and all links share the effect's name.
+	 *
+	 * @param {Array<Object|String>} inTargets
+	 * @param {Object} inOptions
+	 * @returns {EffectSection}
+	 */
+	chainTo(inTargets, inOptions = {}) {
+		if (!Array.isArray(inTargets) || !inTargets.length) {
+			throw this.sequence._customError(
+				this,
+				"chainTo",
+				"inTargets must be an array containing at least one target"
+			);
+		}
+		if (typeof inOptions !== "object")
+			throw this.sequence._customError(
+				this,
+				"chainTo",
+				`inOptions must be of type object`
+			);
+		const {
+			delayBetween = 0,
+			jumpOrder = "given",
+			...stretchOptions
+		} = inOptions;
+		if (!lib.is_real_number(delayBetween) || delayBetween < 0)
+			throw this.sequence._customError(
+				this,
+				"chainTo",
+				"inOptions.delayBetween must be a number that is 0 or higher"
+			);
+		if (!CHAIN_JUMP_ORDERS.includes(jumpOrder))
+			throw this.sequence._customError(
+				this,
+				"chainTo",
+				`inOptions.jumpOrder must be one of "${CHAIN_JUMP_ORDERS.join('", "')}"`
+			);
+		const targets = inTargets.map((target) => {
+			const validatedObject = target
+				? this._validateLocation(target)
+				: undefined;
+			if (validatedObject === undefined)
+				throw this.sequence._customError(
+					this,
+					"chainTo",
+					"could not find position of one of the given targets"
+				);
+			return stretchOptions.cacheLocation
+				? canvaslib.get_object_canvas_data(validatedObject, { measure: true, uuid: false })
+				: validatedObject;
+		});
+		this.stretchTo(targets[0], stretchOptions);
+		this._chainTo = {
+			targets,
+			delayBetween,
+			jumpOrder,
+		};
+		return this;
+	}
+
 	/**
 	 * Sets the location to rotate the object to
 	 *
@@ -597,6 +700,81 @@ export default class EffectSection extends Section {
 		return this;
 	}
 
+	/**
+	 * Causes the effect to move along a path, which can be a list of points, a Drawing, or a spline
+	 *
+	 * @param {Array|Drawing|string|object} inPath
+	 * @param {object} inOptions
+	 * @returns this
+	 */
+	moveAlongPath(inPath, inOptions = {}) {
+		inOptions = foundry.utils.mergeObject(
+			{
+				speed: null,
+				ease: "linear",
+				delay: 0,
+				orientToPath: false,
+				loop: false,
+			},
+			inOptions
+		);
+		if (inOptions.speed !== null && !(lib.is_real_number(inOptions.speed) && inOptions.speed > 0)) {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"inOptions.speed must be a positive number"
+			);
+		}
+		if (typeof inOptions.ease !== "string") {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"inOptions.ease must be of type string"
+			);
+		}
+		if (!lib.is_real_number(inOptions.delay)) {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"inOptions.delay must be of type number"
+			);
+		}
+		if (typeof inOptions.orientToPath !== "boolean") {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"inOptions.orientToPath must be of type boolean"
+			);
+		}
+		if (typeof inOptions.loop !== "boolean" && !(lib.is_real_number(inOptions.loop) && inOptions.loop > 0)) {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"inOptions.loop must be of type boolean or a positive number"
+			);
+		}
+		if (!Array.isArray(inPath) && !Array.isArray(inPath?.points)) {
+			inPath = this._validateLocation(inPath);
+		}
+		const path = canvaslib.validatePath(inPath, inOptions);
+		if (typeof path === "string") {
+			throw this.sequence._customError(this, "moveAlongPath", path);
+		}
+		if (!this._source) {
+			this._source = { ...path.points[0] };
+		}
+		this._movePath = {
+			points: path.points,
+			closed: path.closed,
+			speed: inOptions.speed,
+			ease: inOptions.ease,
+			delay: inOptions.delay,
+			orientToPath: inOptions.orientToPath,
+			loop: inOptions.loop,
+		};
+		return this;
+	}
+
 	/**
 	 *  Create an effect based on the given object, effectively copying the object as an effect. Useful when you want to do some effect magic on tokens or tiles.
 	 *
@@ -1931,7 +2109,8 @@ export default class EffectSection extends Section {
 
 	/**
 	 * Declares which file to be played. This may also be an array of paths, which will be randomly picked from each
-	 * time the section is played.
+	 * time the section is played, or of objects with a path and a weight to make some paths more likely to be picked.
+	 * Spritesheet JSON atlases and numbered image sequences can be given an fps, a frame range, and an animation to play.
 	 *
 	 * @param {string|array} inFile
 	 * @param {object} inOptions
@@ -1962,6 +2141,30 @@ export default class EffectSection extends Section {
 				"inOptions.antialiasing must be of type number of 0 or 1 (see PIXI.SCALE_MODES)"
 			);
 		}
+		if (inOptions.fps !== undefined && (!lib.is_real_number(inOptions.fps) || inOptions.fps <= 0))
+			throw this.sequence._customError(
+				this,
+				"file",
+				"inOptions.fps must be a number higher than 0"
+			);
+		if (
+			inOptions.frames !== undefined &&
+			(!Array.isArray(inOptions.frames) ||
+				inOptions.frames.length !== 2 ||
+				!inOptions.frames.every((frame) => Number.isInteger(frame) && frame >= 0) ||
+				inOptions.frames[1] < inOptions.frames[0])
+		)
+			throw this.sequence._customError(
+				this,
+				"file",
+				"inOptions.frames must be an array of a start and end frame, such as [0, 23]"
+			);
+		if (inOptions.animation !== undefined && typeof inOptions.animation !== "string")
+			throw this.sequence._customError(
+				this,
+				"file",
+				"inOptions.animation must be of type string"
+			);
 		this._file = inFile;
 		this._fileOptions = inOptions;
 		return this;
@@ -2029,6 +2232,13 @@ export default class EffectSection extends Section {
 				"You're trying to stretch towards an object, while moving towards it? You're insane."
 			);
 		}
+		if (this._movePath && (this._stretchTo || this._moveTowards)) {
+			throw this.sequence._customError(
+				this,
+				"moveAlongPath",
+				"An effect cannot move along a path while it is also stretching or moving towards an object"
+			);
+		}
 		if (
 			this._attachTo &&
 			this._stretchTo?.attachTo &&
@@ -2072,6 +2282,8 @@ export default class EffectSection extends Section {
 	 */
 	async preRun() {
 
+		this._applyContextToLocations();
+
 		const crosshairSource = this.sequence?.crosshairs?.[this._source];
 		if(typeof this._source === "string" && crosshairSource){
 			this._source = crosshairSource.uuid;
@@ -2085,6 +2297,11 @@ export default class EffectSection extends Section {
 			this._attachTo.active = !!crosshairSource;
 		}
 
+		if (this._chainTo?.jumpOrder === "nearest") {
+			this._chainTo.targets = this._getNearestChainOrder();
+			this._stretchTo.target = this._chainTo.targets[0];
+		}
+
 	}
 
 	/**
@@ -2092,6 +2309,10 @@ export default class EffectSection extends Section {
 	 * @returns {Promise<void>}
 	 */
 	async run() {
+		// Files that reference the sequence's context can only be checked once the effect is played
+		if (!this._deserializedData && this._playEffect && this._referencesContext(this._file)) {
+			if (!(await this._validateFile())) return;
+		}
 		if (!lib.user_can_do("permissions-effect-create") || !this._playEffect) {
 			if (!lib.user_can_do("permissions-effect-create")) {
 				foundry.utils.debounce(EffectSection.debounceWarning, 1000);
@@ -2101,19 +2322,258 @@ export default class EffectSection extends Section {
 			});
 		}
 		if (!this._deserializedData) this._expressWarnings();
+		const effects = [];
+		const effectData = await this._sanitizeEffectData();
+		const delayBetween = effectData.chain ? effectData.chain.delayBetween : 0;
+		for (const [index, link] of this._getChainLinks(effectData).entries()) {
+			const data = await SequencerMiddleware._apply("effect", link, this);
+			if (this._isAborted) break;
+			if (data === false || Hooks.call("preCreateSequencerEffect", data) === false) {
+				this._blocked = true;
+				continue;
+			}
+			let push =
+				!(data?.users?.length === 1 && data?.users?.includes(game.userId)) &&
+				!this.sequence.localOnly;
+			// Links after the first in a chain are played once their delay has passed, and are stamped with that time
+			effects.push(
+				this.sequence._wait(delayBetween * index).then(() => {
+					if (this._isAborted) return;
+					if (index) data.creationTimestamp = +new Date();
+					this._effectIds.push(data._id);
+					return Sequencer.EffectManager.play(data, push);
+				})
+			);
+		}
+		await Promise.all(
+			effects.map(async (effect) => {
+				let canvasEffectData = await effect;
+				if (!canvasEffectData) return;
+				let totalDuration = this._currentWaitTime;
+				if (this._persist) {
+					totalDuration += await canvasEffectData.promise;
+				} else {
+					totalDuration += await canvasEffectData.duration;
+				}
+				await this.sequence._wait(totalDuration);
+			})
+		);
+	}
+
+	/**
+	 * Splits the data of an effect that chains between targets into the data of each link in the chain. Only the last
+	 * link can miss its target, and all links share the same name so that they can be ended together. Scheduled links
+	 * start the given delay after the previous one on the shared clock.
+	 *
+	 * @private
+	 */
+	_getChainLinks(data) {
+		if (!data.chain) return [data];
+		const { links, delayBetween } = data.chain;
+		const name = data.name || `chain-${data._id}`;
+		return [
+			{ source: data.source, target: data.target, attachTo: data.attachTo },
+			...links,
+		].map((link, index) => ({
+			...foundry.utils.deepClone(data),
+			...link,
+			_id: index ? foundry.utils.randomID() : data._id,
+			name,
+			chain: false,
+			missed: index === links.length ? data.missed : false,
+			startAtServerTime: data.startAtServerTime && data.startAtServerTime + delayBetween * index,
+		}));
+	}
+
+	/**
+	 * Orders the targets of a chain so that each link jumps to the closest target that has not yet been reached
+	 *
+	 * @private
+	 */
+	_getNearestChainOrder() {
+		const getPosition = (location) =>
+			location && typeof location === "object"
+				? canvaslib.get_object_position(location, { measure: true })
+				: {};
+		const remaining = [...this._chainTo.targets];
+		const ordered = [];
+		let position = getPosition(this._source);
+		while (remaining.length) {
+			let index = 0;
+			if (lib.is_real_number(position.x) && lib.is_real_number(position.y)) {
+				let closestDistance = Infinity;
+				remaining.forEach((target, targetIndex) => {
+					const targetPosition = getPosition(target);
+					if (!lib.is_real_number(targetPosition.x) || !lib.is_real_number(targetPosition.y)) return;
+					const distance = canvaslib.distance_between(position, targetPosition);
+					if (distance < closestDistance) {
+						closestDistance = distance;
+						index = targetIndex;
+					}
+				});
+			}
+			const [target] = remaining.splice(index, 1);
+			ordered.push(target);
+			position = getPosition(target);
+		}
+		return ordered;
+	}
+
+	/**
+	 * Gets the data of each link in the chain after the first, which goes from the previous target to the next one
+	 *
+	 * @private
+	 */
+	_getChainData() {
+		if (!this._chainTo) return false;
+		const getLocation = (location) => {
+			if (!location || typeof location !== "object") return location;
+			if (location.cachedLocation || !this._stretchTo.attachTo) {
+				return canvaslib.get_object_canvas_data(location, { measure: true, uuid: false });
+			}
+			return (
+				lib.get_object_identifier(location) ??
+				canvaslib.get_object_canvas_data(location, { measure: true })
+			);
+		};
+		const targets = this._chainTo.targets;
+		return {
+			delayBetween: this._chainTo.delayBetween,
+			links: targets.slice(1).map((target, index) => {
+				const source = getLocation(targets[index]);
+				return {
+					source,
+					target: getLocation(target),
+					attachTo: this._stretchTo.attachTo && typeof source === "string"
+						? {
+							active: true,
+							align: "center",
+							edge: "on",
+							bindVisibility: true,
+							bindAlpha: false,
+							bindScale: false,
+							bindElevation: true,
+							bindRotation: false,
+						}
+						: false,
+				};
+			}),
+		};
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async _planRun() {
+		if (!lib.user_can_do("permissions-effect-create") || !this._playEffect) {
+			return {};
+		}
 		const data = await this._sanitizeEffectData();
-		if (Hooks.call("preCreateSequencerEffect", data) === false) return;
-		let push =
-			!(data?.users?.length === 1 && data?.users?.includes(game.userId)) &&
-			!this.sequence.localOnly;
-		let canvasEffectData = await Sequencer.EffectManager.play(data, push);
-		let totalDuration = this._currentWaitTime;
-		if (this._persist) {
-			totalDuration += await canvasEffectData.promise;
-		} else {
-			totalDuration += await canvasEffectData.duration;
+		const source = this._getPlannedPosition(data.source);
+		const target = this._getPlannedPosition(data.target);
+		const distance = source && target
+			? canvaslib.distance_between(source, target)
+			: 0;
+
+		let files = data.file ? [data.file] : [];
+		if (data.customRange) {
+			files = Object.values(data.file).deepFlatten();
+		} else if (Sequencer.Database.entryExists(data.file)) {
+			const file = Sequencer.Database.getEntry(data.file).clone();
+			file.fileIndex = data.forcedIndex;
+			files = [
+				file.rangeFind
+					? file._rangeFind(data.stretchTo ? distance / (data.scale?.x ?? 1.0) : 400)
+					: file.getFile()
+			];
+		}
+
+		const mediaDuration = files.length
+			? await SequencerFileCache.getMediaDuration(files[0])
+			: 0;
+
+		return {
+			duration: this._planDuration(data, mediaDuration, distance) +
+				(data.chain ? data.chain.delayBetween * data.chain.links.length : 0),
+			files,
+			users: this._planUsers(data.users),
+			persist: !!data.persist,
+		};
+	}
+
+	/**
+	 * Mirrors how a CanvasEffect calculates its duration, based on the effect's data and the duration of its media
+	 *
+	 * @private
+	 */
+	_planDuration(data, mediaDuration, distance) {
+		if (data.persist) return Infinity;
+
+		mediaDuration /= data.playbackRate || 1.0;
+
+		let duration = data.duration || mediaDuration || 1000;
+
+		if (data.moveSpeed && data.moves) {
+			duration = Math.max((distance / data.moveSpeed) * 1000, data.duration);
+		} else if (!data.duration && !mediaDuration) {
+			duration = Math.max(
+				(data.fadeIn?.duration ?? 0) + (data.fadeOut?.duration ?? 0),
+				(data.scaleIn?.duration ?? 0) + (data.scaleOut?.duration ?? 0),
+				(data.rotateIn?.duration ?? 0) + (data.rotateOut?.duration ?? 0),
+				data.moves ? 1000 + data.moves.delay : 0,
+				...(data.animations || []).map((animation) => {
+					if (animation.looping) {
+						if (animation.loops === 0) return 0;
+						return (animation?.duration ?? 0) * (animation?.loops ?? 0) + (animation?.delay ?? 0);
+					}
+					return (animation?.duration ?? 0) + (animation?.delay ?? 0);
+				})
+			) || 1000;
+		}
+
+		if (data.movePath?.speed) {
+			duration = Math.max(duration, canvaslib.get_path_duration(data.movePath));
+		}
+
+		let startTime = 0;
+		if (data.time?.start) {
+			startTime = !data.time.start.isPerc
+				? data.time.start.value ?? 0
+				: duration * data.time.start.value;
 		}
-		await new Promise((resolve) => setTimeout(resolve, totalDuration));
+
+		let endTime = duration;
+		if (data.time?.end) {
+			if (data.time.end.isPerc) {
+				endTime = duration * data.time.end.value;
+			} else {
+				endTime = data.time.isRange
+					? data.time.end.value
+					: duration - data.time.end.value;
+			}
+		}
+
+		duration = lib.clamp(endTime - startTime, 0, duration);
+
+		const loops = data.loopOptions?.loops ?? 0;
+		const loopDelay = data.loopOptions?.loopDelay ?? 0;
+		return loops
+			? (duration * loops) + (loopDelay * (loops - 1))
+			: duration;
+	}
+
+	/**
+	 * @private
+	 */
+	_getPlannedPosition(inLocation) {
+		const object = lib.is_UUID(inLocation)
+			? fromUuidSync(inLocation)
+			: inLocation;
+		if (!object || typeof object !== "object") return false;
+		const position = canvaslib.get_object_position(object);
+		return lib.is_real_number(position.x) && lib.is_real_number(position.y)
+			? position
+			: false;
 	}
 
 	/**
@@ -2219,7 +2679,7 @@ export default class EffectSection extends Section {
 					mirrorX: this._mirrorX,
 					mirrorY: this._mirrorY,
 					missed: this._missed,
-					offset: this._offset,
+					offset: this._getOffsets(),
 					repetitions: this._repetitions,
 					twister: {},
 				};
@@ -2231,14 +2691,29 @@ export default class EffectSection extends Section {
 			!this._from &&
 			!this._text &&
 			!this._shapes.length &&
+			!this._particles &&
 			this.sequence.softFail
 		) {
 			this._playEffect = false;
 			return;
 		}
 
+		// Files that reference the sequence's context can only be determined once the effect is played
+		if (this._referencesContext(this._file)) return;
+
+		this._playEffect = await this._validateFile();
+	}
+
+	/**
+	 * Peeks at the file that the effect would play to find out whether it is a range-finding effect, and makes sure that
+	 * it exists
+	 *
+	 * @returns {Promise<boolean>} Whether the effect can be played
+	 * @private
+	 */
+	async _validateFile() {
 		let fileData = this._file
-			? await this._determineFile(this._file)
+			? await this._determineFile(this._file, { peek: true })
 			: {
 				file: this._file,
 				forcedIndex: false,
@@ -2247,7 +2722,7 @@ export default class EffectSection extends Section {
 
 		this._isRangedEffect = fileData?.file?.rangeFind;
 
-		if (fileData.customRange || fileData.file?.dbPath) return;
+		if (fileData.customRange || fileData.file?.dbPath) return true;
 
 		let exists = false;
 		try {
@@ -2256,16 +2731,14 @@ export default class EffectSection extends Section {
 		}
 
 		if (!exists) {
-			if (this.sequence.softFail) {
-				this._playEffect = false;
-				return;
-			}
+			if (this.sequence.softFail) return false;
 			throw this.sequence._customError(
 				this,
 				"Play",
 				`Could not find file:<br>${fileData.file}`
 			);
 		}
+		return true;
 	}
 
 	/**
@@ -2314,17 +2787,24 @@ export default class EffectSection extends Section {
 	}
 
 	/**
+	 * @param {object} [inOptions] inOptions
+	 * @param {boolean} [inOptions.deferred=false] Whether to leave the file and context variables to be resolved when the
+	 * effect is played
 	 * @private
 	 */
-	async _sanitizeEffectData() {
+	async _sanitizeEffectData({ deferred = false } = {}) {
 		if (this._deserializedData) {
-			this._deserializedData.creationTimestamp = +new Date();
-			this._deserializedData.remote = true;
-			return this._deserializedData;
+			const data = this._deserializedData.deferred
+				? await this._resolveDeferredData(this._deserializedData)
+				: this._deserializedData;
+			data.creationTimestamp = +new Date();
+			data.startAtServerTime = this.sequence.serverTime;
+			data.remote = true;
+			return data;
 		}
 
 		const { file, forcedIndex, customRange } =
-			this._file && this._playEffect
+			this._file && this._playEffect && !deferred
 				? await this._determineFile(this._file)
 				: {
 					file: this._file,
@@ -2396,6 +2876,7 @@ export default class EffectSection extends Section {
 			flagVersion: flagManager.latestFlagVersion,
 			sequenceId: this.sequence.id,
 			creationTimestamp: +new Date(),
+			startAtServerTime: this.sequence.serverTime,
 			sceneId,
 			creatorUserId: game.userId,
 			moduleName: this.sequence.moduleName,
@@ -2407,6 +2888,7 @@ export default class EffectSection extends Section {
 			private: this._private,
 			temporary: this._temporaryEffect,
 			tiedDocuments: Array.from(new Set(this._tiedDocuments)),
+			traits: this._traitCalls,
 
 			/**
 			 * Source/target properties
@@ -2431,6 +2913,7 @@ export default class EffectSection extends Section {
 
 			attachTo: this._attachTo,
 			missed: this._missed,
+			chain: this._getChainData(),
 
 			/**
 			 * Sprite properties
@@ -2439,20 +2922,24 @@ export default class EffectSection extends Section {
 			customRange,
 			forcedIndex,
 			fileOptions: this._fileOptions,
-			text: this._text,
+			text: this._getText(),
 			tilingTexture: this._tilingTexture,
 			masks: Array.from(new Set(this._masks)),
-			shapes: this._shapes,
+			shapes: this._shapes.map((shape) => shape.offset
+				? { ...shape, offset: this._resolveOffset(shape.offset) }
+				: shape),
+			particles: this._particles,
 			volume: this._volume,
 			isometric: this._isometric,
 			syncGroup: this._syncGroup,
+			group: this._group,
 
 			// Transforms
 			scale: this._getCalculatedScale("scale"),
 			spriteScale: this._getCalculatedScale("spriteScale"),
 			angle: this._angle,
 			size: this._size,
-			offset: this._offset,
+			offset: this._getOffsets(),
 			anchor: this._anchor,
 			spriteOffset: this._spriteOffset,
 			spriteAnchor: this._spriteAnchor,
@@ -2508,6 +2995,7 @@ export default class EffectSection extends Section {
 			 */
 			moves: this._moveTowards,
 			moveSpeed: this._moveSpeed,
+			movePath: this._movePath,
 			fadeIn: this._fadeIn,
 			fadeOut: this._fadeOut,
 			scaleIn: this._scaleIn,
@@ -2534,10 +3022,24 @@ export default class EffectSection extends Section {
 			data = await override(this, data);
 		}
 
+		if (deferred) {
+			data.deferred = foundry.utils.duplicate({
+				file: this._playEffect ? this._file : false,
+				baseFolder: this._baseFolder,
+				mustache: this._mustache,
+				noRepeat: this._noRepeat,
+				text: this._text?.text ?? false,
+				source: this._contextLocations?.source ?? false,
+				target: this._contextLocations?.target ?? false,
+			});
+			return data;
+		}
+
 		if (
 			(typeof data.file !== "string" || data.file === "") &&
 			!data.text &&
 			!data.shapes &&
+			!data.particles &&
 			!data.customRange
 		) {
 			throw this.sequence._customError(
@@ -2553,10 +3055,24 @@ export default class EffectSection extends Section {
 		return data;
 	}
 
-	async _serialize() {
+	async _serialize({ deferred = false } = {}) {
 		const data = await super._serialize();
+		if (deferred) {
+			const offsets = [
+				this._offset?.source,
+				this._offset?.target,
+				...this._shapes.map((shape) => shape.offset),
+			];
+			if (offsets.some((offset) => lib.is_function(offset?.offsetFunction))) {
+				throw this.sequence._customError(
+					this,
+					"toJSON",
+					"effects with offsets given as functions cannot be saved, as they are resolved each time the effect is played"
+				);
+			}
+		}
 		await this.preRun();
-		const sectionData = await this._sanitizeEffectData();
+		const sectionData = await this._sanitizeEffectData({ deferred });
 		return {
 			...data,
 			type: "effect",
@@ -2566,9 +3082,45 @@ export default class EffectSection extends Section {
 
 	async _deserialize(data) {
 		this._deserializedData = data.sectionData;
+		const deferred = data.sectionData.deferred;
+		if (deferred) {
+			this._baseFolder = deferred.baseFolder ?? "";
+			this._mustache = deferred.mustache ?? null;
+			this._noRepeat = deferred.noRepeat ?? false;
+		}
 		return super._deserialize(data);
 	}
 
+	/**
+	 * Resolves the parts of deserialized effect data that were left to be resolved when the effect is played, such as
+	 * randomly picked files and references to the sequence's context variables
+	 *
+	 * @param {object} inData
+	 * @returns {Promise<object>}
+	 * @private
+	 */
+	async _resolveDeferredData(inData) {
+		const { deferred, ...data } = foundry.utils.deepClone(inData);
+		data._id = foundry.utils.randomID();
+		if (deferred.file) {
+			const { file, forcedIndex, customRange } = await this._determineFile(deferred.file);
+			data.file = file?.dbPath ?? file;
+			data.forcedIndex = forcedIndex;
+			data.customRange = customRange;
+		}
+		if (deferred.text && data.text) {
+			data.text.text = this._applyContext(deferred.text);
+		}
+		for (const key of ["source", "target"]) {
+			if (!deferred[key]) continue;
+			const location = this._applyContextToLocation(deferred[key]);
+			data[key] = location && typeof location === "object"
+				? lib.get_object_identifier(location) ?? canvaslib.get_object_canvas_data(location)
+				: location;
+		}
+		return data;
+	}
+
 	/**
 	 * @private
 	 */
@@ -1,33 +1,95 @@
 import * as lib from "../lib/lib.js";
 import Section from "./section.js";
+import SequencerFunctions from "../modules/sequencer-functions.js";
 
 export default class FunctionSection extends Section {
   constructor(inSequence, inFunc) {
     super(inSequence);
-    if (!lib.is_function(inFunc))
-      this._customError(
-        "create",
-        "The given function needs to be an actual function"
+    if (
+      inFunc !== undefined &&
+      !(lib.is_function(inFunc) || typeof inFunc === "string")
+    )
+      throw this.sequence._customError(
+        this,
+        "thenDo",
+        "The given function needs to be an actual function, or the name of a function registered through Sequencer.Functions.register()"
       );
     this._func = inFunc;
-    this._waitUntilFinished = inFunc.constructor.name === "AsyncFunction";
   }
 
   static niceName = "Function";
 
   /**
-   * @returns {Promise<void>}
+   * Async functions are always waited on. Functions registered through Sequencer.Functions can be registered or replaced
+   * after this section was created, so they are only looked up once the sequence is played.
+   *
+   * @returns {boolean}
+   * @protected
    */
-  async run() {
-    lib.debug("Running function");
-    await this._func();
+  get _waitUntilFinished() {
+    return (
+      this._waitsUntilFinished ||
+      this._getFunction()?.constructor.name === "AsyncFunction"
+    );
+  }
+
+  set _waitUntilFinished(inBool) {
+    this._waitsUntilFinished = inBool;
   }
 
   /**
-   * @returns {Promise}
+   * @returns {Function|undefined}
    * @private
    */
-  async _execute() {
-    await this.run();
+  _getFunction() {
+    return typeof this._func === "string"
+      ? SequencerFunctions.get(this._func)
+      : this._func;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async run() {
+    lib.debug("Running function");
+    const func = this._getFunction();
+    if (!func) {
+      this.sequence._showWarning(
+        this,
+        "thenDo",
+        `Could not find function with name "${this._func}"`
+      );
+      return;
+    }
+    await func(this.sequence.iteration, this.sequence.context);
+  }
+
+  async _serialize() {
+    const name =
+      typeof this._func === "string"
+        ? this._func
+        : Array.from(SequencerFunctions.getAll()).find(
+            ([, func]) => func === this._func
+          )?.[0];
+    if (!name) {
+      throw this.sequence._customError(
+        this,
+        "toJSON",
+        "only functions registered through Sequencer.Functions.register() can be serialized"
+      );
+    }
+    const data = await super._serialize();
+    return {
+      ...data,
+      type: "thenDo",
+      sectionData: {
+        name,
+      },
+    };
+  }
+
+  async _deserialize(data) {
+    this._func = data.sectionData.name;
+    return super._deserialize(data);
   }
 }
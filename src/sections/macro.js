@@ -0,0 +1,86 @@
+import * as lib from "../lib/lib.js";
+import Section from "./section.js";
+
+export default class MacroSection extends Section {
+  constructor(inSequence, inMacro, inArgs = {}) {
+    super(inSequence);
+    this._waitUntilFinished = true;
+    this._macro = inMacro;
+    this._args = inArgs;
+  }
+
+  static niceName = "Macro";
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async run() {
+    lib.debug("Running macro");
+    const macro = await this._getMacro();
+    if (!macro) return;
+    await macro.execute(this._args);
+  }
+
+  /**
+   * @private
+   */
+  async _getMacro() {
+    if (this._macro instanceof Macro) return this._macro;
+
+    if (!this._macro.startsWith("Compendium")) {
+      const macro = await fromUuid(this._macro);
+      if (!macro) {
+        if (this.sequence.softFail) return false;
+        throw this.sequence._customError(
+          this,
+          "macro",
+          `Macro '${this._macro}' was not found`
+        );
+      }
+      return macro;
+    }
+
+    const packArray = this._macro.split(".");
+    const compendium = game.packs.get(`${packArray[1]}.${packArray[2]}`);
+    const macroIndex = compendium
+      ? (await compendium.getIndex()).find((i) => {
+          if (packArray[3] === "Macro") {
+            return packArray[4] === i._id;
+          }
+          return i.name === packArray[3];
+        })
+      : false;
+    const macroData = macroIndex
+      ? await compendium.getDocument(macroIndex?._id)
+      : false;
+    if (!macroData) {
+      if (this.sequence.softFail) return false;
+      throw this.sequence._customError(
+        this,
+        "macro",
+        `Macro '${packArray[3]}' was not found in compendium '${packArray[1]}.${packArray[2]}'`
+      );
+    }
+    const macro = new Macro(macroData);
+    macro.ownership.default = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
+    return macro;
+  }
+
+  async _serialize() {
+    const data = await super._serialize();
+    return {
+      ...data,
+      type: "macro",
+      sectionData: {
+        macro: this._macro instanceof Macro ? this._macro.uuid : this._macro,
+        args: this._args,
+      },
+    };
+  }
+
+  async _deserialize(data) {
+    this._macro = data.sectionData.macro;
+    this._args = data.sectionData.args ?? {};
+    return super._deserialize(data);
+  }
+}
@@ -0,0 +1,171 @@
+import * as lib from "../lib/lib.js";
+import Section from "./section.js";
+import Sequence from "../modules/sequencer.js";
+import CONSTANTS from "../constants.js";
+import { sequencerSocket, SOCKET_HANDLERS } from "../sockets.js";
+import SequencerSoundManager from "../modules/sequencer-sound-manager.js";
+import { get } from "svelte/store";
+
+const MODES = ["all", "race", "any"];
+
+export default class ParallelSection extends Section {
+  constructor(inSequence, inSequences, { mode = "all" } = {}) {
+    super(inSequence);
+    this._waitUntilFinished = true;
+    this._sequences = [];
+    this._mode = "all";
+    this._runningSections = [];
+    if (inSequences === undefined) return;
+    if (!Array.isArray(inSequences) || !inSequences.length)
+      throw this.sequence._customError(
+        this,
+        "parallel",
+        "inSequences must be an array containing at least one sequence"
+      );
+    if (!MODES.includes(mode))
+      throw this.sequence._customError(
+        this,
+        "parallel",
+        `mode must be one of "${MODES.join('", "')}"`
+      );
+    this._mode = mode;
+    this._sequences = inSequences.map((sequence) => {
+      if (sequence instanceof Section) sequence = sequence.sequence;
+      if (!(sequence instanceof Sequence)) {
+        throw this.sequence._customError(
+          this,
+          "parallel",
+          "could not find the sequence from one of the given parameters"
+        );
+      }
+      return sequence;
+    });
+  }
+
+  static niceName = "Parallel";
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async run() {
+    lib.debug(`Running ${this._sequences.length} sequences in parallel`);
+    const groups = this._sequences.map((sequence) =>
+      this.sequence._adoptSections(sequence)
+    );
+    this._runningSections = groups.flat();
+    await Promise.all(
+      groups.map((sections) => this.sequence._initializeSections(sections))
+    );
+    if (get(this.sectionStatus) === CONSTANTS.STATUS.ABORTED) return;
+
+    const promises = groups.map((sections, index) =>
+      this.sequence._executeSections(sections).then(() => index)
+    );
+
+    if (this._mode === "all") {
+      await Promise.allSettled(promises);
+      return;
+    }
+
+    const winner = await Promise.race(promises);
+    if (this._mode === "race") {
+      await this._stopSections(
+        groups.filter((_, index) => index !== winner).flat()
+      );
+    }
+  }
+
+  /**
+   * Aborts the given sections, and ends the effects and sounds that they have already created - only for this client
+   * if the sequence is local
+   *
+   * @param {Array<Section>} inSections
+   * @returns {Promise}
+   * @private
+   */
+  async _stopSections(inSections) {
+    const effects = [];
+    const sounds = [];
+    for (const section of inSections) {
+      section._abortSection();
+      const result = section._getResult();
+      effects.push(...result.effects);
+      sounds.push(...result.sounds);
+    }
+    const push = !this.sequence.localOnly;
+    if (sounds.length) {
+      if (push) {
+        sequencerSocket.executeForEveryone(SOCKET_HANDLERS.END_SOUNDS, sounds);
+      } else {
+        SequencerSoundManager._endSounds(sounds);
+      }
+    }
+    if (effects.length) {
+      await Sequencer.EffectManager.endEffects({ effects }, push);
+    }
+  }
+
+  async _planRun(inStartTime) {
+    const groups = this._sequences.map((sequence) =>
+      this.sequence._adoptSections(sequence)
+    );
+    await this.sequence._planInitialize(groups.flat());
+    const plans = [];
+    for (const sections of groups) {
+      plans.push(await this.sequence._planSections(sections, inStartTime));
+    }
+    const durations = plans.map((plan) => plan.duration);
+    const entries = plans.map((plan) => plan.sections).flat();
+    return {
+      duration:
+        (this._mode === "all"
+          ? Math.max(...durations)
+          : Math.min(...durations)) - inStartTime,
+      end: Math.max(...plans.map((plan) => plan.end)),
+      files: entries.map((entry) => entry.files).flat(),
+      users: entries.map((entry) => entry.users).flat(),
+      sequences: plans.map((plan) => plan.sections),
+    };
+  }
+
+  _getResult(inIndex) {
+    const result = super._getResult(inIndex);
+    for (const section of this._runningSections) {
+      const { effects, sounds } = section._getResult();
+      result.effects.push(...effects);
+      result.sounds.push(...sounds);
+    }
+    return result;
+  }
+
+  _abortSection() {
+    super._abortSection();
+    for (const section of this._runningSections) {
+      section._abortSection();
+    }
+  }
+
+  async _serialize(inOptions) {
+    const data = await super._serialize();
+    const sequences = [];
+    for (const sequence of this._sequences) {
+      sequences.push(await sequence.toJSON(inOptions));
+    }
+    return {
+      ...data,
+      type: "parallel",
+      sectionData: {
+        mode: this._mode,
+        sequences,
+      },
+    };
+  }
+
+  async _deserialize(data) {
+    this._mode = data.sectionData.mode;
+    this._sequences = data.sectionData.sequences.map((sequenceData) =>
+      new Sequence().fromJSON(sequenceData, { validate: false })
+    );
+    return super._deserialize(data);
+  }
+}
@@ -0,0 +1,342 @@
+import * as lib from "../lib/lib.js";
+import * as canvaslib from "../lib/canvas-lib.js";
+import EffectSection from "./effect.js";
+import SequencerFileCache from "../modules/sequencer-file-cache.js";
+
+export default class ParticleSection extends EffectSection {
+	constructor(inSequence, inTextures = []) {
+		super(inSequence);
+		this._particles = {
+			textures: [],
+			rate: { min: 20, max: 20 },
+			lifetime: { min: 1000, max: 1000 },
+			velocity: { min: 50, max: 50, gridUnits: false },
+			direction: 90,
+			spread: 360,
+			gravity: { x: 0, y: 0, gridUnits: false },
+			color: false,
+			alpha: [{ at: 0, value: 1, ease: "linear" }],
+			scale: [{ at: 0, value: 1, ease: "linear" }],
+			maxParticles: 500,
+			emitDuration: false,
+		};
+		if (inTextures && (!Array.isArray(inTextures) || inTextures.length)) {
+			this.textures(inTextures);
+		}
+	}
+
+	static niceName = "Particles";
+
+	/**
+	 * Sets the textures that the particles are randomly given, which can be database paths or image files. Database
+	 * paths that lead to several files add all of them to the pool of textures.
+	 *
+	 * @param {string|Array<string>} inTextures
+	 * @returns {ParticleSection}
+	 */
+	textures(inTextures) {
+		if (!Array.isArray(inTextures)) inTextures = [inTextures];
+		if (!inTextures.length || inTextures.some((texture) => typeof texture !== "string" || !texture))
+			throw this.sequence._customError(
+				this,
+				"textures",
+				"inTextures must be of type string, or an array of strings"
+			);
+		this._particles.textures = inTextures;
+		return this;
+	}
+
+	/**
+	 * Sets how many particles are emitted per second. If given two numbers, the rate is randomized between them.
+	 *
+	 * @param {number} inMin
+	 * @param {number} [inMax] inMax
+	 * @returns {ParticleSection}
+	 */
+	rate(inMin, inMax = inMin) {
+		this._particles.rate = this._validateRange("rate", inMin, inMax);
+		return this;
+	}
+
+	/**
+	 * Sets how long each particle lives for in milliseconds. If given two numbers, each particle's lifetime is randomized
+	 * between them.
+	 *
+	 * @param {number} inMin
+	 * @param {number} [inMax] inMax
+	 * @returns {ParticleSection}
+	 */
+	lifetime(inMin, inMax = inMin) {
+		this._particles.lifetime = this._validateRange("lifetime", inMin, inMax);
+		if (this._particles.lifetime.max <= 0)
+			throw this.sequence._customError(
+				this,
+				"lifetime",
+				"the lifetime must be higher than 0"
+			);
+		return this;
+	}
+
+	/**
+	 * Sets the speed at which the particles are emitted in pixels per second. If given two numbers, each particle's
+	 * speed is randomized between them.
+	 *
+	 * @param {number} inMin
+	 * @param {number} [inMax] inMax
+	 * @param {object} [inOptions] inOptions
+	 * @returns {ParticleSection}
+	 */
+	velocity(inMin, inMax = inMin, inOptions = {}) {
+		if (typeof inMax === "object") {
+			inOptions = inMax;
+			inMax = inMin;
+		}
+		if (typeof inOptions !== "object")
+			throw this.sequence._customError(
+				this,
+				"velocity",
+				"inOptions must be of type object"
+			);
+		inOptions = foundry.utils.mergeObject(
+			{
+				gridUnits: false,
+			},
+			inOptions
+		);
+		if (typeof inOptions.gridUnits !== "boolean")
+			throw this.sequence._customError(
+				this,
+				"velocity",
+				"inOptions.gridUnits must be of type boolean"
+			);
+		this._particles.velocity = {
+			...this._validateRange("velocity", inMin, inMax, { allowNegative: true }),
+			gridUnits: inOptions.gridUnits,
+		};
+		return this;
+	}
+
+	/**
+	 * Sets the direction in degrees that the particles are emitted towards, where 0 is to the right and 90 is upwards
+	 *
+	 * @param {number} inDegrees
+	 * @returns {ParticleSection}
+	 */
+	direction(inDegrees) {
+		if (!lib.is_real_number(inDegrees))
+			throw this.sequence._customError(
+				this,
+				"direction",
+				"inDegrees must be of type number"
+			);
+		this._particles.direction = inDegrees;
+		return this;
+	}
+
+	/**
+	 * Sets the width in degrees of the cone that the particles are emitted within, centered on their direction
+	 *
+	 * @param {number} inDegrees
+	 * @returns {ParticleSection}
+	 */
+	spread(inDegrees) {
+		if (!lib.is_real_number(inDegrees) || inDegrees < 0 || inDegrees > 360)
+			throw this.sequence._customError(
+				this,
+				"spread",
+				"inDegrees must be a number between 0 and 360"
+			);
+		this._particles.spread = inDegrees;
+		return this;
+	}
+
+	/**
+	 * Sets the acceleration that is applied to the particles over their lifetime in pixels per second squared. A number
+	 * pulls the particles downwards, while an object with x and y can pull them in any direction.
+	 *
+	 * @param {number|object} inGravity
+	 * @param {object} [inOptions] inOptions
+	 * @returns {ParticleSection}
+	 */
+	gravity(inGravity, inOptions = {}) {
+		if (lib.is_real_number(inGravity)) {
+			inGravity = { x: 0, y: inGravity };
+		}
+		if (
+			typeof inGravity !== "object" ||
+			!lib.is_real_number(inGravity?.x ?? 0) ||
+			!lib.is_real_number(inGravity?.y ?? 0)
+		)
+			throw this.sequence._customError(
+				this,
+				"gravity",
+				"inGravity must be of type number, or an object with x and y numbers"
+			);
+		if (typeof inOptions !== "object")
+			throw this.sequence._customError(
+				this,
+				"gravity",
+				"inOptions must be of type object"
+			);
+		inOptions = foundry.utils.mergeObject(
+			{
+				gridUnits: false,
+			},
+			inOptions
+		);
+		if (typeof inOptions.gridUnits !== "boolean")
+			throw this.sequence._customError(
+				this,
+				"gravity",
+				"inOptions.gridUnits must be of type boolean"
+			);
+		this._particles.gravity = {
+			x: inGravity.x ?? 0,
+			y: inGravity.y ?? 0,
+			gridUnits: inOptions.gridUnits,
+		};
+		return this;
+	}
+
+	/**
+	 * Sets the colors that the particles are tinted with over their lifetime. The colors are spread out evenly over the
+	 * lifetime, unless they are given as points like { at: 0.5, value: "#ff0000" }, where "at" is between 0 and 1.
+	 *
+	 * @param {Array<string|number|object>} inColors
+	 * @returns {ParticleSection}
+	 */
+	colorOverLife(inColors) {
+		this._particles.color = this._validateCurve("colorOverLife", inColors, { color: true });
+		return this;
+	}
+
+	/**
+	 * Sets the opacity of the particles over their lifetime. The values are spread out evenly over the lifetime, unless
+	 * they are given as points like { at: 0.5, value: 1 }, where "at" is between 0 and 1.
+	 *
+	 * @param {Array<number|object>} inValues
+	 * @returns {ParticleSection}
+	 */
+	alphaOverLife(inValues) {
+		this._particles.alpha = this._validateCurve("alphaOverLife", inValues);
+		return this;
+	}
+
+	/**
+	 * Sets the scale of the particles over their lifetime. The values are spread out evenly over the lifetime, unless
+	 * they are given as points like { at: 0.5, value: 1 }, where "at" is between 0 and 1.
+	 *
+	 * @param {Array<number|object>} inValues
+	 * @returns {ParticleSection}
+	 */
+	scaleOverLife(inValues) {
+		this._particles.scale = this._validateCurve("scaleOverLife", inValues);
+		return this;
+	}
+
+	/**
+	 * Sets the maximum number of particles that can be alive at the same time
+	 *
+	 * @param {number} inNumber
+	 * @returns {ParticleSection}
+	 */
+	maxParticles(inNumber) {
+		if (!lib.is_real_number(inNumber) || inNumber < 1)
+			throw this.sequence._customError(
+				this,
+				"maxParticles",
+				"inNumber must be a number that is 1 or higher"
+			);
+		this._particles.maxParticles = Math.floor(inNumber);
+		return this;
+	}
+
+	/**
+	 * @private
+	 */
+	_validateRange(inFunctionName, inMin, inMax, { allowNegative = false } = {}) {
+		if (!lib.is_real_number(inMin) || !lib.is_real_number(inMax))
+			throw this.sequence._customError(
+				this,
+				inFunctionName,
+				"inMin and inMax must be of type number"
+			);
+		if (!allowNegative && (inMin < 0 || inMax < 0))
+			throw this.sequence._customError(
+				this,
+				inFunctionName,
+				"inMin and inMax must be 0 or higher"
+			);
+		return { min: Math.min(inMin, inMax), max: Math.max(inMin, inMax) };
+	}
+
+	/**
+	 * @private
+	 */
+	_validateCurve(inFunctionName, inCurve, inOptions) {
+		const curve = canvaslib.validateCurve(inCurve, inOptions);
+		if (typeof curve === "string")
+			throw this.sequence._customError(this, inFunctionName, curve);
+		return curve;
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async _initialize() {
+		await super._initialize();
+		if (!this._playEffect || this._deserializedData) return;
+
+		if (!this._particles.textures.length)
+			throw this.sequence._customError(
+				this,
+				"textures",
+				"particles must be given at least one texture through .textures()"
+			);
+
+		for (const texture of this._particles.textures) {
+			if (Sequencer.Database.entryExists(texture)) continue;
+			let exists = false;
+			try {
+				exists = await SequencerFileCache.srcExists(texture);
+			} catch (err) {
+			}
+			if (exists) continue;
+			if (this.sequence.softFail) {
+				this._playEffect = false;
+				return;
+			}
+			throw this.sequence._customError(
+				this,
+				"textures",
+				`Could not find file:<br>${texture}`
+			);
+		}
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async _sanitizeEffectData(inOptions) {
+		if (this._deserializedData) return super._sanitizeEffectData();
+		const data = await super._sanitizeEffectData(inOptions);
+		// Unless told otherwise, particles are emitted for a second and the effect lasts until the last of them has faded
+		if (!data.duration && !data.persist) {
+			// Overrides may hand back this section's own particles, which must keep their settings for the next repetition
+			data.particles = { ...data.particles, emitDuration: 1000 };
+			data.duration = 1000 + data.particles.lifetime.max;
+		}
+		return data;
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async _serialize(inOptions) {
+		const data = await super._serialize(inOptions);
+		return {
+			...data,
+			type: "particles",
+		};
+	}
+}
@@ -99,6 +99,10 @@ export default class ScrollingTextSection extends Section {
     return this;
   }
 
+  async preRun() {
+    this._applyContextToLocations();
+  }
+
   async run() {
     const data = await this._sanitizeTextData();
     if (Hooks.call("preCreateScrollingText", data) === false) return;
@@ -106,9 +110,15 @@ export default class ScrollingTextSection extends Section {
       !(data?.users?.length === 1 && data?.users?.includes(game.userId)) &&
       !this.sequence.localOnly;
     const duration = SequencerFoundryReplicator.playScrollingText(data, push);
-    await new Promise((resolve) =>
-      setTimeout(resolve, this._currentWaitTime + duration)
-    );
+    await this.sequence._wait(this._currentWaitTime + duration);
+  }
+
+  async _planRun() {
+    const data = await this._sanitizeTextData();
+    return {
+      duration: data.options?.duration ?? 2000,
+      users: this._planUsers(data.users),
+    };
   }
 
   _getSourceObject() {
@@ -124,6 +134,8 @@ export default class ScrollingTextSection extends Section {
       return this._deserializedData;
     }
 
+    const text = this._getText();
+
     return {
       sceneId: game.user.viewedScene,
       seed: this._seed,
@@ -132,16 +144,16 @@ export default class ScrollingTextSection extends Section {
       users: this._users ? Array.from(this._users) : false,
       moduleName: this.sequence.moduleName,
       source: this._getSourceObject(),
-      offset: this._offset?.source ?? false,
+      offset: this._resolveOffset(this._offset?.source) ?? false,
       randomOffset: this._randomOffset?.source ?? false,
-      content: this._text?.text ?? "",
+      content: text?.text ?? "",
       options: {
         anchor: this._anchor,
         direction: this._direction,
         duration: this._duration,
         distance: this._distance,
         jitter: this._jitter,
-        ...this._text,
+        ...text,
       },
     };
   }
@@ -21,6 +21,17 @@ export default class Section {
     this._delayMax = 0;
     this._basicDelay = 0;
     this._duration = false;
+    this._effectIds = [];
+    this._soundIds = [];
+    this._index = null;
+    this._traitCalls = [];
+    this._blocked = false;
+    this._error = null;
+    this._initializationError = null;
+    this._timing = {
+      startedAt: null,
+      endedAt: null,
+    };
   }
 
   static niceName = "Section";
@@ -53,9 +64,8 @@ export default class Section {
    * @protected
    */
   get _isLastSection() {
-    return (
-      this.sequence.sections.length - 1 === this.sequence.sections.indexOf(this)
-    );
+    const sections = this._siblingSections ?? this.sequence.sections;
+    return sections.length - 1 === sections.indexOf(this);
   }
 
   /** ------------------------------------------------------------------------------------------------------------------------------ *
@@ -112,6 +122,7 @@ export default class Section {
       waitUntilFinishedDelay: this._waitUntilFinishedDelay,
       repetitions: this._repetitions,
       repetitionsDelay: [this._repeatDelayMin, this._repeatDelayMax],
+      traits: foundry.utils.deepClone(this._traitCalls),
     };
   }
 
@@ -122,9 +133,33 @@ export default class Section {
     this._repetitions = data.repetitions;
     this._repeatDelayMin = data.repetitionsDelay[0];
     this._repeatDelayMax = data.repetitionsDelay[1];
+    this._traitCalls = [];
+    for (const { name, args } of data.traits ?? []) {
+      if (!lib.is_function(this[name])) {
+        this.sequence._showWarning(
+          this,
+          "fromJSON",
+          `Could not find trait "${name}", has the module that registered it been disabled?`
+        );
+        continue;
+      }
+      this[name](...args);
+    }
     return this;
   }
 
+  /**
+   * Method overwritten by inheriting classes, which is called for each repetition of this section when the Sequence is
+   * planned, and which returns how long the repetition would run for, and which files and users it would touch
+   *
+   * @param {number} inStartTime
+   * @returns {Promise<{duration?: number, end?: number, files?: Array<string>, users?: Array<string>}>}
+   * @protected
+   */
+  async _planRun(inStartTime) {
+    return {};
+  }
+
   /**
    * Method overwritten by inheriting classes, which stores data or prepares data before the Sequence executes it (see EffectsSection)
    *
@@ -324,6 +359,114 @@ export default class Section {
     return inLocation;
   }
 
+  /**
+   * Resolves any {{var}} references in the given string to the sequence's context variables
+   *
+   * @protected
+   */
+  _applyContext(inString) {
+    if (typeof inString !== "string" || !inString.includes("{{")) return inString;
+    const template = Handlebars.compile(inString, { noEscape: true });
+    return template({
+      iteration: this.sequence.iteration,
+      ...this.sequence.context,
+    });
+  }
+
+  /**
+   * Resolves a location given as a {{var}} reference to the sequence's context variables. If the variable holds an
+   * object, such as a token or a position, that object is used as the location.
+   *
+   * @protected
+   */
+  _applyContextToLocation(inLocation) {
+    if (typeof inLocation !== "string" || !inLocation.includes("{{")) return inLocation;
+    const match = inLocation.trim().match(/^{{\s*([\w.]+)\s*}}$/);
+    const value = match
+      ? foundry.utils.getProperty(this.sequence.context, match[1])
+      : undefined;
+    return this._validateLocation(
+      value && typeof value === "object" ? value : this._applyContext(inLocation)
+    );
+  }
+
+  /**
+   * Works out when this section would start and finish when executed at the given time, without executing it
+   *
+   * @param {number} inStartTime
+   * @returns {Promise<Object>}
+   * @protected
+   */
+  async _plan(inStartTime) {
+    const currentRepetition = this._currentRepetition;
+    const repeatDelay = this._repeatDelay;
+    const entry = {
+      type: this.constructor.niceName,
+      start: inStartTime,
+      end: inStartTime,
+      resolvesAt: inStartTime,
+      waitUntilFinished: this.shouldWaitUntilFinished,
+      skipped: false,
+      repetitions: [],
+      files: [],
+      users: [],
+    };
+    if (!(await this._shouldPlay())) {
+      entry.skipped = true;
+      return entry;
+    }
+    let time =
+      inStartTime + this.sequence._planValue(this._delayMin, this._delayMax);
+    for (let i = 0; i < this._repetitions; i++) {
+      this._currentRepetition = i;
+      this._repeatDelay =
+        i !== this._repetitions - 1
+          ? this.sequence._planValue(this._repeatDelayMin, this._repeatDelayMax)
+          : 0;
+      await this.preRun();
+      const {
+        duration = 0,
+        end,
+        files = [],
+        users = [],
+        ...details
+      } = await this._planRun(time);
+      const repetitionEnd = time + duration;
+      entry.repetitions.push({ start: time, end: repetitionEnd, ...details });
+      entry.files.push(...files);
+      entry.users.push(...users);
+      entry.end = Math.max(entry.end, repetitionEnd, end ?? 0);
+      if (this._shouldAsync) {
+        const waitUntilFinishedDelay = this._waitAnyway
+          ? this.sequence._planValue(...this._waitUntilFinishedDelay)
+          : 0;
+        time = repetitionEnd + waitUntilFinishedDelay + this._repeatDelay;
+      }
+      if (this._repetitions > 1 && i !== this._repetitions - 1) {
+        time += this._repeatDelay;
+      }
+    }
+    entry.resolvesAt = time;
+    entry.files = Array.from(new Set(entry.files));
+    entry.users = Array.from(new Set(entry.users));
+    this._currentRepetition = currentRepetition;
+    this._repeatDelay = repeatDelay;
+    return entry;
+  }
+
+  /**
+   * Returns the ids of the users that would see this section, which is every active user unless it is limited to some
+   *
+   * @param {Array<string>|boolean} inUsers
+   * @returns {Array<string>}
+   * @protected
+   */
+  _planUsers(inUsers) {
+    return inUsers?.length
+      ? Array.from(inUsers)
+      : game.users.filter((user) => user.active).map((user) => user.id);
+  }
+
   /**
    * @protected
    */
@@ -333,37 +476,75 @@ export default class Section {
       return;
     }
     this._basicDelay = lib.random_float_between(this._delayMin, this._delayMax);
-    return new Promise(async (resolve) => {
-      setTimeout(async () => {
-        this.sectionStatus = CONSTANTS.STATUS.RUNNING;
-        for (let i = 0; i < this._repetitions; i++) {
-          if (get(this.sectionStatus) === CONSTANTS.STATUS.ABORTED) {
-            resolve();
-            return;
+    // Runs that are not waited on are still collected, so that this section only completes once they have settled
+    const runs = [];
+    return new Promise(async (resolve, reject) => {
+      this.sequence
+        ._wait(this._basicDelay)
+        .then(async () => {
+          this.sectionStatus = CONSTANTS.STATUS.RUNNING;
+          for (let i = 0; i < this._repetitions; i++) {
+            if (get(this.sectionStatus) === CONSTANTS.STATUS.ABORTED) {
+              resolve();
+              return;
+            }
+            this._currentRepetition = i;
+            this._repeatDelay =
+              i !== this._repetitions - 1
+                ? lib.random_float_between(
+                    this._repeatDelayMin,
+                    this._repeatDelayMax
+                  )
+                : 0;
+            await this.preRun();
+            if (this._shouldAsync) {
+              await this.run();
+            } else {
+              runs.push(
+                this.run().catch((err) => this.sequence._onSectionError(this, err))
+              );
+            }
+            if (this._repetitions > 1 && i !== this._repetitions - 1) {
+              await this._delayBetweenRepetitions();
+            }
           }
-          this._currentRepetition = i;
-          this._repeatDelay =
-            i !== this._repetitions - 1
-              ? lib.random_float_between(
-                  this._repeatDelayMin,
-                  this._repeatDelayMax
-                )
-              : 0;
-          await this.preRun();
-          if (this._shouldAsync) {
-            await this.run();
-          } else {
-            this.run();
-          }
-          if (this._repetitions > 1 && i !== this._repetitions - 1) {
-            await this._delayBetweenRepetitions();
-          }
-        }
-        resolve();
-      }, this._basicDelay);
-    }).then(() => {
-      this.sectionStatus = CONSTANTS.STATUS.COMPLETE;
-    });
+          resolve();
+        })
+        .catch(reject);
+    })
+      .finally(() => Promise.all(runs))
+      .then(() => {
+        this.sectionStatus = CONSTANTS.STATUS.COMPLETE;
+      });
+  }
+
+  /**
+   * Describes this section's status, timing, any error it ran into, and the effects and sounds it has created, as given
+   * to section hooks and included in the report that a sequence resolves to
+   *
+   * @param {number} [inIndex] inIndex
+   * @returns {Object}
+   * @protected
+   */
+  _getResult(inIndex = this._index) {
+    const error = this._initializationError ?? this._error;
+    return {
+      section: this,
+      type: this.constructor.niceName,
+      index: inIndex,
+      iteration: this.sequence.iteration,
+      status: lib.get_status_name(get(this.sectionStatus)),
+      effects: [...this._effectIds],
+      sounds: [...this._soundIds],
+      blocked: this._blocked,
+      startedAt: this._timing.startedAt,
+      duration:
+        this._timing.startedAt !== null
+          ? (this._timing.endedAt ?? this.sequence.currentTime) -
+            this._timing.startedAt
+          : 0,
+      error: error ? error.message ?? String(error) : null,
+    };
   }
 
   set sectionStatus(inStatus) {
@@ -383,17 +564,27 @@ export default class Section {
     return this._sectionStatus;
   }
 
+  /**
+   * @protected
+   */
+  get _isAborted() {
+    return get(this.sectionStatus) === CONSTANTS.STATUS.ABORTED;
+  }
+
   _abortSection() {
-    this.sectionStatus = CONSTANTS.STATUS.ABORTED;
+    // Unlike the other statuses, a section can still be aborted while it is running
+    this._sectionStatus.update((currentStatus) =>
+      currentStatus === CONSTANTS.STATUS.READY ||
+      currentStatus === CONSTANTS.STATUS.RUNNING
+        ? CONSTANTS.STATUS.ABORTED
+        : currentStatus
+    );
   }
 
   /**
    * @protected
    */
   async _delayBetweenRepetitions() {
-    let self = this;
-    return new Promise((resolve) => {
-      setTimeout(resolve, self._repeatDelay);
-    });
+    return this.sequence._wait(this._repeatDelay);
   }
 }
@@ -0,0 +1,58 @@
+import * as lib from "../lib/lib.js";
+import Section from "./section.js";
+
+export default class SetVarSection extends Section {
+  constructor(inSequence, inName, inValue) {
+    super(inSequence);
+    this._waitUntilFinished = true;
+    this._variableName = inName;
+    this._value = inValue;
+  }
+
+  static niceName = "Set Variable";
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async run() {
+    lib.debug(`Setting context variable "${this._variableName}"`);
+    const value = lib.is_function(this._value)
+      ? await this._value(this.sequence.iteration, this.sequence.context)
+      : this._value;
+    foundry.utils.setProperty(this.sequence.context, this._variableName, value);
+  }
+
+  async _planRun() {
+    // Values given as functions may have side effects, so they are only called when the sequence is played
+    if (lib.is_function(this._value)) {
+      return { variable: this._variableName, unknown: true };
+    }
+    await this.run();
+    return { variable: this._variableName, value: this._value };
+  }
+
+  async _serialize() {
+    if (lib.is_function(this._value)) {
+      throw this.sequence._customError(
+        this,
+        "toJSON",
+        "variables set through functions cannot be serialized"
+      );
+    }
+    const data = await super._serialize();
+    return {
+      ...data,
+      type: "setVar",
+      sectionData: {
+        name: this._variableName,
+        value: this._value,
+      },
+    };
+  }
+
+  async _deserialize(data) {
+    this._variableName = data.sectionData.name;
+    this._value = data.sectionData.value;
+    return super._deserialize(data);
+  }
+}
@@ -1,5 +1,6 @@
 import * as lib from "../lib/lib.js";
 import SequencerSoundManager from "../modules/sequencer-sound-manager.js";
+import SequencerMiddleware from "../modules/sequencer-middleware.js";
 import Section from "./section.js";
 import traits from "./traits/_traits.js";
 import { SequencerFileBase } from "../modules/sequencer-file.js";
@@ -19,7 +20,7 @@ class SoundSection extends Section {
 
 	/**
 	 * Declares which file to be played. This may also be an array of paths, which will be randomly picked from each
-	 * time the section is played.
+	 * time the section is played, or of objects with a path and a weight to make some paths more likely to be picked.
 	 *
 	 * @param {string|array} inFile
 	 * @returns this
@@ -160,6 +161,14 @@ class SoundSection extends Section {
 		Object.assign(this.constructor.prototype, traits.users);
 		Object.assign(this.constructor.prototype, traits.name);
 		Object.assign(this.constructor.prototype, traits.location);
+		Object.assign(this.constructor.prototype, traits.offset);
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async preRun() {
+		this._applyContextToLocations();
 	}
 
 	/**
@@ -167,7 +176,16 @@ class SoundSection extends Section {
 	 * @returns {Promise}
 	 */
 	async run() {
-		const playData = await this._sanitizeSoundData();
+		const playData = await SequencerMiddleware._apply(
+			"sound",
+			await this._sanitizeSoundData(),
+			this,
+		);
+
+		if (playData === false) {
+			this._blocked = true;
+			return;
+		}
 
 		if (typeof playData.src !== "string" || playData.src === "") {
 			if (this.sequence.softFail) {
@@ -208,7 +226,12 @@ class SoundSection extends Section {
 			return new Promise((reject) => reject());
 		}
 
-		if (Hooks.call("preCreateSequencerSound", playData) === false) return;
+		if (Hooks.call("preCreateSequencerSound", playData) === false) {
+			this._blocked = true;
+			return;
+		}
+		if (this._isAborted) return;
+		this._soundIds.push(playData.id);
 
 		let push =
 			!(
@@ -217,9 +240,20 @@ class SoundSection extends Section {
 
 		SequencerSoundManager.play(playData, push);
 
-		await new Promise((resolve) =>
-			setTimeout(resolve, this._currentWaitTime + playData.duration),
-		);
+		await this.sequence._wait(this._currentWaitTime + playData.duration);
+	}
+
+	/**
+	 * @OVERRIDE
+	 */
+	async _planRun() {
+		const playData = await this._sanitizeSoundData();
+		if (!playData.play) return {};
+		return {
+			duration: playData.duration,
+			files: [playData.src],
+			users: this._planUsers(playData.users),
+		};
 	}
 
 	/**
@@ -228,6 +262,7 @@ class SoundSection extends Section {
 	 */
 	async _sanitizeSoundData() {
 		if (this._deserializedData) {
+			this._deserializedData.startAtServerTime = this.sequence.serverTime;
 			return this._deserializedData;
 		}
 
@@ -248,7 +283,8 @@ class SoundSection extends Section {
 		}
 
 		if (file instanceof SequencerFileBase) {
-			file.forcedIndex = forcedIndex;
+			file = file.clone();
+			file.fileIndex = forcedIndex;
 			if (file.timeRange) {
 				[this._startTime, this._endTime] = file.timeRange;
 				this._isRange = true;
@@ -284,13 +320,16 @@ class SoundSection extends Section {
 
 		let data = {
 			id: foundry.utils.randomID(),
+			sequenceId: this.sequence.id,
+			startAtServerTime: this.sequence.serverTime,
+			traits: this._traitCalls,
 			play: true,
 			src: file,
 			location: this._source?.uuid
 				|| (this._source?.x && this._source?.y
 					? { x: this._source?.x, y: this._source?.y }
 					: null),
-			offset: this._offset,
+			offset: this._getOffsets(),
 			randomOffset: this._randomOffset,
 			locationOptions: this._locationOptions,
 			loop: this._duration > duration,
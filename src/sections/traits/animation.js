@@ -79,4 +79,39 @@ export default {
 
     return this;
   },
+
+  /**
+   * Animates the effect through a list of keyframes, each of which sets the values the effect should have reached at
+   * a given point in time
+   *
+   * @param {Array<object>} inKeyframes
+   *      @param {Number} inKeyframes[].at             - how many ms into the animation this keyframe is reached
+   *      @param {Number} inKeyframes[].x              - the horizontal position of the effect
+   *      @param {Number} inKeyframes[].y              - the vertical position of the effect
+   *      @param {Number|object} inKeyframes[].scale   - the scale of the effect, or an object containing x and y scales
+   *      @param {Number} inKeyframes[].rotation       - the rotation of the effect in degrees
+   *      @param {Number} inKeyframes[].alpha          - the opacity of the effect
+   *      @param {String} inKeyframes[].ease           - what type of easing to use when animating towards this keyframe
+   * @param {object} inOptions
+   *      @param {Boolean|Number} inOptions.loop       - whether the keyframes should loop indefinitely, or how many times
+   *      @param {Boolean} inOptions.pingPong          - sets whether the keyframes should play backwards after reaching the last one
+   *      @param {Number} inOptions.delay              - inserts a delay in ms before the animation starts
+   *      @param {Boolean} inOptions.gridUnits         - makes the x and y values work in the scene's grid units
+   *      @param {Boolean|Array} inOptions.absolute    - makes the values override the current values, or only the values of the given properties
+   *
+   * @returns this
+   */
+  keyframes(inKeyframes, inOptions = {}) {
+    if (!this._animations) this._animations = [];
+
+    const result = canvaslib.validateKeyframes(inKeyframes, inOptions);
+
+    if (typeof result === "string") {
+      throw this.sequence._customError(this, "keyframes", result);
+    }
+
+    this._animations.push(...result);
+
+    return this;
+  },
 };
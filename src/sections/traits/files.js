@@ -1,6 +1,13 @@
 import * as lib from "../../lib/lib.js";
 import { SequencerFileRangeFind } from "../../modules/sequencer-file.js";
 
+const NO_REPEAT_SCOPES = ["user", "sequence"];
+
+/**
+ * The shuffle bags of files that this user has picked from, shared by every sequence they play
+ */
+const userShuffleBags = new Map();
+
 export default {
   /**
    * Base properties
@@ -9,6 +16,7 @@ export default {
   _fileOptions: false,
   _baseFolder: "",
   _mustache: null,
+  _noRepeat: false,
 
   /**
    * Defines the base folder that will prepend to the file path. This is mainly just useful to make the file
@@ -29,7 +37,8 @@ export default {
   },
 
   /**
-   * Sets the Mustache of the filepath. This is applied after the randomization of the filepath, if available.
+   * Sets the Mustache of the filepath. This is applied after the randomization of the filepath, if available. The
+   * sequence's current loop iteration is available as {{iteration}}, along with the sequence's context variables.
    *
    * @param {object} inMustache
    * @returns this
@@ -45,31 +54,57 @@ export default {
     return this;
   },
 
-  async _determineFile(inFile) {
+  /**
+   * Causes randomly picked files to not repeat until every other file has been picked, like drawing them from a bag
+   * that is refilled once empty. This applies to arrays of files, database folders, and database entries with several
+   * variants. The bag can either be kept per user, shared by every sequence they play, or per sequence, so that it is
+   * only shared between its repetitions and loops.
+   *
+   * @param {string|boolean} [inScope="user"] inScope
+   * @returns this
+   */
+  noRepeat(inScope = "user") {
+    if (inScope === true) inScope = "user";
+    if (inScope !== false && !NO_REPEAT_SCOPES.includes(inScope))
+      throw this.sequence._customError(
+        this,
+        "noRepeat",
+        `inScope must be of type boolean, or one of "${NO_REPEAT_SCOPES.join('", "')}"`
+      );
+    this._noRepeat = inScope;
+    return this;
+  },
+
+  /**
+   * @param {string|array|object} inFile
+   * @param {object} [inOptions] inOptions
+   * @param {boolean} [inOptions.peek=false] Whether to pick a file without drawing it from its shuffle bag
+   */
+  async _determineFile(inFile, { peek = false } = {}) {
     if (!Array.isArray(inFile) && typeof inFile === "object") {
       return this._validateCustomRange(inFile);
     }
 
-    if (Array.isArray(inFile))
-      inFile = lib.random_array_element(inFile, { recurse: true });
+    peek = peek || !!this.sequence._planning;
+
+    if (Array.isArray(inFile)) inFile = this._pickFile(inFile, peek);
 
     inFile = this._applyMustache(inFile);
 
     if (Sequencer.Database.entryExists(inFile)) {
-      return this._determineDatabaseFile(inFile);
+      return this._determineDatabaseFile(inFile, peek);
     }
 
-    const determinedFile = await this._processFile(inFile);
+    const determinedFile = await this._processFile(inFile, peek);
 
     return { file: determinedFile, forcedIndex: false, customRange: false };
   },
 
-  async _processFile(inFile) {
+  async _processFile(inFile, peek = false) {
     inFile = this._applyMustache(inFile);
     inFile = this._applyBaseFolder(inFile);
     inFile = await this._applyWildcard(inFile);
-    if (Array.isArray(inFile))
-      inFile = lib.random_array_element(inFile, { recurse: true });
+    if (Array.isArray(inFile)) inFile = this._pickFile(inFile, peek);
     return inFile;
   },
 
@@ -92,19 +127,129 @@ export default {
     return { file: finalFiles, forcedIndex: false, customRange: true };
   },
 
-  _determineDatabaseFile(inFile) {
+  _determineDatabaseFile(inFile, peek = false) {
     const entries = Sequencer.Database.getEntry(inFile);
     const entry = Array.isArray(entries)
-      ? lib.random_array_element(entries)
+      ? entries[
+          this._pickIndex(
+            inFile,
+            entries.map((entry) =>
+              lib.is_real_number(entry.weight) && entry.weight >= 0
+                ? entry.weight
+                : 1
+            ),
+            peek
+          )
+        ]
       : entries;
     const match = inFile.match(/(\d)+$/);
+    let forcedIndex = match ? Number(match[1]) : false;
+    // Variants are normally picked when the effect is played, but a shuffle bag only exists on this client
+    if (
+      forcedIndex === false &&
+      this._noRepeat &&
+      !entry.rangeFind &&
+      Array.isArray(entry.file) &&
+      !entry.flipbook
+    ) {
+      forcedIndex = this._pickIndex(
+        entry.dbPath + "[]",
+        entry.getWeights(),
+        peek
+      );
+    }
     return {
       file: entry,
-      forcedIndex: match ? Number(match[1]) : false,
+      forcedIndex,
       customRange: false,
     };
   },
 
+  /**
+   * Picks a file from an array of files, which can contain file paths, nested arrays of files, or objects with a path
+   * and a weight
+   *
+   * @private
+   */
+  _pickFile(inFiles, peek = false) {
+    const weights = inFiles.map((file) => {
+      if (typeof file === "string" || Array.isArray(file)) return 1;
+      if (
+        typeof file?.path !== "string" ||
+        !(file.weight === undefined || (lib.is_real_number(file.weight) && file.weight >= 0))
+      ) {
+        throw this.sequence._customError(
+          this,
+          "file",
+          "each file in an array must be a string, an array, or an object with a path string and a weight of 0 or higher"
+        );
+      }
+      return file.weight ?? 1;
+    });
+    const file = inFiles[this._pickIndex(JSON.stringify(inFiles), weights, peek)];
+    if (Array.isArray(file)) return this._pickFile(file, peek);
+    return file?.path ?? file;
+  },
+
+  /**
+   * Picks the index of one of several choices by their weights, drawing it from a shuffle bag if this section should
+   * not repeat its files
+   *
+   * @private
+   */
+  _pickIndex(inKey, inWeights, peek = false) {
+    if (!inWeights.some((weight) => weight > 0)) {
+      throw this.sequence._customError(
+        this,
+        "file",
+        "at least one file must have a weight above 0"
+      );
+    }
+
+    if (!this._noRepeat) {
+      return lib.random_weighted_array_element(inWeights, inWeights, {
+        index: true,
+      });
+    }
+
+    if (this._noRepeat === "sequence" && !this.sequence._shuffleBags) {
+      this.sequence._shuffleBags = new Map();
+    }
+    const bags =
+      this._noRepeat === "sequence" ? this.sequence._shuffleBags : userShuffleBags;
+
+    let bag = bags.get(inKey);
+    if (!bag?.remaining.length || bag.size !== inWeights.length) {
+      bag = {
+        size: inWeights.length,
+        remaining: inWeights
+          .map((weight, index) => index)
+          .filter((index) => inWeights[index] > 0),
+        last: bag?.last,
+      };
+    }
+
+    // Prevents the last file of an emptied bag from being the first to be picked from the refilled one
+    const choices =
+      bag.remaining.length > 1
+        ? bag.remaining.filter((index) => index !== bag.last)
+        : bag.remaining;
+    const chosenIndex = lib.random_weighted_array_element(
+      choices,
+      choices.map((index) => inWeights[index])
+    );
+
+    if (!peek) {
+      bags.set(inKey, {
+        ...bag,
+        remaining: bag.remaining.filter((index) => index !== chosenIndex),
+        last: chosenIndex,
+      });
+    }
+
+    return chosenIndex;
+  },
+
   _applyBaseFolder(inFile) {
     if (Array.isArray(inFile))
       return inFile.map((file) => this._applyBaseFolder(file));
@@ -113,10 +258,26 @@ export default {
       : this._baseFolder + inFile;
   },
 
+  /**
+   * Whether the given file references variables that are not set through .setMustache(), such as the sequence's context
+   * variables and its current loop iteration, which are only known once the section is played
+   */
+  _referencesContext(inFile) {
+    if (typeof inFile !== "string" || !inFile.includes("{{")) return false;
+    const mustache = this._mustache ?? {};
+    return Array.from(inFile.matchAll(/{{\s*([\w.]+)/g)).some(
+      ([, name]) => !(name.split(".")[0] in mustache)
+    );
+  },
+
   _applyMustache(inFile) {
-    if (!this._mustache) return inFile;
+    if (typeof inFile !== "string" || !inFile.includes("{{")) return inFile;
     let template = Handlebars.compile(inFile);
-    return template(this._mustache);
+    return template({
+      iteration: this.sequence.iteration,
+      ...this.sequence.context,
+      ...this._mustache,
+    });
   },
 
   async _applyWildcard(inFile) {
@@ -89,4 +89,24 @@ export default {
         : inLocation;
     return this;
   },
+
+  /**
+   * Resolves locations given as {{var}} references to the sequence's context, keeping the references so that they are
+   * resolved again each time the section runs
+   *
+   * @protected
+   */
+  _applyContextToLocations() {
+    this._contextLocations ??= {
+      source: this._source,
+      target: this._target?.target,
+    };
+    const { source, target } = this._contextLocations;
+    if (typeof source === "string" && source.includes("{{")) {
+      this._source = this._applyContextToLocation(source);
+    }
+    if (typeof target === "string" && target.includes("{{")) {
+      this._target.target = this._applyContextToLocation(target);
+    }
+  },
 };
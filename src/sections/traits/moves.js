@@ -1,6 +1,32 @@
 import { is_real_number } from "../../lib/lib.js";
 import * as canvaslib from "../../lib/canvas-lib.js";
 
+/**
+ * Turns the arc option of moveTowards into the height of the arc, the gravity to derive the height from, and how much
+ * the effect is scaled at the top of the arc
+ *
+ * @param {boolean|number|object} inArc
+ * @returns {string|object} An error message, or the arc
+ */
+function validateArc(inArc) {
+  if (inArc === true) inArc = {};
+  if (is_real_number(inArc)) inArc = { height: inArc };
+  if (typeof inArc !== "object" || inArc === null)
+    return "options.arc must be of type boolean, number, or object";
+  const arc = {
+    height: inArc.height ?? null,
+    gravity: inArc.gravity ?? null,
+    scale: inArc.scale ?? 1.0,
+  };
+  if (arc.height !== null && !is_real_number(arc.height))
+    return "options.arc.height must be of type number";
+  if (arc.gravity !== null && !(is_real_number(arc.gravity) && arc.gravity > 0))
+    return "options.arc.gravity must be a positive number";
+  if (!(is_real_number(arc.scale) && arc.scale > 0))
+    return "options.arc.scale must be a positive number";
+  return arc;
+}
+
 export default {
   /**
    * Base properties
@@ -22,6 +48,7 @@ export default {
         delay: 0,
         rotate: true,
         cacheLocation: false,
+        arc: false,
       },
       options
     );
@@ -49,6 +76,17 @@ export default {
         "moveTowards",
         "options.cacheLocation must be of type boolean"
       );
+    if (options.arc !== false) {
+      if (!["Effect", "Particles"].includes(this.constructor.niceName))
+        throw this.sequence._customError(
+          this,
+          "moveTowards",
+          "options.arc is only supported on effects"
+        );
+      options.arc = validateArc(options.arc);
+      if (typeof options.arc === "string")
+        throw this.sequence._customError(this, "moveTowards", options.arc);
+    }
     options.target = this._validateLocation(inTarget);
     if (!options.target)
       throw this.sequence._customError(
@@ -5,6 +5,13 @@ export default {
   _randomOffset: null,
 
   _validateOffset(functionName, inOffset, inOptions = {}) {
+    if (lib.is_function(inOffset)) {
+      const { offset, ...options } = inOptions;
+      return {
+        ...this._validateOffset(functionName, {}, options),
+        offsetFunction: inOffset,
+      };
+    }
     inOffset = foundry.utils.mergeObject(
       {
         x: 0,
@@ -48,4 +55,37 @@ export default {
       ...inOptions,
     };
   },
+
+  /**
+   * Resolves an offset given as a function, which is called with the sequence's current loop iteration
+   *
+   * @protected
+   */
+  _resolveOffset(inOffset) {
+    if (!lib.is_function(inOffset?.offsetFunction)) return inOffset;
+    const { offsetFunction, ...offsetData } = inOffset;
+    const offset = offsetFunction(this.sequence.iteration);
+    if (!lib.is_real_number(offset?.x) || !lib.is_real_number(offset?.y))
+      throw this.sequence._customError(
+        this,
+        "offset",
+        "offset functions must return an object with x and y of type number"
+      );
+    return {
+      ...offsetData,
+      x: offset.x,
+      y: offset.y,
+    };
+  },
+
+  /**
+   * @protected
+   */
+  _getOffsets() {
+    if (!this._offset) return this._offset;
+    return {
+      source: this._resolveOffset(this._offset.source),
+      target: this._resolveOffset(this._offset.target),
+    };
+  },
 };
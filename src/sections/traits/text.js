@@ -24,4 +24,15 @@ export default {
     );
     return this;
   },
+
+  /**
+   * @protected
+   */
+  _getText() {
+    if (!this._text) return this._text;
+    return {
+      ...this._text,
+      text: this._applyContext(this._text.text),
+    };
+  },
 };
@@ -15,9 +15,11 @@ export default class WaitSection extends Section {
    */
   async run() {
     lib.debug("Running wait");
-    await new Promise(async (resolve) => {
-      setTimeout(resolve, this._waitDuration);
-    });
+    await this.sequence._wait(this._waitDuration);
+  }
+
+  async _planRun() {
+    return { duration: this._waitDuration };
   }
 
   /**
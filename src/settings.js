@@ -2,6 +2,8 @@ import CONSTANTS from "./constants.js";
 import { debug, user_can_do } from "./lib/lib.js";
 import { DatabaseViewerApp } from "./formapplications/database/database-viewer-app.js";
 import { EffectsUIApp } from "./formapplications/effects-ui/effects-ui-app.js";
+import SequencerLibrary from "./modules/sequencer-library.js";
+import SequencerPresets from "./modules/sequencer-presets.js";
 
 export function registerSettings() {
   game.settings.register(CONSTANTS.MODULE_NAME, "enable-fix-pixi", {
@@ -179,6 +181,22 @@ export function registerSettings() {
     type: Object,
   });
 
+  game.settings.register(CONSTANTS.MODULE_NAME, "sequence-library", {
+    scope: "world",
+    config: false,
+    default: {},
+    type: Object,
+    onChange: (value) => SequencerLibrary._onChange(value),
+  });
+
+  game.settings.register(CONSTANTS.MODULE_NAME, "world-presets", {
+    scope: "world",
+    config: false,
+    default: {},
+    type: Object,
+    onChange: (value) => SequencerPresets._onChange(value),
+  });
+
   Hooks.on("getSceneControlButtons", (controls) => {
     if (!game.settings.get(CONSTANTS.MODULE_NAME, "showSidebarTools")) return;
 
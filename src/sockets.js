@@ -11,6 +11,7 @@ export const SOCKET_HANDLERS = {
   END_EFFECTS: "endEffects",
   UPDATE_EFFECT: "updateEffects",
   ADD_EFFECT_ANIMATIONS: "addEffectAnimations",
+  UPDATE_EFFECT_GROUP: "updateEffectGroup",
   PLAY_SOUND: "playSound",
   END_SOUNDS: "endSounds",
   PRELOAD: "preload",
@@ -27,6 +28,9 @@ export const SOCKET_HANDLERS = {
   CREATE_LIGHT_SOURCE: "createLightSource",
   PAN_CANVAS: "panCanvas",
   RUN_SEQUENCE_LOCALLY: "runSequenceLocally",
+  SET_SEQUENCE_PAUSED: "setSequencePaused",
+  ADVANCE_SEQUENCE: "advanceSequence",
+  GET_CLOCK_TIME: "getClockTime",
 };
 
 export let sequencerSocket;
@@ -46,6 +50,9 @@ export function registerSocket() {
   sequencerSocket.register(SOCKET_HANDLERS.ADD_EFFECT_ANIMATIONS, (...args) =>
     SequencerEffectManager._addEffectAnimations(...args)
   );
+  sequencerSocket.register(SOCKET_HANDLERS.UPDATE_EFFECT_GROUP, (...args) =>
+    SequencerEffectManager._updateGroup(...args)
+  );
   sequencerSocket.register(SOCKET_HANDLERS.PLAY_SOUND, (...args) =>
     SequencerSoundManager._play(...args)
   );
@@ -82,10 +89,27 @@ export function registerSocket() {
   sequencerSocket.register(SOCKET_HANDLERS.PAN_CANVAS, (data) =>
     SequencerFoundryReplicator._panCanvas(data)
   );
-  sequencerSocket.register(SOCKET_HANDLERS.RUN_SEQUENCE_LOCALLY, (data) => {
+  sequencerSocket.register(SOCKET_HANDLERS.RUN_SEQUENCE_LOCALLY, (data, options) => {
     lib.debug("Playing remote Sequence");
-    new Sequence().fromJSON(data).play();
+    new Sequence().fromJSON(data).play({ at: options?.at ?? null });
   });
+  sequencerSocket.register(SOCKET_HANDLERS.SET_SEQUENCE_PAUSED, (...args) =>
+    setSequencePaused(...args)
+  );
+  sequencerSocket.register(SOCKET_HANDLERS.ADVANCE_SEQUENCE, (...args) =>
+    advanceSequence(...args)
+  );
+  sequencerSocket.register(SOCKET_HANDLERS.GET_CLOCK_TIME, () => Date.now());
+}
+
+export function setSequencePaused(sequenceId, paused) {
+  SequencerEffectManager._setSequencePaused(sequenceId, paused);
+  SequencerSoundManager._setSequencePaused(sequenceId, paused);
+}
+
+export function advanceSequence(sequenceId, ms) {
+  SequencerEffectManager._advanceSequence(sequenceId, ms);
+  SequencerSoundManager._advanceSequence(sequenceId, ms);
 }
 
 async function updateDocument(documentUuid, updates, animate) {
@@ -240,10 +240,11 @@ const flagManager = {
 	 *
 	 * @param inObjectUUID
 	 * @param inEffects
+	 * @returns {Promise}
 	 */
 	addEffectFlags: (inObjectUUID, inEffects) => {
 		if (!Array.isArray(inEffects)) inEffects = [inEffects];
-		sequencerSocket.executeAsGM(
+		return sequencerSocket.executeAsGM(
 			SOCKET_HANDLERS.ADD_EFFECT_FLAGS,
 			inObjectUUID,
 			inEffects,
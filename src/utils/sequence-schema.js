@@ -0,0 +1,408 @@
+import * as lib from "../lib/lib.js";
+import sectionManager from "../modules/sequencer-section-manager.js";
+
+const SEQUENCE_FIELDS = {
+	version: "string",
+	options: "object",
+	loop: "object",
+	errorHandlers: "array",
+	sections: "array",
+};
+
+const OPTIONS_FIELDS = {
+	moduleName: "string",
+	softFail: "boolean",
+	continueOnError: "boolean",
+};
+
+const LOOP_FIELDS = {
+	count: ["number", "null"],
+	until: ["string", "boolean"],
+};
+
+const SECTION_FIELDS = {
+	type: "string",
+	sectionData: "object",
+	async: "boolean",
+	delay: "array",
+	waitUntilFinished: "boolean",
+	waitUntilFinishedDelay: "array",
+	repetitions: "number",
+	repetitionsDelay: "array",
+	traits: "array",
+};
+
+/**
+ * The fields of the evaluated data that effects and particles store in their sectionData. Effects saved to the library
+ * also keep the builder options that are resolved when they are played in "deferred".
+ */
+const EFFECT_DATA_FIELDS = {
+	_id: "string",
+	flagVersion: "string",
+	sequenceId: "string",
+	creationTimestamp: "number",
+	startAtServerTime: ["number", "boolean"],
+	sceneId: "string",
+	creatorUserId: "string",
+	moduleName: "string",
+	users: ["array", "boolean"],
+	name: ["string", "null"],
+	origin: ["string", "null"],
+	index: "number",
+	repetition: "number",
+	private: ["boolean", "null"],
+	temporary: "boolean",
+	tiedDocuments: "array",
+	traits: "array",
+	source: "any",
+	target: "any",
+	rotateTowards: ["object", "null"],
+	stretchTo: ["object", "boolean"],
+	moveTowards: ["object", "boolean"],
+	attachTo: ["object", "null"],
+	missed: ["boolean", "null"],
+	chain: ["object", "boolean"],
+	file: "any",
+	customRange: "boolean",
+	forcedIndex: "any",
+	fileOptions: ["object", "null"],
+	text: ["object", "null"],
+	tilingTexture: ["object", "null"],
+	masks: "array",
+	shapes: "array",
+	particles: ["object", "null"],
+	volume: ["number", "null"],
+	isometric: ["object", "null"],
+	syncGroup: ["string", "null"],
+	group: ["string", "null"],
+	scale: "object",
+	spriteScale: "object",
+	angle: ["number", "null"],
+	size: ["object", "null"],
+	offset: ["object", "null"],
+	anchor: ["object", "null"],
+	spriteOffset: ["object", "null"],
+	spriteAnchor: ["object", "null"],
+	template: ["object", "null"],
+	zeroSpriteRotation: ["boolean", "null"],
+	randomOffset: ["object", "null"],
+	randomRotation: ["boolean", "null"],
+	scaleToObject: ["object", "null"],
+	elevation: ["object", "null"],
+	sortLayer: "number",
+	aboveLighting: ["boolean", "null"],
+	aboveInterface: ["boolean", "null"],
+	xray: ["boolean", "null"],
+	zIndex: ["number", "null"],
+	opacity: "number",
+	filters: ["array", "null"],
+	loopOptions: ["object", "null"],
+	spriteRotation: "number",
+	randomSpriteRotation: "boolean",
+	tint: "number",
+	duration: ["number", "boolean"],
+	persist: ["boolean", "null"],
+	persistOptions: ["object", "null"],
+	playbackRate: ["number", "null"],
+	extraEndDuration: ["number", "null"],
+	time: ["object", "boolean"],
+	moves: ["object", "null"],
+	moveSpeed: ["number", "null"],
+	movePath: ["object", "null"],
+	fadeIn: ["object", "null"],
+	fadeOut: ["object", "null"],
+	scaleIn: ["object", "null"],
+	scaleOut: ["object", "null"],
+	rotateIn: ["object", "null"],
+	rotateOut: ["object", "null"],
+	fadeInAudio: ["object", "null"],
+	fadeOutAudio: ["object", "null"],
+	animations: ["array", "null"],
+	screenSpace: ["boolean", "null"],
+	screenSpaceAboveUI: ["boolean", "null"],
+	screenSpaceAnchor: ["object", "null"],
+	screenSpacePosition: ["object", "null"],
+	screenSpaceScale: ["object", "null"],
+	nameOffsetMap: ["object", "boolean"],
+	remote: "boolean",
+	deferred: "object",
+};
+
+/**
+ * The types of sections whose sectionData can have any other fields added through .addOverride()
+ */
+const OVERRIDABLE_SECTIONS = ["effect", "particles", "sound"];
+
+/**
+ * The fields that each type of section stores in its sectionData. Effects, particles, sounds, scrolling text, and canvas
+ * pans store their fully evaluated data, which is sanitized when they are played.
+ */
+const SECTION_DATA_FIELDS = {
+	effect: EFFECT_DATA_FIELDS,
+	particles: EFFECT_DATA_FIELDS,
+	sound: {
+		id: "string",
+		sequenceId: "string",
+		startAtServerTime: ["number", "boolean"],
+		traits: "array",
+		play: "boolean",
+		src: ["string", "boolean"],
+		location: ["string", "object", "null"],
+		offset: ["object", "null"],
+		randomOffset: ["object", "null"],
+		locationOptions: "object",
+		loop: "boolean",
+		volume: "number",
+		channel: "string",
+		fadeIn: ["object", "null"],
+		fadeOut: ["object", "null"],
+		startTime: "number",
+		duration: "number",
+		sceneId: "string",
+		users: ["array", "null"],
+		name: ["string", "null"],
+		origin: ["string", "null"],
+		seed: "string",
+	},
+	scrollingText: {
+		sceneId: "string",
+		seed: "number",
+		sequenceId: "string",
+		creatorUserId: "string",
+		users: ["array", "boolean"],
+		moduleName: "string",
+		source: "any",
+		offset: ["object", "boolean"],
+		randomOffset: ["number", "boolean"],
+		content: "string",
+		options: "object",
+	},
+	canvasPan: {
+		sceneId: "string",
+		seed: "number",
+		sequenceId: "string",
+		creatorUserId: "string",
+		users: ["array", "boolean"],
+		moduleName: "string",
+		source: "any",
+		offset: ["object", "boolean"],
+		randomOffset: ["number", "boolean"],
+		duration: "number",
+		speed: ["number", "null"],
+		scale: "number",
+		lockView: ["number", "null"],
+		shake: ["object", "null"],
+	},
+	wait: {
+		waitDuration: "number",
+	},
+	setVar: {
+		name: "string",
+		value: "any",
+	},
+	thenDo: {
+		name: "string",
+	},
+	macro: {
+		macro: "string",
+		args: "object",
+	},
+	branch: {
+		condition: ["string", "boolean"],
+		branches: "object",
+		weightedBranches: ["array", "boolean"],
+	},
+	parallel: {
+		mode: "string",
+		sequences: "array",
+	},
+};
+
+const sequenceSchema = {
+	_latestVersion: false,
+
+	get latestVersion() {
+		if (!this._latestVersion) {
+			const versions = Object.keys(this.migrations);
+			versions.sort((a, b) => {
+				return foundry.utils.isNewerVersion(a, b) ? -1 : 1;
+			});
+			this._latestVersion = versions[0];
+		}
+		return this._latestVersion;
+	},
+
+	/**
+	 * Migrates serialized sequence data to the latest version, accounting for changes to the structure in previous
+	 * versions. Sequences nested in branches and parallel sections are migrated when they are deserialized.
+	 *
+	 * @param {Object} inData
+	 * @returns {Object}
+	 */
+	migrate(inData) {
+		if (typeof inData !== "object" || inData === null) return inData;
+
+		const dataVersion = inData.version ?? "1.0.0";
+
+		if (dataVersion === this.latestVersion) return inData;
+
+		let data = foundry.utils.deepClone(inData);
+
+		for (let [version, migration] of Object.entries(this.migrations)) {
+			if (!foundry.utils.isNewerVersion(version, dataVersion)) continue;
+
+			data = migration(data);
+		}
+
+		lib.debug(
+			`Migrated sequence data from version ${dataVersion} to version ${this.latestVersion}`,
+		);
+
+		data.version = this.latestVersion;
+
+		return data;
+	},
+
+	migrations: {
+		"3.4.0": (data) => {
+			data.options = {
+				moduleName: "Sequencer",
+				softFail: false,
+				continueOnError: false,
+				...data.options,
+			};
+			data.loop = data.loop ?? { count: 1, until: false };
+			data.errorHandlers = data.errorHandlers ?? [];
+			return data;
+		},
+	},
+
+	/**
+	 * Validates serialized sequence data, including the data of any sequences nested within its sections
+	 *
+	 * @param {Object} inData
+	 * @returns {{ errors: Array<string>, unknown: Array<string> }} The fields that are invalid, and the fields that are not
+	 *                                                             recognized
+	 */
+	validate(inData) {
+		const report = { errors: [], unknown: [] };
+		validateSequence(inData, "", report);
+		return report;
+	},
+};
+
+/**
+ * @private
+ */
+function validateSequence(inData, inPath, report) {
+	if (!validateFields(inData, SEQUENCE_FIELDS, inPath, report, ["options", "sections"])) return;
+
+	if (inData.version && foundry.utils.isNewerVersion(inData.version, sequenceSchema.latestVersion)) {
+		report.errors.push(
+			`${join(inPath, "version")} - was serialized by a newer version of Sequencer (${inData.version})`,
+		);
+	}
+
+	validateFields(inData.options, OPTIONS_FIELDS, join(inPath, "options"), report);
+	if (inData.loop !== undefined) {
+		validateFields(inData.loop, LOOP_FIELDS, join(inPath, "loop"), report);
+	}
+
+	for (const [index, section] of entriesOf(inData.sections)) {
+		validateSection(section, join(inPath, `sections[${index}]`), report);
+	}
+}
+
+/**
+ * @private
+ */
+function validateSection(inSection, inPath, report) {
+	if (!validateFields(inSection, SECTION_FIELDS, inPath, report, ["type", "sectionData"])) return;
+
+	const sectionDataFields = SECTION_DATA_FIELDS[inSection.type];
+	if (sectionDataFields === undefined) {
+		if (!sectionManager.externalSections[inSection.type]) {
+			report.errors.push(`${join(inPath, "type")} - "${inSection.type}" is not a known section type`);
+		}
+		return;
+	}
+
+	const sectionDataPath = join(inPath, "sectionData");
+	const allowUnknown = OVERRIDABLE_SECTIONS.includes(inSection.type);
+	if (!validateFields(inSection.sectionData, sectionDataFields, sectionDataPath, report, [], allowUnknown)) return;
+
+	const { sectionData } = inSection;
+	if (inSection.type === "branch") {
+		const branches = getType(sectionData.branches) === "object" ? sectionData.branches : {};
+		for (const [key, branch] of Object.entries(branches)) {
+			validateSequence(branch, join(sectionDataPath, `branches.${key}`), report);
+		}
+		for (const [index, branch] of entriesOf(sectionData.weightedBranches)) {
+			validateSequence(branch?.sequence, join(sectionDataPath, `weightedBranches[${index}].sequence`), report);
+		}
+	} else if (inSection.type === "parallel") {
+		for (const [index, sequence] of entriesOf(sectionData.sequences)) {
+			validateSequence(sequence, join(sectionDataPath, `sequences[${index}]`), report);
+		}
+	}
+}
+
+/**
+ * Checks the given object's fields against a map of field names to their types, noting down fields that are missing,
+ * have the wrong type, or are not recognized
+ *
+ * @private
+ */
+function validateFields(inData, inFields, inPath, report, inRequiredFields = [], inAllowUnknown = false) {
+	if (getType(inData) !== "object") {
+		report.errors.push(`${inPath || "data"} - must be of type object`);
+		return false;
+	}
+	for (const field of inRequiredFields) {
+		if (!(field in inData)) {
+			report.errors.push(`${join(inPath, field)} - is required`);
+		}
+	}
+	for (const [field, types] of Object.entries(inFields)) {
+		if (types === "any" || !(field in inData)) continue;
+		const allowedTypes = Array.isArray(types) ? types : [types];
+		const type = getType(inData[field]);
+		if (!allowedTypes.includes(type)) {
+			report.errors.push(`${join(inPath, field)} - must be of type ${allowedTypes.join(" or ")}, got ${type}`);
+		}
+	}
+	if (inAllowUnknown) return true;
+	for (const field of Object.keys(inData)) {
+		if (!(field in inFields)) {
+			report.unknown.push(join(inPath, field));
+		}
+	}
+	return true;
+}
+
+/**
+ * @private
+ */
+function getType(inValue) {
+	if (inValue === null) return "null";
+	if (Array.isArray(inValue)) return "array";
+	return typeof inValue;
+}
+
+/**
+ * The entries of the given value if it is an array, so fields of the wrong type are only reported rather than walked
+ *
+ * @private
+ */
+function entriesOf(inValue) {
+	return Array.isArray(inValue) ? inValue.entries() : [];
+}
+
+/**
+ * @private
+ */
+function join(inPath, inField) {
+	return inPath ? `${inPath}.${inField}` : inField;
+}
+
+export default sequenceSchema;
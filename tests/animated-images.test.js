@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { may_be_animated_image } from "../src/lib/lib.js";
+import SequencerFileCache from "../src/modules/sequencer-file-cache.js";
+import { SequencerFile } from "../src/modules/sequencer-file.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+/**
+ * Creates the start of a PNG file, with a header chunk followed by a chunk of the given type
+ */
+function png(chunkType) {
+	const chunk = (type, length) => [0, 0, 0, length, ...Array.from(type, (char) => char.charCodeAt(0)), ...new Array(length + 4).fill(0)];
+	return new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10, ...chunk("IHDR", 13), ...chunk(chunkType, 8)]);
+}
+
+const frame = (file, time) => ({ texture: Object.assign(new PIXI.Texture(), { file }), time });
+
+describe("animated images", () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.unstubAllGlobals();
+	});
+
+	it("only tries to decode GIF and PNG files", async () => {
+		expect(may_be_animated_image("fire/burst.gif")).toBe(true);
+		expect(may_be_animated_image("fire/burst.APNG?v=2")).toBe(true);
+		expect(may_be_animated_image("fire/burst.webp")).toBe(false);
+
+		expect(await SequencerFileCache.loadAnimatedImage("fire/burst.webm")).toBe(false);
+	});
+
+	it("resolves to false when the browser cannot decode them", async () => {
+		expect(await SequencerFileCache.loadAnimatedImage("fire/undecodable.gif")).toBe(false);
+	});
+
+	it("only decodes PNG files whose header marks them as animated", async () => {
+		vi.stubGlobal(
+			"ImageDecoder",
+			class ImageDecoder {
+				static isTypeSupported = async () => true;
+
+				constructor() {
+					throw new Error("Could not decode");
+				}
+			}
+		);
+		vi.stubGlobal(
+			"fetch",
+			vi.fn(async (src) => new Response(png(src.includes("animated") ? "acTL" : "IDAT")))
+		);
+		vi.spyOn(ui.notifications, "error");
+
+		expect(await SequencerFileCache.loadAnimatedImage("fire/still.png")).toBe(false);
+		expect(fetch).toHaveBeenCalledTimes(1);
+
+		expect(await SequencerFileCache.loadAnimatedImage("fire/animated.png")).toBe(false);
+		expect(fetch).toHaveBeenCalledTimes(3);
+		expect(ui.notifications.error).toHaveBeenCalledWith(
+			"Sequencer | FileCache | Failed to decode animated image: fire/animated.png",
+			{ console: false }
+		);
+	});
+
+	it("takes the sum of the durations of their frames as their duration", async () => {
+		vi.spyOn(SequencerFileCache, "loadAnimatedImage").mockResolvedValue([frame("a", 100), frame("b", 250)]);
+
+		expect(await SequencerFileCache.getMediaDuration("fire/burst.gif")).toBe(350);
+	});
+});
+
+describe("SequencerFile animated images", () => {
+	beforeEach(() => {
+		vi.spyOn(SequencerFileCache, "loadAnimatedImage").mockResolvedValue([
+			frame("a", 100),
+			frame("b", 250),
+			frame("c", 50),
+		]);
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("plays their frames for as long as each of them is shown, limited to the frame range", async () => {
+		const file = new SequencerFile("fire/burst.gif", "temporary.spritesheet", { frames: [1, 2] });
+
+		const { texture, sheet } = await file.getTexture();
+
+		expect(sheet.map(({ texture, time }) => [texture.file, time])).toEqual([
+			["b", 250],
+			["c", 50],
+		]);
+		expect(texture.file).toBe("b");
+	});
+
+	it("plays their frames at the given frame rate instead when there is one", async () => {
+		const file = new SequencerFile("fire/burst-at-12-fps.gif", "temporary.spritesheet", { fps: 12 });
+
+		const { sheet } = await file.getTexture();
+
+		expect(sheet.every((texture) => texture instanceof PIXI.Texture)).toBe(true);
+		expect(sheet.map(({ file }) => file)).toEqual(["a", "b", "c"]);
+	});
+
+	it("is not played as a spritesheet when the image is not animated", async () => {
+		SequencerFileCache.loadAnimatedImage.mockResolvedValue(false);
+		const file = new SequencerFile("fire/still.png", "temporary.spritesheet", {});
+		vi.spyOn(file, "_getTexture").mockResolvedValue("still");
+
+		expect(await file.getTexture()).toMatchObject({ texture: "still", sheet: false });
+	});
+});
@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerConditions from "../src/modules/sequencer-conditions.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+/**
+ * Creates a sequence that adds the given name to the played list when it runs
+ */
+function createBranch(played, name) {
+	const sequence = new Sequence();
+	sequence.thenDo(() => played.push(name));
+	return sequence;
+}
+
+describe("Sequence.branch", () => {
+	let played;
+
+	beforeEach(() => {
+		played = [];
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("plays the branch whose key matches the result of the condition", async () => {
+		const sequence = new Sequence();
+		sequence.branch((inSequence) => (inSequence === sequence ? "hit" : "miss"), {
+			hit: createBranch(played, "hit"),
+			miss: createBranch(played, "miss"),
+		});
+		sequence.thenDo(() => played.push("after"));
+
+		await sequence.play();
+
+		expect(played).toEqual(["hit", "after"]);
+	});
+
+	it("falls back to the default branch, and plays nothing without one", async () => {
+		const sequence = new Sequence();
+		sequence.branch(() => "critical", {
+			hit: createBranch(played, "hit"),
+			default: createBranch(played, "default"),
+		});
+		sequence.branch(() => "critical", { hit: createBranch(played, "hit") });
+
+		await sequence.play();
+
+		expect(played).toEqual(["default"]);
+	});
+
+	it("looks up conditions registered by name", async () => {
+		SequencerConditions.register("isHit", () => true, true);
+		const sequence = new Sequence();
+		sequence
+			.branch("isHit", {
+				true: createBranch(played, "hit"),
+				false: createBranch(played, "miss"),
+			})
+			.waitUntilFinished();
+
+		await sequence.play();
+
+		expect(played).toEqual(["hit"]);
+	});
+
+	it("picks weighted branches at random by their weight", async () => {
+		vi.spyOn(Math, "random").mockReturnValue(0.5);
+		const sequence = new Sequence();
+		sequence.branch([
+			{ sequence: createBranch(played, "rare"), weight: 1 },
+			{ sequence: createBranch(played, "common"), weight: 3 },
+		]);
+
+		await sequence.play();
+
+		expect(played).toEqual(["common"]);
+	});
+
+	it("refuses weighted entries without a positive weight", () => {
+		expect(() => new Sequence().branch([{ sequence: new Sequence(), weight: 0 }])).toThrow(
+			"weight must be a positive number"
+		);
+	});
+
+	it("serializes named conditions, but not function conditions", async () => {
+		const data = await new Sequence().branch("isHit", { true: new Sequence() }).toJSON();
+		expect(data.sections[0]).toMatchObject({
+			type: "branch",
+			sectionData: { condition: "isHit", weightedBranches: false },
+		});
+
+		await expect(new Sequence().branch(() => true, { true: new Sequence() }).toJSON()).rejects.toThrow(
+			"function as a condition cannot be serialized"
+		);
+	});
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import EffectSection from "../src/sections/effect.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+const START = 1000000;
+
+/**
+ * Creates an effect section whose sanitized data chains from "A" through "B" and "C" to "D"
+ */
+function createChainSection({ delayBetween = 100, startAtServerTime = false } = {}) {
+	const section = new EffectSection(new Sequence());
+	section._deserializedData = true;
+	section._sanitizeEffectData = async () => ({
+		_id: "first",
+		name: "",
+		source: "A",
+		target: "B",
+		attachTo: false,
+		missed: true,
+		creationTimestamp: START,
+		startAtServerTime,
+		chain: {
+			delayBetween,
+			links: [
+				{ source: "B", target: "C", attachTo: false },
+				{ source: "C", target: "D", attachTo: false },
+			],
+		},
+	});
+	return section;
+}
+
+describe("EffectSection._getChainLinks", () => {
+	it("splits a chain into links that share a name and only let the last one miss", async () => {
+		const section = createChainSection();
+		const links = section._getChainLinks(await section._sanitizeEffectData());
+
+		expect(links.map((link) => [link.source, link.target])).toEqual([
+			["A", "B"],
+			["B", "C"],
+			["C", "D"],
+		]);
+		expect(new Set(links.map((link) => link.name))).toEqual(new Set(["chain-first"]));
+		expect(links.map((link) => link.missed)).toEqual([false, false, true]);
+		expect(links.every((link) => link.chain === false)).toBe(true);
+		expect(links[0]._id).toBe("first");
+	});
+
+	it("schedules each link the delay after the previous one on the shared clock", async () => {
+		const section = createChainSection({ startAtServerTime: 5000 });
+		const links = section._getChainLinks(await section._sanitizeEffectData());
+
+		expect(links.map((link) => link.startAtServerTime)).toEqual([5000, 5100, 5200]);
+		expect(links.map((link) => link.creationTimestamp)).toEqual([START, START, START]);
+	});
+
+	it("leaves the links unscheduled when the effect is", async () => {
+		const section = createChainSection();
+		const links = section._getChainLinks(await section._sanitizeEffectData());
+
+		expect(links.map((link) => link.startAtServerTime)).toEqual([false, false, false]);
+	});
+});
+
+describe("EffectSection chain playback", () => {
+	let played;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ now: START });
+		played = [];
+		game.user.role = 4;
+		globalThis.Sequencer = {
+			SectionManager: { externalSections: {} },
+			EffectManager: {
+				play: vi.fn(async (data) => {
+					played.push({ id: data._id, at: Date.now(), creationTimestamp: data.creationTimestamp });
+					return { duration: 0, promise: Promise.resolve(0) };
+				}),
+			},
+		};
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		delete game.user.role;
+	});
+
+	it("plays each link the delay after the previous one", async () => {
+		const section = createChainSection();
+		const run = section.run();
+
+		await vi.advanceTimersByTimeAsync(0);
+		expect(played.map((link) => link.at)).toEqual([START]);
+
+		await vi.advanceTimersByTimeAsync(100);
+		expect(played.map((link) => link.at)).toEqual([START, START + 100]);
+
+		await vi.advanceTimersByTimeAsync(100);
+		expect(played.map((link) => link.at)).toEqual([START, START + 100, START + 200]);
+
+		await vi.advanceTimersByTimeAsync(10);
+		await run;
+		expect(section._effectIds).toHaveLength(3);
+	});
+
+	it("stamps each link with the time it was played at", async () => {
+		const section = createChainSection();
+		const run = section.run();
+		await vi.advanceTimersByTimeAsync(250);
+		await run;
+
+		expect(played.map((link) => link.creationTimestamp)).toEqual(played.map((link) => link.at));
+	});
+
+	it("does not play the remaining links once the section is aborted", async () => {
+		const section = createChainSection();
+		const run = section.run();
+		await vi.advanceTimersByTimeAsync(150);
+		section._abortSection();
+		await vi.advanceTimersByTimeAsync(100);
+		await run;
+
+		expect(played.map((link) => link.id)).toHaveLength(2);
+		expect(section._effectIds).toHaveLength(2);
+	});
+});
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import SequencerClock from "../src/modules/sequencer-clock.js";
+import Sequence from "../src/modules/sequencer.js";
+import { sequencerSocket } from "../src/sockets.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+vi.mock("../src/sockets.js", () => ({
+	SOCKET_HANDLERS: { GET_CLOCK_TIME: "getClockTime" },
+	sequencerSocket: { executeAsGM: vi.fn() },
+}));
+
+const GM_CLOCK_AHEAD = 5000;
+
+/**
+ * Answers requests for the GM's time as a GM whose clock is ahead of this client's, with the given round trips
+ */
+function answerAsGM(roundTrips) {
+	let request = 0;
+	sequencerSocket.executeAsGM.mockImplementation(async () => {
+		const roundTrip = roundTrips[request++ % roundTrips.length];
+		vi.advanceTimersByTime(roundTrip / 2);
+		const gmTime = Date.now() + GM_CLOCK_AHEAD;
+		vi.advanceTimersByTime(roundTrip / 2);
+		return gmTime;
+	});
+}
+
+describe("SequencerClock", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ now: 1000000 });
+		game.users = { activeGM: { isSelf: false } };
+	});
+
+	afterEach(async () => {
+		game.users = { activeGM: { isSelf: true } };
+		await SequencerClock.sync();
+		delete game.users;
+		vi.useRealTimers();
+	});
+
+	it("estimates the offset to the GM's clock from the quickest of several round trips", async () => {
+		answerAsGM([300, 40, 120, 80, 200]);
+
+		await SequencerClock.sync();
+
+		expect(sequencerSocket.executeAsGM).toHaveBeenCalledWith("getClockTime");
+		expect(SequencerClock.offset).toBe(GM_CLOCK_AHEAD);
+		expect(SequencerClock.latency).toBe(20);
+		expect(SequencerClock.now()).toBe(Date.now() + GM_CLOCK_AHEAD);
+		expect(SequencerClock.toLocalTime(SequencerClock.now())).toBe(Date.now());
+	});
+
+	it("uses its own clock when it is the GM", async () => {
+		game.users.activeGM.isSelf = true;
+
+		await SequencerClock.sync();
+
+		expect(SequencerClock.offset).toBe(0);
+		expect(SequencerClock.now()).toBe(Date.now());
+	});
+
+	it("waits until the shared clock reaches the given time, and reports how late it is otherwise", async () => {
+		const resolved = vi.fn();
+		SequencerClock.waitUntil(SequencerClock.now() + 500).then(resolved);
+
+		await vi.advanceTimersByTimeAsync(499);
+		expect(resolved).not.toHaveBeenCalled();
+		await vi.advanceTimersByTimeAsync(1);
+		expect(resolved).toHaveBeenCalledWith(0);
+
+		expect(await SequencerClock.waitUntil(SequencerClock.now() - 200)).toBe(200);
+	});
+});
+
+describe("Sequence.play at", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ now: 1000000 });
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("starts playing once the shared clock reaches the given time", async () => {
+		const func = vi.fn();
+		const sequence = new Sequence();
+		sequence.thenDo(func);
+
+		const play = sequence.play({ at: SequencerClock.now() + 1000 });
+		await vi.advanceTimersByTimeAsync(900);
+		expect(func).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(110);
+		expect(func).toHaveBeenCalled();
+		await vi.advanceTimersByTimeAsync(1000);
+		await play;
+	});
+
+	it("only has a server time when it was given a time to start at", async () => {
+		const serverTimes = [];
+		const unscheduled = new Sequence();
+		unscheduled.thenDo(() => serverTimes.push(unscheduled.serverTime));
+		const playUnscheduled = unscheduled.play();
+		await vi.advanceTimersByTimeAsync(1000);
+		await playUnscheduled;
+
+		const at = SequencerClock.now() + 1000;
+		const scheduled = new Sequence();
+		scheduled.thenDo(() => serverTimes.push(scheduled.serverTime));
+		const play = scheduled.play({ at });
+		await vi.advanceTimersByTimeAsync(2000);
+		await play;
+
+		expect(serverTimes[0]).toBe(false);
+		expect(serverTimes[1]).toBeGreaterThanOrEqual(at);
+		expect(serverTimes[1]).toBeLessThan(at + 50);
+	});
+
+	it("only accepts a number", async () => {
+		await expect(new Sequence().play({ at: "soon" })).rejects.toThrow("at must be of type number");
+	});
+});
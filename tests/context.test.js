@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import EffectSection from "../src/sections/effect.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+beforeEach(() => {
+	globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+});
+
+describe("Sequence context", () => {
+	it("sets variables that later sections and getVar can read", async () => {
+		const seen = [];
+		const sequence = new Sequence();
+		sequence.setVar("damage.total", 12);
+		sequence.thenDo((iteration, context) => {
+			seen.push(context.damage.total);
+		});
+
+		await sequence.play();
+
+		expect(seen).toEqual([12]);
+		expect(sequence.getVar("damage.total")).toBe(12);
+	});
+
+	it("calls functions given as values with the iteration and context", async () => {
+		const sequence = new Sequence();
+		sequence.setVar("count", 2);
+		sequence.setVar("double", (iteration, context) => context.count * 2);
+
+		await sequence.play();
+
+		expect(sequence.getVar("double")).toBe(4);
+	});
+
+	it("does not call functions given as values when planning", async () => {
+		const value = vi.fn(() => 1);
+		const sequence = new Sequence();
+		sequence.setVar("value", value);
+
+		const plan = await sequence.plan();
+
+		expect(value).not.toHaveBeenCalled();
+		expect(plan.sections[0].repetitions[0]).toMatchObject({ variable: "value", unknown: true });
+	});
+
+	it("serializes variables, but not variables set through functions", async () => {
+		const data = await new Sequence().setVar("damage", 12).toJSON();
+		expect(data.sections[0]).toMatchObject({ type: "setVar", sectionData: { name: "damage", value: 12 } });
+
+		await expect(new Sequence().setVar("damage", () => 12).toJSON()).rejects.toThrow(
+			"variables set through functions cannot be serialized"
+		);
+	});
+});
+
+describe("Deferred effect data", () => {
+	beforeEach(() => {
+		globalThis.Handlebars = {
+			compile: (template) => (context) =>
+				template.replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => foundry.utils.getProperty(context, key)),
+		};
+	});
+
+	afterEach(() => {
+		delete globalThis.Handlebars;
+	});
+
+	it("picks the file and resolves context variables each time the effect is played", async () => {
+		const sequence = new Sequence();
+		sequence.context = { damage: 12 };
+		const section = sequence.effect();
+		section._determineFile = vi.fn(async () => ({ file: "modules/my-module/fire-02.webm", forcedIndex: 1 }));
+
+		const data = await section._resolveDeferredData({
+			_id: "saved",
+			text: { text: "" },
+			deferred: { file: "jb2a.fire", text: "Hit for {{damage}}", source: false, target: false },
+		});
+
+		expect(section._determineFile).toHaveBeenCalledWith("jb2a.fire");
+		expect(data).toMatchObject({
+			file: "modules/my-module/fire-02.webm",
+			forcedIndex: 1,
+			text: { text: "Hit for 12" },
+		});
+		expect(data._id).not.toBe("saved");
+		expect(data).not.toHaveProperty("deferred");
+	});
+});
+
+describe("EffectSection files that reference the context", () => {
+	let sequence;
+	let section;
+
+	beforeEach(() => {
+		sequence = new Sequence();
+		section = new EffectSection(sequence);
+		vi.spyOn(section, "_validateFile").mockImplementation(async function () {
+			this._isRangedEffect = true;
+			return true;
+		});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("checks files that only use variables given through setMustache when initialized", async () => {
+		section.file("modules/effects/{{color}}.webm").setMustache({ color: "red" });
+
+		await section._initialize();
+
+		expect(section._referencesContext(section._file)).toBe(false);
+		expect(section._validateFile).toHaveBeenCalled();
+		expect(section._isRangedEffect).toBe(true);
+	});
+
+	it("leaves files that use context variables to be checked when played", async () => {
+		section.file("modules/effects/{{element}}-{{color}}.webm").setMustache({ color: "red" });
+
+		await section._initialize();
+
+		expect(section._referencesContext(section._file)).toBe(true);
+		expect(section._validateFile).not.toHaveBeenCalled();
+	});
+
+	it("treats the loop iteration as a context variable", () => {
+		section.file("modules/effects/{{iteration}}.webm");
+
+		expect(section._referencesContext(section._file)).toBe(true);
+	});
+
+	it("checks files that use context variables before playing them, so range-finding effects are still caught", async () => {
+		section.file("modules/effects/{{element}}.webm");
+		section._attachTo = { active: true };
+		section._stretchTo = { attachTo: true };
+		section._startTime = 100;
+		game.user.role = 4;
+
+		await section._initialize();
+		await expect(section.run()).rejects.toThrow("Dual-attached range-finding effects");
+
+		expect(section._validateFile).toHaveBeenCalled();
+		delete game.user.role;
+	});
+});
@@ -0,0 +1,102 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import effectGroups from "../src/canvas-effects/effect-groups.js";
+import SequencerEffectManager from "../src/modules/sequencer-effect-manager.js";
+import flagManager from "../src/utils/flag-manager.js";
+import { sequencerSocket } from "../src/sockets.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/utils/flag-manager.js", () => ({ default: { addEffectFlags: vi.fn() } }));
+vi.mock("../src/sockets.js", () => ({
+	SOCKET_HANDLERS: { UPDATE_EFFECT_GROUP: "updateEffectGroup" },
+	sequencerSocket: { executeForEveryone: vi.fn() },
+}));
+
+describe("effectGroups.validateTransform", () => {
+	it("only returns the properties that were given", () => {
+		expect(effectGroups.validateTransform({})).toEqual({});
+		expect(effectGroups.validateTransform({ rotation: 45, alpha: 0.5 })).toEqual({ rotation: 45, alpha: 0.5 });
+	});
+
+	it("copies points, and allows origin and position to be reset", () => {
+		const position = { x: 10, y: 20, elevation: 5 };
+		const transform = effectGroups.validateTransform({ position, origin: null });
+		expect(transform).toEqual({ position: { x: 10, y: 20 }, origin: null });
+		expect(transform.position).not.toBe(position);
+	});
+
+	it("turns a uniform scale into a scale for each axis", () => {
+		expect(effectGroups.validateTransform({ scale: 2 })).toEqual({ scale: { x: 2, y: 2 } });
+		expect(effectGroups.validateTransform({ scale: { x: 1, y: 3 } })).toEqual({ scale: { x: 1, y: 3 } });
+	});
+
+	it("returns an error message for invalid transforms", () => {
+		expect(effectGroups.validateTransform(null)).toBe("the transform must be of type object");
+		expect(effectGroups.validateTransform({ origin: { x: 1 } })).toBe("origin must be an object with x and y numbers");
+		expect(effectGroups.validateTransform({ rotation: "90" })).toBe("rotation must be of type number");
+		expect(effectGroups.validateTransform({ scale: { x: 1 } })).toBe(
+			"scale must be of type number, or an object with x and y numbers"
+		);
+		expect(effectGroups.validateTransform({ alpha: 2 })).toBe("alpha must be a number between 0 and 1");
+	});
+});
+
+describe("effectGroups.getTransform", () => {
+	it("falls back to the transform stored on an effect, filled in with the defaults", () => {
+		const effect = { data: { group: { name: "stored", rotation: 90, scale: { x: 2, y: 2 } } } };
+		expect(effectGroups.getTransform("stored", effect)).toEqual({
+			...effectGroups.DEFAULT_TRANSFORM,
+			rotation: 90,
+			scale: { x: 2, y: 2 },
+		});
+	});
+
+	it("does not share the default transform", () => {
+		const transform = effectGroups.getTransform("missing");
+		transform.scale.x = 5;
+		expect(effectGroups.DEFAULT_TRANSFORM.scale.x).toBe(1);
+	});
+});
+
+describe("SequencerEffectManager.updateGroup", () => {
+	const effect = (id, data) => ({
+		userCanUpdate: true,
+		data: { _id: id, sceneId: "scene", group: { name: "orbit" }, ...data },
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("stores the new transform on persistent effects once per source, before broadcasting it", async () => {
+		let storeFlags;
+		flagManager.addEffectFlags.mockImplementation(() => new Promise((resolve) => (storeFlags = resolve)));
+		vi.spyOn(SequencerEffectManager, "_validateFilters").mockImplementation((filters) => filters);
+		vi.spyOn(SequencerEffectManager, "_filterEffects").mockReturnValue([
+			effect("first", { persist: true }),
+			effect("second", { persist: true }),
+			effect("temporary", { persist: false }),
+		]);
+
+		const update = SequencerEffectManager.updateGroup("orbit", { rotation: 90 });
+		await Promise.resolve();
+
+		expect(flagManager.addEffectFlags).toHaveBeenCalledTimes(1);
+		expect(flagManager.addEffectFlags).toHaveBeenCalledWith("Scene.scene", [
+			expect.objectContaining({ _id: "first", group: expect.objectContaining({ name: "orbit", rotation: 90 }) }),
+			expect.objectContaining({ _id: "second", group: expect.objectContaining({ name: "orbit", rotation: 90 }) }),
+		]);
+		expect(sequencerSocket.executeForEveryone).not.toHaveBeenCalled();
+
+		storeFlags();
+		await update;
+
+		expect(sequencerSocket.executeForEveryone).toHaveBeenCalledWith(
+			"updateEffectGroup",
+			"scene",
+			"orbit",
+			expect.objectContaining({ rotation: 90 }),
+			{ duration: 0, ease: "linear" }
+		);
+	});
+});
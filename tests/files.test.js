@@ -0,0 +1,85 @@
+import { describe, expect, it, vi } from "vitest";
+import files from "../src/sections/traits/files.js";
+
+vi.mock("../src/modules/sequencer-file.js", () => ({ SequencerFileRangeFind: {} }));
+
+/**
+ * Creates a stand-in for a section with the files trait
+ */
+function createSection(noRepeat = false, sequence = {}) {
+	const section = Object.assign({}, files);
+	section.sequence = {
+		_customError: (inSection, method, message) => new Error(`${method} - ${message}`),
+		...sequence,
+	};
+	section._noRepeat = noRepeat;
+	return section;
+}
+
+const draw = (section, key, weights, count) =>
+	Array.from({ length: count }, () => section._pickIndex(key, weights));
+
+describe("shuffle bags", () => {
+	it("picks every choice once before repeating any of them", () => {
+		const section = createSection("user");
+		const picks = draw(section, "every-choice", [1, 1, 1, 1], 8);
+		expect([...picks.slice(0, 4)].sort()).toEqual([0, 1, 2, 3]);
+		expect([...picks.slice(4)].sort()).toEqual([0, 1, 2, 3]);
+	});
+
+	it("does not pick the last choice of an emptied bag first", () => {
+		const section = createSection("user");
+		for (let run = 0; run < 20; run++) {
+			const picks = draw(section, "no-repeat-across-refill", [1, 1, 1], 3);
+			expect(section._pickIndex("no-repeat-across-refill", [1, 1, 1], true)).not.toBe(picks[2]);
+		}
+	});
+
+	it("never picks choices with a weight of 0", () => {
+		const section = createSection("user");
+		expect(draw(section, "zero-weight", [0, 1, 0, 2], 10)).not.toContain(0);
+		expect(() => section._pickIndex("no-weight", [0, 0])).toThrow("at least one file must have a weight above 0");
+	});
+
+	it("leaves the bag as it is when peeking", () => {
+		const section = createSection("user");
+		const [first] = draw(section, "peek", [1, 1], 1);
+		for (let run = 0; run < 10; run++) {
+			expect(section._pickIndex("peek", [1, 1], true)).not.toBe(first);
+		}
+	});
+
+	it("shares user bags between sections, and keeps sequence bags on their sequence", () => {
+		const first = draw(createSection("user"), "shared", [1, 1], 1)[0];
+		expect(draw(createSection("user"), "shared", [1, 1], 1)[0]).not.toBe(first);
+
+		const sequence = {};
+		const section = createSection("sequence", sequence);
+		const picks = draw(section, "sequence-bag", [1, 1], 2);
+		expect([...picks].sort()).toEqual([0, 1]);
+		expect(section.sequence._shuffleBags.has("sequence-bag")).toBe(true);
+	});
+
+	it("refills the bag when the number of choices changes", () => {
+		const section = createSection("user");
+		draw(section, "resized", [1, 1], 2);
+		expect([...draw(section, "resized", [1, 1, 1], 3)].sort()).toEqual([0, 1, 2]);
+	});
+});
+
+describe("_pickFile", () => {
+	it("picks from weighted and nested files", () => {
+		const section = createSection("user");
+		const picks = Array.from({ length: 3 }, () =>
+			section._pickFile([{ path: "a.webm", weight: 2 }, ["b.webm"], { path: "c.webm", weight: 0 }])
+		);
+		expect(picks).not.toContain("c.webm");
+		expect(picks.slice(0, 2).sort()).toEqual(["a.webm", "b.webm"]);
+	});
+
+	it("rejects files without a path or with a negative weight", () => {
+		const section = createSection();
+		expect(() => section._pickFile([{ weight: 1 }])).toThrow(/each file in an array/);
+		expect(() => section._pickFile([{ path: "a.webm", weight: -1 }])).toThrow(/each file in an array/);
+	});
+});
@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerConditions from "../src/modules/sequencer-conditions.js";
+import SequencerFunctions from "../src/modules/sequencer-functions.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+class Macro {
+	constructor(name) {
+		this.name = name;
+		this.uuid = `Macro.${name}`;
+		this.execute = vi.fn(async () => {});
+	}
+}
+
+beforeEach(() => {
+	globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+	globalThis.Macro = Macro;
+	game.macros = {
+		getName: (name) => (name === "Fireball" ? new Macro(name) : undefined),
+		get: () => undefined,
+	};
+});
+
+afterEach(() => {
+	SequencerFunctions._registry.clear();
+	delete game.macros;
+});
+
+describe("SequencerFunctions", () => {
+	it("registers functions by name, and refuses to overwrite them unless told to", () => {
+		const first = () => {};
+		const second = () => {};
+		SequencerFunctions.register("myFunction", first);
+
+		expect(SequencerFunctions.get("myFunction")).toBe(first);
+		expect(() => SequencerFunctions.register("myFunction", second)).toThrow('"myFunction" already exists');
+
+		SequencerFunctions.register("myFunction", second, true);
+		expect(SequencerFunctions.get("myFunction")).toBe(second);
+	});
+
+	it("only accepts functions", () => {
+		expect(() => SequencerFunctions.register("notAFunction", 5)).toThrow("must be of type function");
+	});
+
+	it("keeps conditions apart from functions", () => {
+		const condition = () => true;
+		SequencerConditions.register("sharedName", condition, true);
+		SequencerFunctions.register("sharedName", () => {}, true);
+
+		expect(SequencerConditions.get("sharedName")).toBe(condition);
+		expect(() => SequencerConditions.register("sharedName", condition)).toThrow(
+			'SequencerConditions | Condition "sharedName" already exists'
+		);
+	});
+});
+
+describe("Sequence.thenDo", () => {
+	it("runs functions registered by name with the iteration and context", async () => {
+		const func = vi.fn();
+		SequencerFunctions.register("myFunction", func);
+		const sequence = new Sequence();
+		sequence.thenDo("myFunction");
+
+		await sequence.play();
+
+		expect(func).toHaveBeenCalledWith(0, sequence.context);
+	});
+
+	it("looks up functions registered by name when the sequence is played", async () => {
+		const order = [];
+		const sequence = new Sequence();
+		sequence.thenDo("slowFunction");
+		sequence.thenDo(() => order.push("next"));
+		SequencerFunctions.register("slowFunction", async () => {
+			await new Promise((resolve) => setTimeout(resolve, 20));
+			order.push("slow");
+		});
+
+		await sequence.play();
+
+		expect(order).toEqual(["slow", "next"]);
+	});
+
+	it("serializes functions registered by name, but not anonymous functions", async () => {
+		const func = () => {};
+		SequencerFunctions.register("myFunction", func);
+
+		const data = await new Sequence().thenDo(func).toJSON();
+		expect(data.sections[0]).toMatchObject({ type: "thenDo", sectionData: { name: "myFunction" } });
+
+		await expect(new Sequence().thenDo(() => {}).toJSON()).rejects.toThrow(
+			"only functions registered through Sequencer.Functions.register() can be serialized"
+		);
+	});
+
+	it("honors playIf and repeats", async () => {
+		const func = vi.fn();
+		const sequence = new Sequence();
+		sequence.thenDo(func).repeats(2);
+		sequence.thenDo(func).playIf(false);
+
+		await sequence.play();
+
+		expect(func).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe("Sequence.macro", () => {
+	it("returns the sequence", () => {
+		const sequence = new Sequence();
+		expect(sequence.macro("Fireball")).toBe(sequence);
+	});
+
+	it("passes the given object to the macro", async () => {
+		const sequence = new Sequence().macro("Fireball", { damage: 8 });
+		const [section] = sequence.sections;
+
+		await sequence.play();
+
+		expect(section._macro.execute).toHaveBeenCalledWith({ damage: 8 });
+	});
+
+	it("only accepts an object as its arguments", () => {
+		expect(() => new Sequence().macro("Fireball", ["fire"])).toThrow("Secondary argument must be an object");
+		expect(() => new Sequence().macro("Fireball", "fire")).toThrow("Secondary argument must be an object");
+	});
+
+	it("serializes the macro by its UUID along with its arguments", async () => {
+		const data = await new Sequence().macro("Fireball", { damage: 8 }).toJSON();
+		expect(data.sections[0]).toMatchObject({
+			type: "macro",
+			sectionData: { macro: "Macro.Fireball", args: { damage: 8 } },
+		});
+	});
+});
+
+describe("playIf", () => {
+	it("skips functions, macros, and variables that should not play", async () => {
+		const func = vi.fn();
+		const sequence = new Sequence();
+		sequence.thenDo(func).playIf(false);
+		sequence.macro("Fireball");
+		sequence.setVar("damage", 12);
+		sequence.sections[1].playIf(false);
+		sequence.sections[2].playIf(false);
+
+		await sequence.play();
+
+		expect(func).not.toHaveBeenCalled();
+		expect(sequence.sections[1]._macro.execute).not.toHaveBeenCalled();
+		expect(sequence.getVar("damage")).toBeUndefined();
+	});
+});
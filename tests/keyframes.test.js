@@ -0,0 +1,121 @@
+import { describe, expect, it, vi } from "vitest";
+import { validateKeyframes } from "../src/lib/canvas-lib.js";
+import SequencerAnimationEngine from "../src/modules/sequencer-animation-engine.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+
+describe("validateKeyframes", () => {
+	it("compiles one animation per animated property", () => {
+		const animations = validateKeyframes(
+			[
+				{ at: 500, x: 100, scale: { x: 2, y: 3 } },
+				{ at: 0, x: 0, alpha: 0 },
+				{ at: 1000, alpha: 1, ease: "easeInOutSine" },
+			],
+			{}
+		);
+		expect(animations.map((animation) => animation.propertyName)).toEqual([
+			"position.x",
+			"alpha",
+			"scale.x",
+			"scale.y",
+		]);
+		const x = animations.find((animation) => animation.propertyName === "position.x");
+		expect(x.keyframes).toEqual([
+			{ at: 0, value: 0, ease: "linear" },
+			{ at: 500, value: 100, ease: "linear" },
+		]);
+		expect(x.duration).toBe(1000);
+		const scaleY = animations.find((animation) => animation.propertyName === "scale.y");
+		expect(scaleY.keyframes).toEqual([{ at: 500, value: 3, ease: "linear" }]);
+		const alpha = animations.find((animation) => animation.propertyName === "alpha");
+		expect(alpha.keyframes[1].ease).toBe("easeInOutSine");
+	});
+
+	it("doubles the duration when ping-ponging, and only applies grid units to positions", () => {
+		const animations = validateKeyframes(
+			[
+				{ at: 0, x: 0, rotation: 0 },
+				{ at: 200, x: 1, rotation: 90 },
+			],
+			{ pingPong: true, loop: 3, gridUnits: true, absolute: ["rotation"] }
+		);
+		const [x, rotation] = animations;
+		expect(x).toMatchObject({ duration: 400, looping: true, loops: 3, indefinite: false, gridUnits: true, absolute: false });
+		expect(rotation).toMatchObject({ gridUnits: false, absolute: true });
+	});
+
+	it("returns an error message for invalid keyframes and options", () => {
+		expect(validateKeyframes([], {})).toMatch(/at least one keyframe/);
+		expect(validateKeyframes([{ at: -1, x: 0 }], {})).toMatch(/"at" must be a number/);
+		expect(validateKeyframes([{ at: 0, width: 5 }], {})).toMatch(/"width" is not a property/);
+		expect(validateKeyframes([{ at: 0, scale: { x: 1 } }], {})).toMatch(/"scale" must be of type number/);
+		expect(validateKeyframes([{ at: 0 }], {})).toMatch(/must set at least one/);
+		expect(validateKeyframes([{ at: 0, x: 0 }], { loop: -1 })).toMatch(/inOptions.loop/);
+		expect(validateKeyframes([{ at: 0, x: 0 }], { absolute: ["width"] })).toMatch(/inOptions.absolute/);
+	});
+});
+
+describe("SequencerAnimationEngine._handleKeyframes", () => {
+	const step = (attribute, dt, coreValue = 0) => {
+		SequencerAnimationEngine._handleKeyframes.call(
+			{ dt, _coreValues: { [attribute.targetId]: { value: coreValue } } },
+			attribute
+		);
+		return attribute.value;
+	};
+
+	const createAttribute = (keyframes, options = {}) => ({
+		targetId: "sprite-alpha",
+		keyframes,
+		duration: keyframes[keyframes.length - 1].at * (options.pingPong ? 2 : 1),
+		durationDone: 0,
+		looping: false,
+		...options,
+	});
+
+	it("interpolates between the surrounding keyframes", () => {
+		const attribute = createAttribute([
+			{ at: 0, value: 0, ease: "linear" },
+			{ at: 100, value: 10, ease: "linear" },
+			{ at: 200, value: 30, ease: "linear" },
+		]);
+		expect(step(attribute, 50)).toBe(5);
+		expect(step(attribute, 100)).toBe(20);
+		expect(step(attribute, 50)).toBe(30);
+		expect(attribute.finishing).toBe(true);
+	});
+
+	it("starts from the current value when the first keyframe is later and absolute", () => {
+		const attribute = createAttribute([{ at: 100, value: 10, ease: "linear" }], { absolute: true });
+		expect(step(attribute, 50, 4)).toBe(7);
+	});
+
+	it("plays back in reverse during the second half of a ping-pong", () => {
+		const attribute = createAttribute(
+			[
+				{ at: 0, value: 0, ease: "linear" },
+				{ at: 100, value: 10, ease: "linear" },
+			],
+			{ pingPong: true }
+		);
+		expect(step(attribute, 50)).toBe(5);
+		expect(step(attribute, 100)).toBe(5);
+		expect(step(attribute, 50)).toBe(0);
+		expect(attribute.finishing).toBe(true);
+	});
+
+	it("loops the given number of times", () => {
+		const attribute = createAttribute(
+			[
+				{ at: 0, value: 0, ease: "linear" },
+				{ at: 100, value: 10, ease: "linear" },
+			],
+			{ looping: true, loops: 2 }
+		);
+		expect(step(attribute, 150)).toBe(5);
+		expect(attribute.finishing).toBeUndefined();
+		expect(step(attribute, 50)).toBe(10);
+		expect(attribute.finishing).toBe(true);
+	});
+});
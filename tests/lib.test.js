@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { pausable_timeout } from "../src/lib/lib.js";
+
+describe("pausable_timeout", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout", "performance"] });
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("calls the callback once the time has elapsed", () => {
+		const callback = vi.fn();
+		pausable_timeout(callback, 100);
+		vi.advanceTimersByTime(99);
+		expect(callback).not.toHaveBeenCalled();
+		vi.advanceTimersByTime(1);
+		expect(callback).toHaveBeenCalledOnce();
+	});
+
+	it("keeps the remaining time while paused", () => {
+		const callback = vi.fn();
+		const timeout = pausable_timeout(callback, 100);
+		vi.advanceTimersByTime(40);
+		timeout.pause();
+		expect(timeout.paused).toBe(true);
+		vi.advanceTimersByTime(500);
+		expect(callback).not.toHaveBeenCalled();
+		timeout.resume();
+		vi.advanceTimersByTime(59);
+		expect(callback).not.toHaveBeenCalled();
+		vi.advanceTimersByTime(1);
+		expect(callback).toHaveBeenCalledOnce();
+	});
+
+	it("can start out paused", () => {
+		const callback = vi.fn();
+		const timeout = pausable_timeout(callback, 50, true);
+		vi.advanceTimersByTime(100);
+		expect(callback).not.toHaveBeenCalled();
+		timeout.resume();
+		vi.advanceTimersByTime(50);
+		expect(callback).toHaveBeenCalledOnce();
+	});
+
+	it("skips ahead when advanced, whether running or paused", () => {
+		const running = vi.fn();
+		pausable_timeout(running, 100).advance(70);
+		vi.advanceTimersByTime(30);
+		expect(running).toHaveBeenCalledOnce();
+
+		const paused = vi.fn();
+		const timeout = pausable_timeout(paused, 100, true);
+		timeout.advance(100);
+		expect(paused).not.toHaveBeenCalled();
+		timeout.resume();
+		vi.advanceTimersByTime(0);
+		expect(paused).toHaveBeenCalledOnce();
+	});
+
+	it("never calls the callback once cleared", () => {
+		const callback = vi.fn();
+		const timeout = pausable_timeout(callback, 100);
+		timeout.clear();
+		timeout.resume();
+		vi.advanceTimersByTime(200);
+		expect(callback).not.toHaveBeenCalled();
+		expect(timeout.paused).toBe(false);
+	});
+});
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import SequencerLibrary from "../src/modules/sequencer-library.js";
+import Sequence from "../src/modules/sequencer.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer.js", () => ({
+	default: class Sequence {
+		async toJSON() {
+			return { options: {}, sections: [{ type: "wait", sectionData: {} }] };
+		}
+
+		fromJSON(data) {
+			this.data = data;
+			return this;
+		}
+
+		play(options) {
+			return { data: this.data, options };
+		}
+	},
+}));
+
+const serializedSequence = () => ({
+	options: {},
+	sections: [
+		{ type: "effect", sectionData: { _id: "original" } },
+		{
+			type: "parallel",
+			sectionData: { sequences: [{ options: {}, sections: [{ type: "effect", sectionData: { _id: "nested" } }] }] },
+		},
+	],
+});
+
+describe("SequencerLibrary", () => {
+	beforeEach(() => {
+		SequencerLibrary._onChange({});
+		game.settings.set = vi.fn(async (module, key, value) => SequencerLibrary._onChange(value));
+		vi.spyOn(console, "error").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		delete game.settings.set;
+		game.user.isGM = true;
+		vi.restoreAllMocks();
+	});
+
+	it("saves sequences and serialized sequences, which can be found by their name or id", async () => {
+		const sequence = new Sequence();
+		vi.spyOn(sequence, "toJSON");
+		const entry = await SequencerLibrary.save("Fireball", sequence);
+		await SequencerLibrary.save("Lightning", serializedSequence());
+
+		expect(sequence.toJSON).toHaveBeenCalledWith({ deferred: true });
+		expect(SequencerLibrary.get("Fireball")).toEqual(entry);
+		expect(SequencerLibrary.get(entry.id).data.sections[0].type).toBe("wait");
+		expect(SequencerLibrary.getAll().map((saved) => saved.name)).toEqual(["Fireball", "Lightning"]);
+	});
+
+	it("refuses to overwrite saved sequences unless told to, keeping their id when it does", async () => {
+		const entry = await SequencerLibrary.save("Fireball", new Sequence());
+
+		await expect(SequencerLibrary.save("Fireball", serializedSequence())).rejects.toThrow(
+			'A sequence with the name "Fireball" already exists'
+		);
+
+		const overwritten = await SequencerLibrary.save("Fireball", serializedSequence(), true);
+		expect(overwritten.id).toBe(entry.id);
+		expect(SequencerLibrary.getAll()).toHaveLength(1);
+	});
+
+	it("only lets GMs save sequences, and only accepts sequences", async () => {
+		await expect(SequencerLibrary.save("Fireball", { sections: [{ type: "effect" }] })).rejects.toThrow(
+			"inSequence must be a Sequence, or a valid serialized sequence: sections[0].sectionData - is required"
+		);
+
+		game.user.isGM = false;
+		await expect(SequencerLibrary.save("Fireball", new Sequence())).rejects.toThrow("Only GMs can save sequences");
+	});
+
+	it("deletes saved sequences", async () => {
+		await SequencerLibrary.save("Fireball", new Sequence());
+
+		await SequencerLibrary.delete("Fireball");
+
+		expect(SequencerLibrary.getAll()).toEqual([]);
+		await expect(SequencerLibrary.delete("Fireball")).rejects.toThrow('Could not find saved sequence "Fireball"');
+	});
+
+	it("plays saved sequences with new effect ids, leaving the saved data untouched", async () => {
+		await SequencerLibrary.save("Lightning", serializedSequence());
+		const saved = foundry.utils.deepClone(SequencerLibrary.get("Lightning").data);
+
+		const { data, options } = SequencerLibrary.play("Lightning", { local: true });
+
+		expect(options).toEqual({ local: true });
+		expect(data.sections[0].sectionData._id).not.toBe("original");
+		expect(data.sections[1].sectionData.sequences[0].sections[0].sectionData._id).not.toBe("nested");
+		expect(SequencerLibrary.get("Lightning").data).toEqual(saved);
+	});
+
+	it("imports exported sequences under their name, and serialized sequences under their file name", async () => {
+		globalThis.readTextFromFile = async (file) => file.contents;
+
+		await SequencerLibrary.import({
+			name: "sequencer-fireball.json",
+			contents: JSON.stringify({ name: "Fireball", data: serializedSequence() }),
+		});
+		await SequencerLibrary.import({
+			name: "sequencer-lightning.json",
+			contents: JSON.stringify(serializedSequence()),
+		});
+
+		expect(SequencerLibrary.getAll().map((entry) => entry.name)).toEqual(["Fireball", "lightning"]);
+		await expect(SequencerLibrary.import({ name: "broken.json", contents: "{" })).rejects.toThrow(
+			'Could not read "broken.json" as JSON'
+		);
+		delete globalThis.readTextFromFile;
+	});
+});
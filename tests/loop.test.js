@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerConditions from "../src/modules/sequencer-conditions.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+describe("Sequence.loop", () => {
+	let iterations;
+	let sequence;
+
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		iterations = [];
+		sequence = new Sequence();
+		sequence.thenDo((iteration) => iterations.push(iteration));
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("plays every section the given amount of times, passing the iteration to functions", async () => {
+		sequence.loop(3);
+
+		await sequence.play();
+
+		expect(iterations).toEqual([0, 1, 2]);
+		expect(sequence.iteration).toBe(2);
+	});
+
+	it("loops until the given function returns true for the next iteration", async () => {
+		const until = vi.fn((iteration) => iteration === 2);
+		sequence.loop(until);
+
+		await sequence.play();
+
+		expect(iterations).toEqual([0, 1]);
+		expect(until).toHaveBeenCalledWith(1, sequence);
+	});
+
+	it("looks up conditions registered by name", async () => {
+		SequencerConditions.register("thirdIteration", (iteration) => iteration === 3, true);
+		sequence.loop("thirdIteration");
+
+		await sequence.play();
+
+		expect(iterations).toEqual([0, 1, 2]);
+	});
+
+	it("lets the current iteration finish once it is told to stop looping", async () => {
+		sequence.thenDo((iteration) => {
+			if (iteration === 1) sequence.stopLoop();
+		});
+		sequence.loop();
+
+		await sequence.play();
+
+		expect(iterations).toEqual([0, 1]);
+	});
+
+	it("only accepts a positive whole number, a function, or a string", () => {
+		expect(() => sequence.loop(0)).toThrow("inLoop must be a number greater than 0");
+		expect(() => sequence.loop(1.5)).toThrow("inLoop must be of type number, function, or string");
+		expect(() => sequence.loop({})).toThrow("inLoop must be of type number, function, or string");
+	});
+
+	it("serializes the loop, but not loops that end through a function", async () => {
+		const data = await new Sequence().loop().toJSON();
+		expect(data.loop).toEqual({ count: null, until: false });
+
+		const copy = new Sequence().fromJSON(data);
+		expect(copy.isLooping).toBe(true);
+
+		await expect(new Sequence().loop(() => true).toJSON()).rejects.toThrow("cannot be serialized");
+	});
+});
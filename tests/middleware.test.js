@@ -0,0 +1,75 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerMiddleware from "../src/modules/sequencer-middleware.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+describe("SequencerMiddleware", () => {
+	const section = { sequence: {} };
+
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+	});
+
+	afterEach(() => {
+		for (const name of Array.from(SequencerMiddleware.getAll().keys())) {
+			SequencerMiddleware.unregister(name);
+		}
+	});
+
+	it("runs the middleware of the given type in order of priority, each given the data of the previous one", async () => {
+		SequencerMiddleware.register("double", (data) => {
+			data.scale *= 2;
+		});
+		SequencerMiddleware.register("replace", (data) => ({ ...data, scale: data.scale + 1 }), { priority: 10 });
+		SequencerMiddleware.register("soundOnly", (data) => ({ ...data, scale: 0 }), { types: "sound" });
+		const original = { scale: 1 };
+
+		const data = await SequencerMiddleware._apply("effect", original, section);
+
+		expect(data).toEqual({ scale: 4 });
+		expect(original).toEqual({ scale: 1 });
+	});
+
+	it("stops as soon as a middleware returns false", async () => {
+		const later = vi.fn();
+		SequencerMiddleware.register("block", () => false, { priority: 1 });
+		SequencerMiddleware.register("later", later);
+
+		expect(await SequencerMiddleware._apply("sound", {}, section)).toBe(false);
+		expect(later).not.toHaveBeenCalled();
+	});
+
+	it("blocks sounds that middleware returns false for", async () => {
+		SequencerMiddleware.register("block", () => false, { types: ["sound"] });
+		const sequence = new Sequence();
+		const sound = sequence.sound();
+
+		await sound.run();
+
+		expect(sound._blocked).toBe(true);
+	});
+
+	it("validates what it is given, and refuses to overwrite middleware unless told to", () => {
+		expect(() => SequencerMiddleware.register(5, () => {})).toThrow("inName must be of type string");
+		expect(() => SequencerMiddleware.register("broken", 5)).toThrow("inFunction must be of type function");
+		expect(() => SequencerMiddleware.register("broken", () => {}, { types: ["wait"] })).toThrow(
+			'types must be an array containing "effect" and/or "sound"'
+		);
+		expect(() => SequencerMiddleware.register("broken", () => {}, { priority: "high" })).toThrow(
+			"priority must be of type number"
+		);
+
+		SequencerMiddleware.register("tint", () => {});
+		expect(() => SequencerMiddleware.register("tint", () => {})).toThrow('Middleware "tint" already exists');
+		SequencerMiddleware.register("tint", () => {}, { overwrite: true, types: ["effect", "effect"] });
+		expect(SequencerMiddleware.get("tint").types).toEqual(["effect"]);
+
+		expect(SequencerMiddleware.unregister("tint")).toBe(true);
+		expect(SequencerMiddleware.unregister("tint")).toBe(false);
+	});
+});
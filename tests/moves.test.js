@@ -0,0 +1,56 @@
+import { describe, expect, it, vi } from "vitest";
+import moves from "../src/sections/traits/moves.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+
+/**
+ * Creates a stand-in for a section with the moves trait, which validates its arc through moveTowards
+ */
+function createSection(niceName = "Effect") {
+	const section = Object.assign(Object.create({ constructor: { niceName } }), moves);
+	section.sequence = {
+		_customError: (inSection, method, message) => new Error(`${method} - ${message}`),
+	};
+	section._validateLocation = (location) => location;
+	return section;
+}
+
+const target = { x: 100, y: 100 };
+
+describe("moveTowards arc", () => {
+	it("fills in the defaults of arcs given as true or a height", () => {
+		expect(createSection().moveTowards(target, { arc: true })._moveTowards.arc).toEqual({
+			height: null,
+			gravity: null,
+			scale: 1.0,
+		});
+		expect(createSection().moveTowards(target, { arc: 200 })._moveTowards.arc).toEqual({
+			height: 200,
+			gravity: null,
+			scale: 1.0,
+		});
+	});
+
+	it("keeps the given gravity and scale", () => {
+		const section = createSection().moveTowards(target, { arc: { gravity: 9.8, scale: 1.5 } });
+		expect(section._moveTowards.arc).toEqual({ height: null, gravity: 9.8, scale: 1.5 });
+	});
+
+	it("leaves moves without an arc alone", () => {
+		expect(createSection().moveTowards(target)._moveTowards.arc).toBe(false);
+	});
+
+	it("rejects invalid arcs", () => {
+		const moveTowards = (arc) => () => createSection().moveTowards(target, { arc });
+		expect(moveTowards("high")).toThrow("options.arc must be of type boolean, number, or object");
+		expect(moveTowards({ height: "high" })).toThrow("options.arc.height must be of type number");
+		expect(moveTowards({ gravity: 0 })).toThrow("options.arc.gravity must be a positive number");
+		expect(moveTowards({ scale: -1 })).toThrow("options.arc.scale must be a positive number");
+	});
+
+	it("is only supported on effects", () => {
+		expect(() => createSection("Animation").moveTowards(target, { arc: true })).toThrow(
+			"options.arc is only supported on effects"
+		);
+	});
+});
@@ -0,0 +1,142 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { get } from "svelte/store";
+import CONSTANTS from "../src/constants.js";
+import Section from "../src/sections/section.js";
+import ParallelSection from "../src/sections/parallel.js";
+import Sequence from "../src/modules/sequencer.js";
+import { sequencerSocket, SOCKET_HANDLERS } from "../src/sockets.js";
+import SequencerSoundManager from "../src/modules/sequencer-sound-manager.js";
+
+vi.mock("../src/modules/sequencer.js", () => ({ default: class Sequence {} }));
+vi.mock("../src/modules/sequencer-presets.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-sound-manager.js", () => ({ default: { _endSounds: vi.fn() } }));
+vi.mock("../src/sockets.js", () => ({
+	SOCKET_HANDLERS: { END_SOUNDS: "endSounds" },
+	sequencerSocket: { executeForEveryone: vi.fn() },
+}));
+
+/**
+ * Creates a sequence with sections that finish after the given time, and which create the given effects and sounds
+ */
+function createSequence(parent, duration, { effects = [], sounds = [] } = {}) {
+	const sequence = new Sequence();
+	const section = new Section(parent);
+	section._effectIds = effects;
+	section._soundIds = sounds;
+	sequence.sections = [section];
+	sequence.duration = duration;
+	return sequence;
+}
+
+describe("Section._abortSection", () => {
+	const abort = (status) => {
+		const section = new Section({});
+		section.sectionStatus = status;
+		section._abortSection();
+		return get(section.sectionStatus);
+	};
+
+	it("aborts sections that are ready or running", () => {
+		expect(abort(CONSTANTS.STATUS.READY)).toBe(CONSTANTS.STATUS.ABORTED);
+		expect(abort(CONSTANTS.STATUS.RUNNING)).toBe(CONSTANTS.STATUS.ABORTED);
+	});
+
+	it("leaves sections that have finished alone", () => {
+		expect(abort(CONSTANTS.STATUS.COMPLETE)).toBe(CONSTANTS.STATUS.COMPLETE);
+	});
+});
+
+describe("ParallelSection", () => {
+	let parent;
+
+	beforeEach(() => {
+		vi.useFakeTimers();
+		sequencerSocket.executeForEveryone.mockClear();
+		SequencerSoundManager._endSounds.mockClear();
+		globalThis.Sequencer = { EffectManager: { endEffects: vi.fn(async () => {}) } };
+		parent = {
+			iteration: 0,
+			localOnly: false,
+			_customError: (inSection, method, message) => new Error(message),
+			_adoptSections: (sequence) => {
+				sequence.sections.forEach((section) => (section._duration = sequence.duration));
+				return sequence.sections;
+			},
+			_initializeSections: async () => {},
+			_executeSections: (sections) =>
+				Promise.all(
+					sections.map((section) => {
+						section.sectionStatus = CONSTANTS.STATUS.RUNNING;
+						return new Promise((resolve) => setTimeout(resolve, section._duration));
+					})
+				),
+		};
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+	it("only accepts a known mode and a list of sequences", () => {
+		expect(() => new ParallelSection(parent, [])).toThrow("at least one sequence");
+		expect(() => new ParallelSection(parent, [createSequence(parent, 100)], { mode: "first" })).toThrow(
+			"mode must be one of"
+		);
+		expect(() => new ParallelSection(parent, [{}])).toThrow("could not find the sequence");
+	});
+
+	it("waits for every sequence to finish by default", async () => {
+		const section = new ParallelSection(parent, [createSequence(parent, 100), createSequence(parent, 500)]);
+		const finished = vi.fn();
+
+		section.run().then(finished);
+		await vi.advanceTimersByTimeAsync(100);
+		expect(finished).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(400);
+		expect(finished).toHaveBeenCalled();
+	});
+
+
+	it("aborts the sections that lost, and ends their effects and sounds", async () => {
+		const winner = createSequence(parent, 100, { effects: ["winnerEffect"] });
+		const loser = createSequence(parent, 500, { effects: ["loserEffect"], sounds: ["loserSound"] });
+		const section = new ParallelSection(parent, [winner, loser], { mode: "race" });
+
+		const run = section.run();
+		await vi.advanceTimersByTimeAsync(100);
+		await run;
+
+		expect(get(loser.sections[0].sectionStatus)).toBe(CONSTANTS.STATUS.ABORTED);
+		expect(get(winner.sections[0].sectionStatus)).toBe(CONSTANTS.STATUS.RUNNING);
+		expect(Sequencer.EffectManager.endEffects).toHaveBeenCalledWith({ effects: ["loserEffect"] }, true);
+		expect(sequencerSocket.executeForEveryone).toHaveBeenCalledWith(SOCKET_HANDLERS.END_SOUNDS, ["loserSound"]);
+	});
+
+	it("only ends the effects and sounds of the sections that lost for this client if the sequence is local", async () => {
+		parent.localOnly = true;
+		const winner = createSequence(parent, 100);
+		const loser = createSequence(parent, 500, { effects: ["loserEffect"], sounds: ["loserSound"] });
+		const section = new ParallelSection(parent, [winner, loser], { mode: "race" });
+
+		const run = section.run();
+		await vi.advanceTimersByTimeAsync(100);
+		await run;
+
+		expect(Sequencer.EffectManager.endEffects).toHaveBeenCalledWith({ effects: ["loserEffect"] }, false);
+		expect(SequencerSoundManager._endSounds).toHaveBeenCalledWith(["loserSound"]);
+		expect(sequencerSocket.executeForEveryone).not.toHaveBeenCalled();
+	});
+
+	it("leaves the other sections running when any of them finishes", async () => {
+		const first = createSequence(parent, 100);
+		const second = createSequence(parent, 500, { effects: ["secondEffect"] });
+		const section = new ParallelSection(parent, [first, second], { mode: "any" });
+
+		const run = section.run();
+		await vi.advanceTimersByTimeAsync(100);
+		await run;
+
+		expect(get(second.sections[0].sectionStatus)).toBe(CONSTANTS.STATUS.RUNNING);
+		expect(Sequencer.EffectManager.endEffects).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import EffectSection from "../src/sections/effect.js";
+import { get_value_along_curve, validateCurve } from "../src/lib/canvas-lib.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+beforeEach(() => {
+	globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+	vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe("Sequence.particles", () => {
+	it("stores the emitter's settings, ordering ranges from lowest to highest", () => {
+		const section = new Sequence()
+			.particles("modules/my-module/spark.webp")
+			.rate(40, 10)
+			.lifetime(500, 1500)
+			.velocity(-20, 20, { gridUnits: true })
+			.direction(45)
+			.spread(30)
+			.gravity(98)
+			.maxParticles(99.5);
+
+		expect(section._particles).toMatchObject({
+			textures: ["modules/my-module/spark.webp"],
+			rate: { min: 10, max: 40 },
+			lifetime: { min: 500, max: 1500 },
+			velocity: { min: -20, max: 20, gridUnits: true },
+			direction: 45,
+			spread: 30,
+			gravity: { x: 0, y: 98, gridUnits: false },
+			maxParticles: 99,
+		});
+	});
+
+	it("validates what it is given", () => {
+		const section = new Sequence().particles();
+
+		expect(() => section.textures([])).toThrow("inTextures must be of type string, or an array of strings");
+		expect(() => section.rate(-1)).toThrow("inMin and inMax must be 0 or higher");
+		expect(() => section.lifetime(0)).toThrow("the lifetime must be higher than 0");
+		expect(() => section.spread(400)).toThrow("inDegrees must be a number between 0 and 360");
+		expect(() => section.gravity({ x: "left" })).toThrow("inGravity must be of type number, or an object with x and y numbers");
+		expect(() => section.maxParticles(0)).toThrow("inNumber must be a number that is 1 or higher");
+		expect(() => section.alphaOverLife([{ at: 2, value: 1 }])).toThrow(`each point's "at" must be a number between 0 and 1`);
+	});
+
+	it("spreads curve values evenly over the lifetime unless they are given as points", () => {
+		const section = new Sequence().particles().colorOverLife(["#ff0000", "#0000ff"]).scaleOverLife([
+			{ at: 1, value: 0, ease: "easeInQuad" },
+			{ at: 0, value: 2 },
+		]);
+
+		expect(section._particles.color).toEqual([
+			{ at: 0, value: 0xff0000, ease: "linear" },
+			{ at: 1, value: 0x0000ff, ease: "linear" },
+		]);
+		expect(section._particles.scale).toEqual([
+			{ at: 0, value: 2, ease: "linear" },
+			{ at: 1, value: 0, ease: "easeInQuad" },
+		]);
+	});
+});
+
+describe("ParticleSection._sanitizeEffectData", () => {
+	it("emits particles for a second by default, without changing the section's own settings", async () => {
+		const section = new Sequence().particles("modules/my-module/spark.webp").lifetime(500, 800);
+		vi.spyOn(EffectSection.prototype, "_sanitizeEffectData").mockImplementation(async function () {
+			return { particles: this._particles, duration: 0, persist: false };
+		});
+
+		const data = await section._sanitizeEffectData();
+
+		expect(data.particles.emitDuration).toBe(1000);
+		expect(data.duration).toBe(1800);
+		expect(section._particles.emitDuration).toBe(false);
+	});
+});
+
+describe("Particle curves", () => {
+	it("interpolates between the points of a curve, and holds the values at its ends", () => {
+		const curve = validateCurve([0, 1, 0]);
+
+		expect(get_value_along_curve(curve, 0)).toBe(0);
+		expect(get_value_along_curve(curve, 0.25)).toBe(0.5);
+		expect(get_value_along_curve(curve, 0.5)).toBe(1);
+		expect(get_value_along_curve(curve, 1)).toBe(0);
+		expect(get_value_along_curve(validateCurve([{ at: 0.5, value: 3 }]), 0.1)).toBe(3);
+	});
+
+	it("interpolates colors by their channels", () => {
+		const curve = validateCurve(["#ff0000", "#0000ff"], { color: true });
+
+		expect(get_value_along_curve(curve, 0.5, true)).toBe(0x800080);
+		expect(validateCurve(["red"], { color: true })).toBe("each value must be a hexadecimal string or a number");
+	});
+});
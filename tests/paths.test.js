@@ -0,0 +1,84 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+	get_path_distances,
+	get_path_duration,
+	get_point_along_path,
+	validatePath,
+} from "../src/lib/canvas-lib.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+
+describe("validatePath", () => {
+	it("keeps the points of linear paths, and accepts points given as arrays", () => {
+		const path = validatePath([[0, 0], { x: 100, y: 0 }, [100, 50]], { curve: "linear" });
+		expect(path).toEqual({
+			points: [
+				{ x: 0, y: 0 },
+				{ x: 100, y: 0 },
+				{ x: 100, y: 50 },
+			],
+			closed: false,
+		});
+	});
+
+	it("returns to the first point of closed paths", () => {
+		const { points } = validatePath({ points: [[0, 0], [10, 0], [10, 10]], curve: "linear", closed: true });
+		expect(points[points.length - 1]).toEqual({ x: 0, y: 0 });
+		expect(points).toHaveLength(4);
+	});
+
+	it("samples splines through each of their points", () => {
+		const { points } = validatePath([[0, 0], [100, 100], [200, 0]]);
+		expect(points.length).toBeGreaterThan(3);
+		expect(points[0]).toEqual({ x: 0, y: 0 });
+		expect(points).toContainEqual({ x: 100, y: 100 });
+		expect(points[points.length - 1]).toEqual({ x: 200, y: 0 });
+	});
+
+	it("samples bezier curves between their end points", () => {
+		const { points } = validatePath([[0, 0], [0, 100], [100, 100], [100, 0]], { curve: "bezier" });
+		expect(points[0]).toEqual({ x: 0, y: 0 });
+		expect(points[points.length - 1]).toEqual({ x: 100, y: 0 });
+		const middle = points[Math.floor(points.length / 2)];
+		expect(middle.x).toBeCloseTo(50, 0);
+		expect(middle.y).toBeCloseTo(75, 0);
+	});
+
+	it("returns an error message for invalid paths", () => {
+		expect(validatePath("path")).toMatch(/inPath must be/);
+		expect(validatePath([[0, 0]])).toMatch(/at least two points/);
+		expect(validatePath([[0, 0], ["a", 0]])).toMatch(/each point in the path/);
+		expect(validatePath([[0, 0], [1, 1]], { curve: "wobbly" })).toMatch(/curve must be one of/);
+		expect(validatePath([[0, 0], [1, 1], [2, 2]], { curve: "bezier" })).toMatch(/a bezier path/);
+	});
+});
+
+describe("get_point_along_path", () => {
+	const points = [
+		{ x: 0, y: 0 },
+		{ x: 100, y: 0 },
+		{ x: 100, y: 100 },
+	];
+	const { length, distances } = get_path_distances(points);
+
+	it("measures the distance to each point", () => {
+		expect(length).toBe(200);
+		expect(distances).toEqual([0, 100, 200]);
+	});
+
+	it("interpolates between points, along with the direction of the path", () => {
+		expect(get_point_along_path(points, distances, 50)).toEqual({ x: 50, y: 0, rotation: 0 });
+		expect(get_point_along_path(points, distances, 150)).toEqual({ x: 100, y: 50, rotation: Math.PI / 2 });
+	});
+
+	it("stays at the ends of the path", () => {
+		expect(get_point_along_path(points, distances, -10)).toMatchObject({ x: 0, y: 0 });
+		expect(get_point_along_path(points, distances, 500)).toMatchObject({ x: 100, y: 100 });
+	});
+
+	it("works out how long moving along the path takes", () => {
+		expect(get_path_duration({ points, speed: 100 })).toBe(2000);
+		expect(get_path_duration({ points, speed: 100, loop: 2, delay: 500 })).toBe(4500);
+		expect(get_path_duration({ points })).toBe(0);
+	});
+});
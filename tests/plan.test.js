@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+beforeEach(() => {
+	globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+});
+
+describe("Sequence.plan", () => {
+	it("works out when each section starts and finishes without running them", async () => {
+		const func = vi.fn();
+		const sequence = new Sequence();
+		sequence.wait(100);
+		sequence.thenDo(func).delay(50, 150);
+		sequence.wait(200);
+
+		const plan = await sequence.plan();
+
+		expect(func).not.toHaveBeenCalled();
+		expect(plan.sections.map(({ type, start, resolvesAt }) => [type, start, resolvesAt])).toEqual([
+			["Wait", 0, 100],
+			["Function", 103, 153],
+			["Wait", 106, 306],
+		]);
+		expect(plan.duration).toBe(306);
+		expect(plan.errors).toEqual([]);
+	});
+
+	it("resolves random delays to their minimum or maximum", async () => {
+		const sequence = new Sequence();
+		sequence.thenDo(() => {}).delay(50, 150);
+
+		const min = await sequence.plan();
+		const max = await sequence.plan({ delays: "max" });
+
+		expect(min.sections[0].repetitions[0].start).toBe(50);
+		expect(max.sections[0].repetitions[0].start).toBe(150);
+		await expect(sequence.plan({ delays: "average" })).rejects.toThrow(
+			'delays must be one of "min", "max", or "random"'
+		);
+	});
+
+	it("plans every repetition, and marks sections that would not play as skipped", async () => {
+		const sequence = new Sequence();
+		sequence.thenDo(async () => {}).repeats(3, 50);
+		sequence.thenDo(() => {}).playIf(false);
+
+		const plan = await sequence.plan();
+
+		expect(plan.sections[0].repetitions.map(({ start }) => start)).toEqual([0, 50, 100]);
+		expect(plan.sections[1].skipped).toBe(true);
+	});
+
+	it("plans each iteration of a loop, and a single one for endless loops", async () => {
+		const sequence = new Sequence();
+		sequence.wait(100);
+
+		sequence.loop(2);
+		const looped = await sequence.plan();
+		expect(looped.iterations).toBe(2);
+		expect(looped.sections.map(({ iteration, start }) => [iteration, start])).toEqual([
+			[0, 0],
+			[1, 103],
+		]);
+
+		sequence.loop();
+		const endless = await sequence.plan();
+		expect(endless.iterations).toBe(null);
+		expect(endless.sections).toHaveLength(1);
+	});
+
+	it("plans the branch that would be picked, and how long parallel sequences would take", async () => {
+		const long = new Sequence().wait(500);
+		const short = new Sequence().wait(100);
+		const sequence = new Sequence();
+		sequence.branch(() => "long", { long, short });
+		sequence.parallel([new Sequence().wait(500), new Sequence().wait(100)], { mode: "race" });
+
+		const plan = await sequence.plan();
+
+		expect(plan.sections[0].end).toBe(500);
+		expect(plan.sections[1].start).toBe(3);
+		expect(plan.sections[1].resolvesAt).toBe(103);
+		expect(plan.sections[1].end).toBe(503);
+	});
+
+	it("leaves the sequence's context as it was", async () => {
+		const sequence = new Sequence();
+		sequence.setVar("damage", 12);
+
+		await sequence.plan();
+
+		expect(sequence.context).toEqual({});
+	});
+});
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import CONSTANTS from "../src/constants.js";
+import Sequence from "../src/modules/sequencer.js";
+import { advanceSequence, sequencerSocket, setSequencePaused } from "../src/sockets.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+vi.mock("../src/sockets.js", () => ({
+	SOCKET_HANDLERS: { SET_SEQUENCE_PAUSED: "setSequencePaused", ADVANCE_SEQUENCE: "advanceSequence" },
+	sequencerSocket: { executeForOthers: vi.fn() },
+	setSequencePaused: vi.fn(),
+	advanceSequence: vi.fn(),
+}));
+
+/**
+ * Creates a sequence that calls the returned function once it has waited for the given time
+ */
+function createSequence(wait = 1000) {
+	const callback = vi.fn();
+	const sequence = new Sequence();
+	sequence.wait(wait);
+	sequence.thenDo(callback);
+	return { sequence, callback };
+}
+
+describe("Sequence playback controls", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout", "performance"] });
+		// Sequences that started at 0 count as not having started
+		vi.advanceTimersByTime(1000);
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		sequencerSocket.executeForOthers.mockClear();
+		setSequencePaused.mockClear();
+		advanceSequence.mockClear();
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it("holds pending waits while paused, and continues them when resumed", async () => {
+		const { sequence, callback } = createSequence();
+		const play = sequence.play();
+
+		await vi.advanceTimersByTimeAsync(500);
+		sequence.pause();
+		expect(sequence.status).toBe(CONSTANTS.STATUS.PAUSED);
+		expect(setSequencePaused).toHaveBeenCalledWith(sequence.id, true);
+
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(callback).not.toHaveBeenCalled();
+
+		sequence.resume();
+		expect(setSequencePaused).toHaveBeenCalledWith(sequence.id, false);
+		await vi.advanceTimersByTimeAsync(510);
+		await play;
+
+		expect(callback).toHaveBeenCalled();
+		expect(sequence.status).toBe(CONSTANTS.STATUS.COMPLETE);
+	});
+
+	it("skips pending waits ahead when sought, and tells the other clients", async () => {
+		const { sequence, callback } = createSequence();
+		const play = sequence.play();
+
+		await vi.advanceTimersByTimeAsync(100);
+		sequence.seek(900);
+		expect(advanceSequence).toHaveBeenCalledWith(sequence.id, expect.any(Number));
+		expect(sequencerSocket.executeForOthers).toHaveBeenCalledWith(
+			"advanceSequence",
+			sequence.id,
+			expect.any(Number)
+		);
+
+		await vi.advanceTimersByTimeAsync(110);
+		await play;
+
+		expect(callback).toHaveBeenCalled();
+	});
+
+	it("only pauses running sequences", () => {
+		const { sequence } = createSequence();
+
+		sequence.pause();
+
+		expect(sequence.status).toBe(CONSTANTS.STATUS.READY);
+		expect(setSequencePaused).not.toHaveBeenCalled();
+	});
+
+	it("only seeks forwards", async () => {
+		const { sequence } = createSequence();
+		const play = sequence.play();
+
+		await vi.advanceTimersByTimeAsync(500);
+		sequence.seek(100);
+		expect(advanceSequence).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(600);
+		await play;
+	});
+});
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerPresets from "../src/modules/sequencer-presets.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+const breatheArgs = {
+	duration: { type: "number", default: 1000, min: 0 },
+	tint: { type: "color", default: "#ff0000" },
+	label: { type: "string", required: true },
+};
+
+describe("SequencerPresets argument schemas", () => {
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		SequencerPresets._onChange({});
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		SequencerPresets.removeModule("my-module");
+		SequencerPresets.remove("plain");
+		vi.restoreAllMocks();
+	});
+
+	it("passes the validated arguments to the preset, with the defaults filled in", () => {
+		const preset = vi.fn((section) => section);
+		SequencerPresets.add("breathe", preset, { module: "my-module", args: breatheArgs });
+
+		const sequence = new Sequence();
+		sequence.preset("my-module.breathe", { label: "Hello", duration: 500 });
+
+		expect(preset).toHaveBeenCalledWith(sequence, { label: "Hello", duration: 500, tint: "#ff0000" });
+	});
+
+	it("rejects arguments that do not match the schema", () => {
+		SequencerPresets.add("breathe", () => {}, { module: "my-module", args: breatheArgs });
+
+		expect(() => SequencerPresets.validateArgs("my-module.breathe", {})).toThrow('argument "label" is required');
+		expect(() => SequencerPresets.validateArgs("my-module.breathe", { label: "Hello", duration: -1 })).toThrow(
+			'argument "duration" must be at least 0'
+		);
+		expect(() => SequencerPresets.validateArgs("my-module.breathe", { label: "Hello", tint: "red" })).toThrow(
+			'argument "tint" must be a hex color string'
+		);
+		expect(() => SequencerPresets.validateArgs("my-module.breathe", "Hello")).toThrow(
+			"its arguments must be given as an object"
+		);
+
+		SequencerPresets.validateArgs("my-module.breathe", { label: "Hello", size: 2 });
+		expect(console.warn).toHaveBeenCalled();
+	});
+
+	it("only accepts schemas with known types and valid defaults", () => {
+		expect(() =>
+			SequencerPresets.add("broken", () => {}, { module: "my-module", args: { size: { type: "vector" } } })
+		).toThrow('argument "size" must have a type of');
+		expect(() =>
+			SequencerPresets.add("broken", () => {}, {
+				module: "my-module",
+				args: { size: { type: "number", default: 5, max: 2 } },
+			})
+		).toThrow('the default of argument "size" must be at most 2');
+		expect(() => SequencerPresets.add("broken", () => {}, { type: "wait" })).toThrow("inOptions.type must be one of");
+	});
+
+	it("still accepts the overwrite flag in place of the options, and leaves presets without a schema untouched", () => {
+		const first = () => {};
+		const second = () => {};
+		SequencerPresets.add("plain", first);
+
+		expect(SequencerPresets.get("plain")).toBe(first);
+		expect(() => SequencerPresets.add("plain", second)).toThrow('Preset "plain" already exists');
+
+		SequencerPresets.add("plain", second, true);
+		expect(SequencerPresets.get("plain")).toBe(second);
+	});
+
+	it("lists presets by module, and removes them", () => {
+		SequencerPresets.add("breathe", () => {}, {
+			module: "my-module",
+			type: "effect",
+			description: "Pulses the effect",
+			args: breatheArgs,
+		});
+		SequencerPresets.add("fade", () => {}, { module: "my-module" });
+		SequencerPresets.add("plain", () => {});
+
+		expect(SequencerPresets.list({ module: "my-module" })).toEqual([
+			{
+				name: "my-module.breathe",
+				module: "my-module",
+				type: "effect",
+				description: "Pulses the effect",
+				args: breatheArgs,
+				world: false,
+			},
+			{ name: "my-module.fade", module: "my-module", type: null, description: "", args: {}, world: false },
+		]);
+
+		expect(SequencerPresets.remove("plain")).toBe(true);
+		expect(SequencerPresets.remove("plain")).toBe(false);
+		expect(SequencerPresets.removeModule("my-module")).toEqual(["my-module.breathe", "my-module.fade"]);
+		expect(SequencerPresets.get("my-module.breathe")).toBeUndefined();
+		expect(SequencerPresets.list({ module: "my-module" })).toEqual([]);
+	});
+});
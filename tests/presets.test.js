@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerPresets from "../src/modules/sequencer-presets.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+const quietSound = {
+	type: "sound",
+	methods: [
+		{ method: "volume", args: [0.25] },
+		{ method: "duration", args: [500] },
+	],
+};
+
+describe("SequencerPresets world presets", () => {
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		SequencerPresets._onChange({});
+		game.settings.set = vi.fn(async (module, key, value) => SequencerPresets._onChange(value));
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		delete game.settings.set;
+		game.user.isGM = true;
+		vi.restoreAllMocks();
+	});
+
+	it("saves presets to the world, which can be found by their name or id next to the presets added through code", async () => {
+		SequencerPresets.add("codePreset", () => {}, true);
+
+		const preset = await SequencerPresets.save("Quiet", quietSound);
+
+		expect(SequencerPresets.getWorldPreset("Quiet")).toEqual(preset);
+		expect(SequencerPresets.getWorldPreset(preset.id)).toEqual(preset);
+		expect(SequencerPresets.isWorldPreset("Quiet")).toBe(true);
+		expect(SequencerPresets.isWorldPreset("codePreset")).toBe(false);
+		expect(Array.from(SequencerPresets.getAll().keys())).toEqual(["codePreset", "Quiet"]);
+		await expect(SequencerPresets.save("codePreset", quietSound)).rejects.toThrow('Preset "codePreset" already exists');
+	});
+
+	it("refuses to overwrite world presets unless told to, keeping their id when it does", async () => {
+		const preset = await SequencerPresets.save("Quiet", quietSound);
+
+		await expect(SequencerPresets.save("Quiet", quietSound)).rejects.toThrow('Preset "Quiet" already exists');
+
+		const overwritten = await SequencerPresets.save("Quiet", { ...quietSound, methods: [] }, true);
+		expect(overwritten.id).toBe(preset.id);
+		expect(SequencerPresets.getWorldPresets()).toHaveLength(1);
+	});
+
+	it("only accepts known section types, and methods that the section exposes", async () => {
+		await expect(SequencerPresets.save("Broken", { type: "wait", methods: [] })).rejects.toThrow(
+			"inData.type must be one of"
+		);
+		await expect(SequencerPresets.save("Broken", { type: "sound", methods: [{ method: "run" }] })).rejects.toThrow(
+			"inData.methods[0].method must be the name of a section method"
+		);
+		await expect(
+			SequencerPresets.save("Broken", { type: "sound", methods: [{ method: "_file", args: [] }] })
+		).rejects.toThrow("inData.methods[0].method must be the name of a section method");
+		await expect(
+			SequencerPresets.save("Broken", { type: "sound", methods: [{ method: "volume", args: 0.5 }] })
+		).rejects.toThrow("inData.methods[0].args must be of type array");
+
+		game.user.isGM = false;
+		await expect(SequencerPresets.save("Quiet", quietSound)).rejects.toThrow("Only GMs can save presets");
+	});
+
+	it("deletes world presets", async () => {
+		await SequencerPresets.save("Quiet", quietSound);
+
+		await SequencerPresets.delete("Quiet");
+
+		expect(SequencerPresets.getWorldPresets()).toEqual([]);
+		await expect(SequencerPresets.delete("Quiet")).rejects.toThrow('Could not find world preset "Quiet"');
+	});
+
+	it("creates a section of the preset's type when applied, and calls the preset's methods on it", async () => {
+		await SequencerPresets.save("Quiet", quietSound);
+		const sequence = new Sequence();
+
+		sequence.preset("Quiet");
+
+		const [section] = sequence.sections;
+		expect(section.constructor.niceName).toBe("Sound");
+		expect(section._volume).toBe(0.25);
+		expect(section._duration).toBe(500);
+	});
+
+	it("skips methods that the section does not have", async () => {
+		await SequencerPresets.save("Quiet", {
+			type: "sound",
+			methods: [
+				{ method: "scale", args: [2] },
+				{ method: "volume", args: [0.25] },
+			],
+		});
+
+		const sequence = new Sequence();
+		sequence.preset("Quiet");
+
+		expect(console.warn).toHaveBeenCalled();
+		expect(sequence.sections[0]._volume).toBe(0.25);
+	});
+
+	it("lists the public methods of a section", () => {
+		const sequence = new Sequence();
+		sequence.sound();
+
+		const methods = SequencerPresets.getSectionMethods(sequence.sections[0]);
+
+		expect(methods).toContain("volume");
+		expect(methods).toContain("duration");
+		expect(methods).not.toContain("run");
+		expect(methods.some((method) => method.startsWith("_"))).toBe(false);
+	});
+});
@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import Section from "../src/sections/section.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+/**
+ * A section that creates an effect with the given id once the given time has passed
+ */
+class DelayedSection extends Section {
+	constructor(inSequence, id, delay) {
+		super(inSequence);
+		this._id = id;
+		this._delay = delay;
+	}
+
+	static niceName = "Delayed";
+
+	async run() {
+		await new Promise((resolve) => setTimeout(resolve, this._delay));
+		this._effectIds.push(this._id);
+	}
+}
+
+describe("Section hooks", () => {
+	let calls;
+
+	beforeEach(() => {
+		calls = [];
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		vi.spyOn(Hooks, "call").mockImplementation((hook, sequence, result) => {
+			calls.push({ hook, result: { ...result } });
+			return result.index !== 1;
+		});
+		vi.spyOn(Hooks, "callAll").mockImplementation((hook, sequence, result) => {
+			calls.push({ hook, result: { ...result } });
+		});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	function playSequence() {
+		const sequence = new Sequence();
+		sequence.sections.push(new DelayedSection(sequence, "first", 20));
+		sequence.sections.push(new DelayedSection(sequence, "skipped", 1));
+		sequence.sections.push(new DelayedSection(sequence, "last", 1));
+		return sequence.play();
+	}
+
+	it("calls the hooks of each section in order, and skips sections that preSequencerSection returns false for", async () => {
+		await playSequence();
+
+		const sectionCalls = calls
+			.filter(({ hook }) => hook.includes("Section"))
+			.map(({ hook, result }) => `${hook}:${result.index}`);
+		expect(sectionCalls).toEqual([
+			"preSequencerSection:0",
+			"sequencerSectionStarted:0",
+			"preSequencerSection:1",
+			"preSequencerSection:2",
+			"sequencerSectionStarted:2",
+			"sequencerSectionEnded:2",
+			"sequencerSectionEnded:0",
+		]);
+	});
+
+	it("calls sequencerSectionEnded once the section's run has settled", async () => {
+		await playSequence();
+
+		const ended = calls.filter(({ hook }) => hook === "sequencerSectionEnded");
+		expect(ended.map(({ result }) => [result.index, result.status, result.effects])).toEqual([
+			[2, "complete", ["last"]],
+			[0, "complete", ["first"]],
+		]);
+	});
+
+	it("gives endedSequencerSequence the results of every section", async () => {
+		await playSequence();
+
+		const [{ result: results }] = calls.filter(({ hook }) => hook === "endedSequencerSequence");
+		expect(Object.values(results).map((result) => [result.index, result.type, result.status])).toEqual([
+			[0, "Delayed", "complete"],
+			[1, "Delayed", "skipped"],
+			[2, "Delayed", "complete"],
+		]);
+	});
+});
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import Section from "../src/sections/section.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+/**
+ * A section that creates an effect once the given time has passed, like an effect section that is still sanitizing
+ * its data when the sequence moves on, and which can throw or be blocked instead
+ */
+class DelayedSection extends Section {
+	constructor(inSequence, { delay = 20, id = "effect", error = false, blocked = false } = {}) {
+		super(inSequence);
+		this._delay = delay;
+		this._id = id;
+		this._throws = error;
+		this._blocks = blocked;
+	}
+
+	static niceName = "Delayed";
+
+	async run() {
+		await new Promise((resolve) => setTimeout(resolve, this._delay));
+		if (this._throws) throw new Error(this._throws);
+		if (this._blocks) {
+			this._blocked = true;
+			return;
+		}
+		this._effectIds.push(this._id);
+	}
+}
+
+function addSection(sequence, options) {
+	const section = new DelayedSection(sequence, options);
+	sequence.sections.push(section);
+	return section;
+}
+
+describe("Sequence.play report", () => {
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		vi.spyOn(console, "error").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("includes the effects of sections that were not waited on", async () => {
+		const sequence = new Sequence();
+		addSection(sequence, { id: "first" });
+		addSection(sequence, { delay: 1, id: "second" });
+
+		const report = await sequence.play();
+
+		expect(report.sections.map((result) => result.effects)).toEqual([["first"], ["second"]]);
+		expect(report.effects).toEqual(["first", "second"]);
+	});
+
+	it("reports sections that were blocked after the sequence moved on", async () => {
+		const sequence = new Sequence();
+		addSection(sequence, { blocked: true });
+		addSection(sequence, { delay: 1 });
+
+		const report = await sequence.play();
+
+		expect(report.sections[0].blocked).toBe(true);
+		expect(report.sections[0].status).toBe("complete");
+	});
+
+	it("reports errors thrown after the sequence moved on as failed sections", async () => {
+		const sequence = new Sequence().continueOnError();
+		addSection(sequence, { error: "Late failure" });
+		addSection(sequence, { delay: 1 });
+
+		const report = await sequence.play();
+
+		expect(report.sections[0].status).toBe("failed");
+		expect(report.sections[0].error).toBe("Late failure");
+		expect(report.errors).toHaveLength(1);
+		expect(report.status).toBe("complete");
+	});
+
+	it("aborts the sequence on errors unless continueOnError is set", async () => {
+		const sequence = new Sequence();
+		addSection(sequence, { delay: 1, error: "Failure" });
+		addSection(sequence, { delay: 50 });
+		addSection(sequence, { delay: 1, id: "last" });
+
+		const report = await sequence.play();
+
+		expect(report.status).toBe("aborted");
+		expect(report.sections[0].status).toBe("failed");
+		expect(report.effects).not.toContain("last");
+	});
+
+	it("logs errors when no onError handlers were added", async () => {
+		const sequence = new Sequence().continueOnError();
+		addSection(sequence, { delay: 1, error: "Logged" });
+
+		await sequence.play();
+
+		expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ message: "Logged" }));
+	});
+
+	it("gives the onError handlers the error instead of logging it", async () => {
+		const handler = vi.fn();
+		const sequence = new Sequence().continueOnError().onError(handler);
+		addSection(sequence, { delay: 1, error: "Handled" });
+
+		await sequence.play();
+
+		expect(handler).toHaveBeenCalledWith(
+			expect.objectContaining({ message: "Handled" }),
+			expect.objectContaining({ status: "failed" }),
+			sequence
+		);
+		expect(console.error).not.toHaveBeenCalled();
+	});
+});
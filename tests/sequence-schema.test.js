@@ -0,0 +1,146 @@
+import { describe, expect, it, vi } from "vitest";
+import sequenceSchema from "../src/utils/sequence-schema.js";
+
+vi.mock("../src/modules/sequencer-section-manager.js", () => ({
+	default: { externalSections: { customSection: class {} } },
+}));
+
+const legacySequence = {
+	options: { moduleName: "myModule", softFail: true },
+	sections: [
+		{
+			type: "effect",
+			sectionData: { file: "modules/myModule/effect.webm" },
+			async: false,
+			delay: [0, 0],
+			waitUntilFinished: false,
+			waitUntilFinishedDelay: [0, 0],
+			repetitions: 1,
+			repetitionsDelay: [0, 0],
+		},
+	],
+};
+
+describe("sequenceSchema.migrate", () => {
+	it("fills in the fields that older sequences did not have", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		expect(data.version).toBe(sequenceSchema.latestVersion);
+		expect(data.options).toEqual({
+			moduleName: "myModule",
+			softFail: true,
+			continueOnError: false,
+		});
+		expect(data.loop).toEqual({ count: 1, until: false });
+		expect(data.errorHandlers).toEqual([]);
+	});
+
+	it("does not change the given data", () => {
+		const original = foundry.utils.deepClone(legacySequence);
+		sequenceSchema.migrate(legacySequence);
+		expect(legacySequence).toEqual(original);
+	});
+
+	it("leaves data of the latest version as it is", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		expect(sequenceSchema.migrate(data)).toBe(data);
+	});
+
+	it("produces data that passes validation", () => {
+		const { errors, unknown } = sequenceSchema.validate(sequenceSchema.migrate(legacySequence));
+		expect(errors).toEqual([]);
+		expect(unknown).toEqual([]);
+	});
+});
+
+describe("sequenceSchema.validate", () => {
+	const validate = (changes) =>
+		sequenceSchema.validate(foundry.utils.mergeObject(sequenceSchema.migrate(legacySequence), changes, { inplace: false }));
+
+	it("reports fields of the wrong type", () => {
+		expect(validate({ options: { softFail: "yes" } }).errors).toEqual([
+			"options.softFail - must be of type boolean, got string",
+		]);
+	});
+
+	it("reports sequences from newer versions", () => {
+		expect(validate({ version: "99.0.0" }).errors[0]).toMatch(/newer version of Sequencer/);
+	});
+
+	it("reports unknown section types, unless they are registered externally", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections.push({ ...data.sections[0], type: "unknown" });
+		data.sections.push({ ...data.sections[0], type: "customSection" });
+		expect(sequenceSchema.validate(data).errors).toEqual([
+			'sections[1].type - "unknown" is not a known section type',
+		]);
+	});
+
+	it("validates the sequences nested in branches", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections.push({
+			...data.sections[0],
+			type: "branch",
+			sectionData: {
+				condition: "isCritical",
+				branches: { true: { options: {} } },
+				weightedBranches: false,
+			},
+		});
+		expect(sequenceSchema.validate(data).errors).toEqual([
+			"sections[1].sectionData.branches.true.sections - is required",
+		]);
+	});
+
+	it("reports lists of sections and nested sequences of the wrong type instead of walking them", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections.push(
+			{ type: "branch", sectionData: { branches: "none", weightedBranches: true } },
+			{ type: "parallel", sectionData: { sequences: "none" } }
+		);
+		expect(sequenceSchema.validate(data).errors).toEqual([
+			"sections[1].sectionData.branches - must be of type object, got string",
+			"sections[2].sectionData.sequences - must be of type array, got string",
+		]);
+
+		expect(sequenceSchema.validate({ ...data, sections: "none" }).errors).toEqual([
+			"sections - must be of type array, got string",
+		]);
+	});
+
+	it("notes down fields it does not recognize", () => {
+		expect(validate({ extra: true }).unknown).toEqual(["extra"]);
+	});
+
+	it("reports effect data of the wrong type", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections[0].sectionData = {
+			file: "modules/myModule/effect.webm",
+			scale: 2,
+			chain: "everyone",
+			deferred: { file: "{{file}}" },
+		};
+		expect(sequenceSchema.validate(data).errors).toEqual([
+			"sections[0].sectionData.chain - must be of type object or boolean, got string",
+			"sections[0].sectionData.scale - must be of type object, got number",
+		]);
+	});
+
+	it("allows effect and sound data to have fields added through overrides", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections[0].sectionData.customField = true;
+		expect(sequenceSchema.validate(data)).toEqual({ errors: [], unknown: [] });
+	});
+
+	it("reports unknown fields in the data of other sections", () => {
+		const data = sequenceSchema.migrate(legacySequence);
+		data.sections[0] = {
+			...data.sections[0],
+			type: "canvasPan",
+			sectionData: { duration: "slow", speed: null, wobble: true },
+		};
+		expect(sequenceSchema.validate(data)).toEqual({
+			errors: ["sections[0].sectionData.duration - must be of type number, got string"],
+			unknown: ["sections[0].sectionData.wobble"],
+		});
+	});
+});
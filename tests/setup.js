@@ -0,0 +1,134 @@
+/**
+ * Stand-ins for the globals that Foundry provides, covering only what the modules under test use
+ */
+
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function deepClone(value) {
+	if (Array.isArray(value)) return value.map(deepClone);
+	if (!isObject(value)) return value;
+	return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, deepClone(entry)]));
+}
+
+function mergeObject(original, other = {}, { inplace = true } = {}) {
+	const target = inplace ? original : deepClone(original);
+	for (const [key, value] of Object.entries(other ?? {})) {
+		if (isObject(value) && isObject(target[key])) {
+			mergeObject(target[key], value);
+		} else {
+			target[key] = value;
+		}
+	}
+	return target;
+}
+
+function isNewerVersion(version, other) {
+	const a = String(version).split(".").map(Number);
+	const b = String(other).split(".").map(Number);
+	for (let index = 0; index < Math.max(a.length, b.length); index++) {
+		if ((a[index] ?? 0) !== (b[index] ?? 0)) return (a[index] ?? 0) > (b[index] ?? 0);
+	}
+	return false;
+}
+
+globalThis.foundry = {
+	utils: {
+		deepClone,
+		mergeObject,
+		isNewerVersion,
+		duplicate: (value) => JSON.parse(JSON.stringify(value)),
+		randomID: () => Math.random().toString(36).slice(2, 18),
+		getProperty: (object, key) => key.split(".").reduce((value, part) => value?.[part], object),
+		setProperty: (object, key, value) => {
+			const parts = key.split(".");
+			const last = parts.pop();
+			const target = parts.reduce((entry, part) => (entry[part] ??= {}), object);
+			target[last] = value;
+			return true;
+		},
+		debounce: (callback) => callback,
+	},
+	audio: { AudioHelper: class AudioHelper {}, Sound: class Sound {} },
+};
+
+Object.defineProperty(Array.prototype, "deepFlatten", {
+	value() {
+		return this.flat(Infinity);
+	},
+	writable: true,
+	configurable: true,
+});
+
+class Point {
+	constructor(x = 0, y = 0) {
+		this.set(x, y);
+	}
+
+	set(x = 0, y = x) {
+		this.x = x;
+		this.y = y;
+	}
+}
+
+class Container {
+	constructor() {
+		this.children = [];
+		this.parent = null;
+		this.destroyed = false;
+		this.position = new Point();
+		this.pivot = new Point();
+		this.scale = new Point(1, 1);
+		this.angle = 0;
+		this.alpha = 1;
+	}
+
+	addChild(child) {
+		child.parent?.removeChild(child);
+		child.parent = this;
+		this.children.push(child);
+		return child;
+	}
+
+	removeChild(child) {
+		this.children = this.children.filter((entry) => entry !== child);
+		child.parent = null;
+		return child;
+	}
+
+	sortChildren() {}
+
+	destroy() {
+		this.destroyed = true;
+	}
+}
+
+class Texture {}
+
+globalThis.PIXI = { Container, Point, Texture, SCALE_MODES: { NEAREST: 0, LINEAR: 1 } };
+
+globalThis.DrawingDocument = class DrawingDocument {};
+
+globalThis.Ray = class Ray {
+	constructor(A, B) {
+		this.A = A;
+		this.B = B;
+		this.distance = Math.hypot(B.x - A.x, B.y - A.y);
+	}
+};
+
+globalThis.game = {
+	user: { id: "user", isGM: true, viewedScene: "scene" },
+	userId: "user",
+	settings: { get: () => false },
+};
+
+globalThis.Hooks = {
+	call: () => true,
+	callAll: () => {},
+	on: () => {},
+	once: () => {},
+};
+
+globalThis.ui = { notifications: { error: () => {}, warn: () => {}, info: () => {} } };
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import * as lib from "../src/lib/lib.js";
+import Sequence from "../src/modules/sequencer.js";
+import SequencerFileCache from "../src/modules/sequencer-file-cache.js";
+import { SequencerFile } from "../src/modules/sequencer-file.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+describe("image sequences", () => {
+	it("expands into the file of each frame, padded like the first frame number", () => {
+		expect(lib.is_image_sequence("fire/frame_{08..11}.webp")).toBe(true);
+		expect(lib.is_image_sequence("fire/frame_08.webp")).toBe(false);
+		expect(lib.get_image_sequence_files("fire/frame_{08..11}.webp")).toEqual([
+			"fire/frame_08.webp",
+			"fire/frame_09.webp",
+			"fire/frame_10.webp",
+			"fire/frame_11.webp",
+		]);
+		expect(lib.get_image_sequence_files("fire/{3..1}.png")).toEqual(["fire/3.png", "fire/2.png", "fire/1.png"]);
+	});
+
+	it("treats image sequences and JSON atlases as spritesheets", () => {
+		expect(lib.is_spritesheet_file("fire/frame_{0..3}.webp")).toBe(true);
+		expect(lib.is_spritesheet_file("fire/atlas.JSON")).toBe(true);
+		expect(lib.is_spritesheet_file("fire/fire.webm")).toBe(false);
+	});
+});
+
+describe("SequencerFile spritesheets", () => {
+	beforeEach(() => {
+		vi.spyOn(SequencerFileCache, "loadFile").mockImplementation(async (file) =>
+			Object.assign(new PIXI.Texture(), { file })
+		);
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("plays the frames of an image sequence, limited to its frame range", async () => {
+		const file = new SequencerFile("fire/{0..5}.webp", "temporary.spritesheet", {});
+		file.frames = [2, 4];
+
+		expect(file.flipbook).toBe(true);
+		expect(file.getFile()).toBe("fire/0.webp");
+
+		const { texture, sheet } = await file.getTexture();
+		expect(sheet.map(({ file }) => file)).toEqual(["fire/2.webp", "fire/3.webp", "fire/4.webp"]);
+		expect(texture).toBe(sheet[0]);
+	});
+
+	it("plays the given animation of an atlas, or else its frames in order of their names", async () => {
+		const [one, two, ten] = ["one", "two", "ten"].map((file) => Object.assign(new PIXI.Texture(), { file }));
+		const textures = { frame10: ten, frame2: two, frame1: one };
+		SequencerFileCache.loadFile.mockImplementation(async () => ({
+			textures,
+			animations: { burn: [one, ten] },
+		}));
+
+		const animated = new SequencerFile("fire/atlas.json", "temporary.spritesheet", { animation: "burn" });
+		expect((await animated.getTexture()).sheet).toEqual([one, ten]);
+
+		SequencerFileCache.loadFile.mockImplementation(async () => ({ textures }));
+		const unanimated = new SequencerFile("fire/other-atlas.json", "temporary.spritesheet", {});
+		expect((await unanimated.getTexture()).sheet.map(({ file }) => file)).toEqual(["one", "two", "ten"]);
+	});
+});
+
+describe("EffectSection.file spritesheet options", () => {
+	beforeEach(() => {
+		globalThis.Sequencer = { SectionManager: { externalSections: {} } };
+		vi.spyOn(console, "error").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("accepts an fps, a frame range, and an animation", () => {
+		const section = new Sequence().effect().file("fire/atlas.json", { fps: 12, frames: [0, 23], animation: "burn" });
+
+		expect(section._fileOptions).toMatchObject({ fps: 12, frames: [0, 23], animation: "burn" });
+	});
+
+	it("validates them", () => {
+		const section = new Sequence().effect();
+
+		expect(() => section.file("fire/atlas.json", { fps: 0 })).toThrow("inOptions.fps must be a number higher than 0");
+		expect(() => section.file("fire/atlas.json", { frames: [5, 2] })).toThrow(
+			"inOptions.frames must be an array of a start and end frame"
+		);
+		expect(() => section.file("fire/atlas.json", { animation: 1 })).toThrow(
+			"inOptions.animation must be of type string"
+		);
+	});
+});
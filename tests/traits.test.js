@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Sequence from "../src/modules/sequencer.js";
+import SectionManager from "../src/modules/sequencer-section-manager.js";
+
+vi.mock("../src/canvas-effects/canvas-effect.js", () => ({ default: class {} }));
+vi.mock("../src/formapplications/effects-ui/effects-ui-app.js", () => ({ EffectsUIApp: class {} }));
+vi.mock("../src/lib/filters.js", () => ({ default: {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsDocument.js", () => ({ default: class {} }));
+vi.mock("../src/modules/sequencer-crosshair/CrosshairsPlaceable.js", () => ({ default: class {} }));
+
+describe("SectionManager.registerTrait", () => {
+	beforeEach(() => {
+		globalThis.Sequence = Sequence;
+		globalThis.Sequencer = { SectionManager };
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		delete globalThis.Sequence;
+		vi.restoreAllMocks();
+	});
+
+	it("adds a chainable method to sections of the given type", () => {
+		const func = vi.fn(function (volume) {
+			this._volume = volume / 2;
+		});
+		SectionManager.registerTrait("sound", "halfVolume", func, { overwrite: true });
+
+		const sequence = new Sequence();
+		const section = sequence.sound();
+
+		expect(section.halfVolume(0.5)).toBe(section);
+		expect(func).toHaveBeenCalledWith(0.5);
+		expect(section._volume).toBe(0.25);
+		expect(section._traitCalls).toEqual([]);
+	});
+
+	it("serializes calls to traits registered with serialize, and calls them again when deserialized", async () => {
+		SectionManager.registerTrait(
+			"sound",
+			"muffled",
+			function (amount) {
+				this._muffled = amount;
+			},
+			{ serialize: true, overwrite: true }
+		);
+		const sequence = new Sequence();
+		sequence.sound().muffled(3);
+
+		const data = await sequence.toJSON();
+		expect(data.sections[0].traits).toEqual([{ name: "muffled", args: [3] }]);
+
+		const copy = new Sequence().fromJSON(data);
+		expect(copy.sections[0]._muffled).toBe(3);
+		expect(copy.sections[0]._traitCalls).toEqual([{ name: "muffled", args: [3] }]);
+	});
+
+	it("warns about traits that are no longer registered when deserializing", async () => {
+		const sequence = new Sequence();
+		sequence.sound();
+		const data = await sequence.toJSON();
+		data.sections[0].traits = [{ name: "missingTrait", args: [] }];
+
+		new Sequence().fromJSON(data);
+
+		expect(console.warn).toHaveBeenCalled();
+	});
+
+	it("refuses unknown section types, existing method names, and overwriting unless told to", () => {
+		expect(() => SectionManager.registerTrait("wait", "pulse", () => {})).toThrow("inSectionType must be one of");
+		expect(() => SectionManager.registerTrait("sound", "_pulse", () => {})).toThrow("cannot start with an underscore");
+		expect(() => SectionManager.registerTrait("sound", "pulse", 5)).toThrow("inFunction must be of type function");
+		expect(() => SectionManager.registerTrait("sound", "volume", () => {})).toThrow(
+			"volume is an existing method of sound sections"
+		);
+		expect(() => SectionManager.registerTrait("sound", "play", () => {})).toThrow(
+			"play is an existing method of sound sections or the Sequence class"
+		);
+
+		SectionManager.registerTrait("effect", "pulse", () => {});
+		expect(() => SectionManager.registerTrait("effect", "pulse", () => {})).toThrow(
+			"pulse is already a registered trait of effect sections"
+		);
+		expect(SectionManager.registerTrait("effect", "pulse", () => {}, { overwrite: true })).toBe(true);
+	});
+});
@@ -17,11 +17,104 @@ type ExtendedEasingOptions = EasingOptions & {
   towardsCenter?: boolean;
 };
 
+type SequencePlanEntry = {
+  type: string;
+  iteration?: number;
+  start: number;
+  end: number;
+  resolvesAt: number;
+  waitUntilFinished: boolean;
+  skipped: boolean;
+  repetitions: Array<{
+    start: number;
+    end: number;
+    persist?: boolean;
+    interactive?: boolean;
+    sections?: SequencePlanEntry[];
+    sequences?: SequencePlanEntry[][];
+  }>;
+  files: string[];
+  users: string[];
+};
+
+type SequenceSectionResult = {
+  section: object;
+  type: string;
+  index: number;
+  iteration: number;
+  status: "ready" | "running" | "complete" | "skipped" | "aborted" | "paused" | "failed";
+  effects: string[];
+  sounds: string[];
+  blocked: boolean;
+  startedAt: number | null;
+  duration: number;
+  error: string | null;
+};
+
+type SequenceReport = {
+  id: string;
+  status: "complete" | "aborted";
+  duration: number;
+  iterations: number;
+  sections: SequenceSectionResult[];
+  effects: string[];
+  sounds: string[];
+  errors: SequenceSectionResult[];
+};
+
+type SerializedSequence = {
+  version: string;
+  options: { moduleName: string; softFail: boolean; continueOnError: boolean };
+  loop: { count: number | null; until: string | false };
+  errorHandlers: string[];
+  sections: Array<{ type: string; sectionData: object; [key: string]: any }>;
+};
+
+type PresetArgument = {
+  type: "number" | "string" | "boolean" | "color" | "databasePath" | "token" | "location";
+  default?: any;
+  label?: string;
+  hint?: string;
+  required?: boolean;
+  min?: number;
+  max?: number;
+  step?: number;
+};
+
+type PresetInfo = {
+  id?: string;
+  name: string;
+  module: string | null;
+  type: WorldPreset["type"] | null;
+  description: string;
+  args: Record<string, PresetArgument>;
+  world: boolean;
+};
+
+type WorldPreset = {
+  id: string;
+  name: string;
+  type: "effect" | "sound" | "animation" | "scrollingText" | "canvasPan";
+  methods: Array<{ method: string; args: any[] }>;
+};
+
+type SequencePlan = {
+  duration: number;
+  end: number;
+  iterations: number | null;
+  sections: SequencePlanEntry[];
+  files: string[];
+  users: string[];
+  errors: Array<{ type: string; error: string }>;
+};
+
 type Vector2 = {
   x: number;
   y: number;
 };
 
+type OffsetFunction = (iteration: number) => Vector2;
+
 type Size = {
   width: number;
   height: number;
@@ -146,14 +239,14 @@ type Shapes = "polygon" | "rectangle" | "circle" | "ellipse" | "roundedRect";
 
 declare class CoreMethods {
   /**
-   * Creates a section that will run a function.
+   * Creates a section that will run a function, or a function registered through Sequencer.Functions by its name.
    */
-  thenDo(inFunc: () => void | Promise<void>): Sequence;
+  thenDo(inFunc: string | ((iteration: number, context: Record<string, any>) => void | Promise<void>)): FunctionSection;
 
   /**
    * Creates a section that will run a macro based on a name, id, UUID, or a direct reference to a macro.
    */
-  macro(inMacro: string | Macro, ...arguments: any): Sequence;
+  macro(inMacro: string | Macro, inArgs?: Record<string, any>): Sequence;
 
   /**
    * Causes the sequence to wait after the last section for as many milliseconds as you pass to this method. If given
@@ -171,6 +264,11 @@ declare class CoreMethods {
    */
   effect(filePath?: string): EffectSection;
 
+  /**
+   * Creates a particle emitter section. Until you call any other sections you'll be working on the Particles section.
+   */
+  particles(inTextures?: string | string[]): ParticleSection;
+
   /**
    * Creates a sound section. Until you call any other sections you'll be working on the Sound section.
    */
@@ -199,11 +297,51 @@ declare class CoreMethods {
    */
   crosshair(inName?: string): CrosshairSection;
 
+  /**
+   * Creates a branch section, which picks one of several sequences to play at that point in the sequence, either
+   * through the result of a condition (or the name of a registered condition), or at random from a weighted table.
+   */
+  branch(
+    inCondition: string | ((sequence: Sequence) => any | Promise<any>),
+    inBranches: Record<string, Sequence | Section<any>>
+  ): BranchSection;
+  branch(
+    inWeightedTable: Array<{ sequence: Sequence | Section<any>; weight?: number }>
+  ): BranchSection;
+
+  /**
+   * Creates a parallel section, which plays the given sequences at the same time, and continues once they have all
+   * finished ("all"), or once the first one has finished, either stopping the others ("race") or letting them play out ("any").
+   */
+  parallel(
+    inSequences: Array<Sequence | Section<any>>,
+    options?: { mode?: "all" | "race" | "any" }
+  ): ParallelSection;
+
 	/**
 	 * Adds a location to the sequence and ties it to a string so that it may be used later
 	 */
 	addNamedLocation(inName: string, inLocation: VisibleFoundryTypes | Vector2): this;
 
+  /**
+   * Creates a section that sets a variable in the sequence's context when it is reached, which later sections can
+   * reference as {{name}} in file paths, texts, and locations. If given a function, the variable is set to its result.
+   */
+  setVar(
+    inName: string,
+    inValue: any | ((iteration: number, context: Record<string, any>) => any | Promise<any>)
+  ): SetVarSection;
+
+  /**
+   * Retrieves a variable from the sequence's context
+   */
+  getVar(inName: string): any;
+
+  /**
+   * The variables shared between the sections of the sequence
+   */
+  context: Record<string, any>;
+
   /**
    * Adds the sections from a given Sequence to this Sequence
    */
@@ -220,19 +358,87 @@ declare class CoreMethods {
   ): Sequence | EffectSection | AnimationSection | SoundSection;
 
   /**
-   * Plays all of this sequence's sections, resolves to the sequence instance
+   * Plays all of this sequence's sections, resolves to a report of how each section went
    */
-  play(inOptions?: { remote?: boolean, preload?: boolean, local?: boolean }): Promise<Sequence>;
+  play(inOptions?: { remote?: boolean, preload?: boolean, local?: boolean, at?: number }): Promise<SequenceReport>;
+
+  /**
+   * Adds a function that is called whenever a section of this sequence throws an error
+   */
+  onError(
+    inFunc: string | ((error: Error, result: SequenceSectionResult, sequence: Sequence) => void | Promise<void>)
+  ): Sequence;
 
   /**
-   * Turns the sequence into an array of objects to be reconstructed later
+   * Sets whether this sequence keeps playing its remaining sections when one of them throws an error
    */
-  toJSON(): Array<Object>;
+  continueOnError(inContinue?: boolean): Sequence;
 
   /**
-   * Takes the serialized sequence array and returns a sequence ready to be played
+   * Works out the timeline of this sequence without playing it, resolving its files, durations, delays, and repetitions
    */
-  fromJSON(inJSON: Array<Object>): Sequence;
+  plan(inOptions?: { delays?: "min" | "max" | "random" }): Promise<SequencePlan>;
+
+  /**
+   * Pauses the sequence, which freezes any pending waits and delays, and the effects and sounds it has created
+   */
+  pause(): Sequence;
+
+  /**
+   * Resumes a paused sequence
+   */
+  resume(): Sequence;
+
+  /**
+   * Skips the sequence ahead to the given time in milliseconds since it started playing, fast-forwarding any pending
+   * waits and delays, and the effects and sounds it has created. Sequences cannot be sought backwards.
+   */
+  seek(inTime: number): Sequence;
+
+  /**
+   * The amount of milliseconds this sequence has been playing for, excluding the time it has spent paused
+   */
+  readonly currentTime: number;
+
+  /**
+   * The time on the clock shared between clients that this sequence is scheduled to have reached, or false if it was not
+   * scheduled through play({ at })
+   */
+  readonly serverTime: number | false;
+
+  /**
+   * Causes the whole sequence to loop once it has played all of its sections, either a number of times, or until the
+   * given function (or the name of a registered condition) returns true. Without any parameters, the sequence loops
+   * until it is stopped or aborted.
+   */
+  loop(
+    inLoop?: number | string | ((iteration: number, sequence: Sequence) => boolean | Promise<boolean>)
+  ): Sequence;
+
+  /**
+   * Stops a looping sequence from looping again, letting its current iteration finish
+   */
+  stopLoop(): Sequence;
+
+  /**
+   * Whether this sequence has been set to loop
+   */
+  readonly isLooping: boolean;
+
+  /**
+   * The index of the iteration of the loop that this sequence is currently playing, starting at 0
+   */
+  readonly iteration: number;
+
+  /**
+   * Turns the sequence into a versioned object to be reconstructed later
+   */
+  toJSON(inOptions?: { deferred?: boolean }): Promise<SerializedSequence>;
+
+  /**
+   * Takes the serialized sequence, migrates and validates it, and returns a sequence ready to be played
+   */
+  fromJSON(inJSON: SerializedSequence, inOptions?: { validate?: boolean }): Sequence;
 }
 
 declare interface Sequence extends CoreMethods {}
@@ -242,7 +448,7 @@ declare class Sequence {
    * Declaring the module name when using new Sequence() will make every error or warning caught during the runtime also
    * include the module name, which lets you and other users know which module caused the error.
    */
-  constructor(inOptions?: { inModuleName?: string; softFail?: boolean }, softFail?: boolean);
+  constructor(inOptions?: { inModuleName?: string; softFail?: boolean; continueOnError?: boolean }, softFail?: boolean);
 
   _customError(self: Section<any>, func: string, error: string): Error;
 }
@@ -337,9 +543,24 @@ declare abstract class HasAudio<T> {
 declare abstract class HasFiles<T> {
   /**
    * Declares which file to be played. This may also be an array of paths, which will be randomly picked from each
-   * time the section is played.
+   * time the section is played, or of objects with a path and a weight to make some paths more likely to be picked.
+   * Spritesheet JSON atlases and numbered image sequences can be given an fps, a frame range, and an animation to play.
+   */
+  file(
+    inFile: string | Array<string | { path: string; weight?: number }>,
+    inOptions?: {
+      antialiasing?: number;
+      fps?: number;
+      frames?: [number, number];
+      animation?: string;
+    }
+  ): T;
+
+  /**
+   * Causes randomly picked files to not repeat until every other file has been picked, keeping track of the picked
+   * files per user or per sequence
    */
-  file(inFile: string | string[]): T;
+  noRepeat(inScope?: "user" | "sequence" | boolean): T;
 
   /**
    * Defines the base folder that will prepend to the file path. This is mainly just useful to make the file
@@ -348,7 +569,8 @@ declare abstract class HasFiles<T> {
   baseFolder(inBaseFolder: string): T;
 
   /**
-   * Sets the Mustache of the filepath. This is applied after the randomization of the filepath, if available.
+   * Sets the Mustache of the filepath. This is applied after the randomization of the filepath, if available. The
+   * sequence's current loop iteration is available as {{iteration}}, along with the sequence's context variables.
    */
   setMustache(inMustache: Record<string, unknown>): T;
 }
@@ -359,7 +581,11 @@ declare abstract class HasMovement<T> {
    */
   moveTowards(
     inTarget: VisibleFoundryTypes | Vector2 | string,
-    options?: EasingOptionsWithTarget
+    options?: EasingOptionsWithTarget & {
+      rotate?: boolean;
+      cacheLocation?: boolean;
+      arc?: boolean | number | { height?: number; gravity?: number; scale?: number };
+    }
   ): this;
 
   /**
@@ -510,6 +736,29 @@ declare abstract class HasAnimations<T> {
       gridUnits?: boolean;
     }
   ): this;
+
+  /**
+   * Animates the effect through a list of keyframes, each of which sets the values the effect should have reached at
+   * a given point in time
+   */
+  keyframes(
+    inKeyframes: Array<{
+      at: number;
+      x?: number;
+      y?: number;
+      scale?: number | Vector2;
+      rotation?: number;
+      alpha?: number;
+      ease?: string;
+    }>,
+    inOptions?: {
+      loop?: boolean | number;
+      pingPong?: boolean;
+      delay?: number;
+      gridUnits?: boolean;
+      absolute?: boolean | Array<"x" | "y" | "scale" | "rotation" | "alpha">;
+    }
+  ): this;
 }
 
 declare abstract class HasFilters<T> {
@@ -528,7 +777,7 @@ declare abstract class HasLocation<T> {
     inLocation: VisibleFoundryTypes | Vector2 | string,
     inOptions?: {
       cacheLocation?: boolean;
-      offset?: Vector2;
+      offset?: Vector2 | OffsetFunction;
       randomOffset?: number;
       gridUnits?: boolean;
       local?: boolean;
@@ -665,6 +914,13 @@ declare abstract class EffectSection {
    */
   syncGroup(string: string): this;
 
+  /**
+   * Adds the effect to a group of effects that share a container on the canvas, which can be moved, rotated, scaled,
+   * and faded as a whole through Sequencer.EffectManager.updateGroup(), and whose effects can be ended together by
+   * passing the group's name to Sequencer.EffectManager.endEffects()
+   */
+  group(inName: string, inOptions?: EffectGroupTransform): this;
+
   /**
    * Causes the effect to target a location close to the .stretchTowards() location, but not on it.
    */
@@ -691,7 +947,7 @@ declare abstract class EffectSection {
       bindScale?: boolean;
       bindElevation?: boolean;
       followRotation?: boolean;
-      offset?: Vector2;
+      offset?: Vector2 | OffsetFunction;
       randomOffset?: number;
       gridUnits?: boolean;
       local?: boolean;
@@ -709,7 +965,29 @@ declare abstract class EffectSection {
       attachTo?: boolean;
       onlyX?: boolean;
       tiling?: boolean;
-      offset?: Vector2;
+      offset?: Vector2 | OffsetFunction;
+      randomOffset?: number;
+      gridUnits?: boolean;
+      local?: boolean;
+      requiresLineOfSight?: boolean;
+      hideLineOfSight?: boolean;
+    }
+  ): this;
+
+  /**
+   * Causes the effect to chain from its location to each of the given targets in turn, like chain lightning. Each link
+   * in the chain is its own effect that is stretched between two targets, and all links share the effect's name.
+   */
+  chainTo(
+    inTargets: Array<VisibleFoundryTypes | Vector2 | string>,
+    inOptions?: {
+      delayBetween?: number;
+      jumpOrder?: "given" | "nearest";
+      cacheLocation?: boolean;
+      attachTo?: boolean;
+      onlyX?: boolean;
+      tiling?: boolean;
+      offset?: Vector2 | OffsetFunction;
       randomOffset?: number;
       gridUnits?: boolean;
       local?: boolean;
@@ -727,13 +1005,40 @@ declare abstract class EffectSection {
       rotationOffset?: number;
       cacheLocation?: boolean;
       attachTo?: boolean;
-      offset?: Vector2;
+      offset?: Vector2 | OffsetFunction;
       randomOffset?: number;
       gridUnits?: boolean;
       local?: boolean;
     }
   ): this;
 
+  /**
+   * Causes the effect to move along a path, which can be a list of points, a Drawing, or a spline
+   */
+  moveAlongPath(
+    inPath:
+      | Array<Vector2 | [number, number] | VisibleFoundryTypes>
+      | Drawing
+      | DrawingDocument
+      | string
+      | {
+          points: Array<Vector2 | [number, number] | VisibleFoundryTypes>;
+          curve?: "catmullRom" | "bezier" | "linear";
+          closed?: boolean;
+          tension?: number;
+        },
+    inOptions?: {
+      speed?: number;
+      ease?: string;
+      delay?: number;
+      orientToPath?: boolean;
+      loop?: boolean | number;
+      curve?: "catmullRom" | "bezier" | "linear";
+      closed?: boolean;
+      tension?: number;
+    }
+  ): this;
+
   /**
    * Create an effect based on the given object, effectively copying the object as an effect. Useful when you want to do some effect magic on tokens or tiles.
    */
@@ -741,7 +1046,7 @@ declare abstract class EffectSection {
     inLocation: Token | Tile | TokenDocument | TileDocument,
     inOptions?: {
       cacheLocation?: boolean;
-      offset?: Vector2;
+      offset?: Vector2 | OffsetFunction;
       randomOffset?: number;
       gridUnits?: boolean;
       local?: boolean;
@@ -988,6 +1293,92 @@ declare abstract class EffectSection {
   xray(inBool?: boolean): this;
 }
 
+type ParticleCurve<T> = Array<T | { at: number; value: T; ease?: string }>;
+
+declare interface ParticleSection
+  extends CoreMethods,
+    Section<ParticleSection>,
+    HasFiles<ParticleSection>,
+    HasAudio<ParticleSection>,
+    HasMovement<ParticleSection>,
+    HasOpacity<ParticleSection>,
+    HasRotation<ParticleSection>,
+    HasScale<ParticleSection>,
+    HasTime<ParticleSection>,
+    HasUsers<ParticleSection>,
+    HasAnimations<ParticleSection>,
+    HasFilters<ParticleSection>,
+    HasTint<ParticleSection>,
+    HasLocation<ParticleSection>,
+    HasText<ParticleSection>,
+    HasName<ParticleSection>,
+    AnimatedSection<ParticleSection> {}
+
+declare abstract class ParticleSection extends EffectSection {
+  /**
+   * Sets the textures that the particles are randomly given, which can be database paths or image files
+   */
+  textures(inTextures: string | string[]): this;
+
+  /**
+   * Sets how many particles are emitted per second, randomized between the two numbers if given both
+   */
+  rate(inMin: number, inMax?: number): this;
+
+  /**
+   * Sets how long each particle lives for in milliseconds, randomized between the two numbers if given both
+   */
+  lifetime(inMin: number, inMax?: number): this;
+
+  /**
+   * Sets the speed at which the particles are emitted in pixels per second, randomized between the two numbers if
+   * given both
+   */
+  velocity(
+    inMin: number,
+    inMax?: number | { gridUnits?: boolean },
+    inOptions?: { gridUnits?: boolean }
+  ): this;
+
+  /**
+   * Sets the direction in degrees that the particles are emitted towards, where 0 is to the right and 90 is upwards
+   */
+  direction(inDegrees: number): this;
+
+  /**
+   * Sets the width in degrees of the cone that the particles are emitted within
+   */
+  spread(inDegrees: number): this;
+
+  /**
+   * Sets the acceleration applied to the particles in pixels per second squared, where a number pulls them downwards
+   */
+  gravity(
+    inGravity: number | { x?: number; y?: number },
+    inOptions?: { gridUnits?: boolean }
+  ): this;
+
+  /**
+   * Sets the colors that the particles are tinted with over their lifetime
+   */
+  colorOverLife(inColors: ParticleCurve<string | number>): this;
+
+  /**
+   * Sets the opacity of the particles over their lifetime
+   */
+  alphaOverLife(inValues: ParticleCurve<number>): this;
+
+  /**
+   * Sets the scale of the particles over their lifetime
+   */
+  scaleOverLife(inValues: ParticleCurve<number>): this;
+
+  /**
+   * Sets the maximum number of particles that can be alive at the same time
+   */
+  maxParticles(inNumber: number): this;
+}
+
 declare interface SoundSection
   extends CoreMethods,
     Section<SoundSection>,
@@ -1104,6 +1495,36 @@ declare abstract class CanvasPanSection {
   }): this;
 }
 
+declare interface BranchSection
+  extends CoreMethods,
+    Section<BranchSection> {}
+
+declare abstract class BranchSection {}
+
+declare interface ParallelSection
+  extends CoreMethods,
+    Section<ParallelSection> {}
+
+declare abstract class ParallelSection {}
+
+declare interface FunctionSection
+  extends CoreMethods,
+    Section<FunctionSection> {}
+
+declare abstract class FunctionSection {}
+
+declare interface MacroSection
+  extends CoreMethods,
+    Section<MacroSection> {}
+
+declare abstract class MacroSection {}
+
+declare interface SetVarSection
+  extends CoreMethods,
+    Section<SetVarSection> {}
+
+declare abstract class SetVarSection {}
+
 declare interface CrosshairSection
   extends CoreMethods,
     Section<CrosshairSection>,
@@ -1316,6 +1737,15 @@ declare abstract class SequencerHelpers {
     inOptions?: { recurse?: boolean }
   ): any;
 
+  /**
+   * Returns a random element in the given array, where each element's chance of being picked is its weight
+   */
+  random_weighted_array_element(
+    inArray: Array<any>,
+    inWeights: Array<number>,
+    inOptions?: { index?: boolean }
+  ): any;
+
   /**
    *  Returns a random element in the given object
    */
@@ -1342,6 +1772,17 @@ declare abstract class SequencerSectionManager {
     inClass: Class,
     overwrite?: boolean
   ): boolean;
+
+  /**
+   * Registers a method on an existing type of section, which returns the section unless the method returns something
+   * else. If serialize is true, calls to the method are stored and included when the section is serialized.
+   */
+  registerTrait(
+    inSectionType: "effect" | "particles" | "sound" | "animation" | "scrollingText" | "canvasPan",
+    inName: string,
+    inFunction: (this: EffectSection | ParticleSection | SoundSection | AnimationSection | ScrollingTextSection | CanvasPanSection, ...args: any[]) => any,
+    inOptions?: { serialize?: boolean; overwrite?: boolean }
+  ): boolean;
 }
 
 declare abstract class SequencerDatabaseViewer {
@@ -1364,7 +1805,15 @@ type inFilters = {
   sceneId?: string;
   source?: PlaceableObject | Document | String,
   target?: PlaceableObject | Document | String,
-  origin?: String
+  origin?: String,
+  group?: string
+}
+type EffectGroupTransform = {
+  origin?: Vector2;
+  position?: Vector2;
+  rotation?: number;
+  scale?: number | Vector2;
+  alpha?: number;
 }
 declare abstract class SequencerEffectManager {
   /**
@@ -1387,6 +1836,15 @@ declare abstract class SequencerEffectManager {
    */
   updateEffects(options: RequireAtLeastOne<inFilters & { effects?: string | CanvasEffect | Array<string> | Array<CanvasEffect>; }>): Promise<Array<any>>;
 
+  /**
+   * Moves, rotates, scales, or fades a group of effects as a whole, either immediately or over a duration
+   */
+  updateGroup(
+    inName: string,
+    inUpdates: EffectGroupTransform,
+    inOptions?: { duration?: number; ease?: string; sceneId?: string }
+  ): Promise<any>;
+
   /**
    * End effects that are playing on the canvas based on a set of filters
    */
@@ -1471,11 +1929,38 @@ declare abstract class SequencerPresets {
   add(
     inName: string,
     inFunction: Function,
-    overwrite?: boolean
+    inOptions?: boolean | {
+      overwrite?: boolean;
+      args?: Record<string, PresetArgument>;
+      module?: string;
+      type?: WorldPreset["type"];
+      description?: string;
+    }
   ): Map<string, Function>;
 
   /**
-   * Retrieves all presets
+   * Removes a preset that was added through code, returning whether it was removed
+   */
+  remove(inName: string): boolean;
+
+  /**
+   * Removes every preset that a module has added, returning the names of the removed presets
+   */
+  removeModule(inModuleName: string): string[];
+
+  /**
+   * Lists the presets and what they accept, optionally only those added by a given module
+   */
+  list(inOptions?: { module?: string }): PresetInfo[];
+
+  /**
+   * Validates the arguments given to a preset against its argument schema, and fills in the defaults of any that were
+   * not given
+   */
+  validateArgs(inName: string, inArgs?: Record<string, any>): Record<string, any>;
+
+  /**
+   * Retrieves all presets, including the world presets
    */
   getAll(): Map<string, Function>;
 
@@ -1483,12 +1968,243 @@ declare abstract class SequencerPresets {
    * Retrieves preset based on its name
    */
   get(name: string): Function;
+
+  /**
+   * Whether the preset with the given name is stored in the world, rather than added through code
+   */
+  isWorldPreset(name: string): boolean;
+
+  /**
+   * Retrieves all presets stored in the world
+   */
+  getWorldPresets(): WorldPreset[];
+
+  /**
+   * Retrieves a preset stored in the world based on its id or name
+   */
+  getWorldPreset(inIdOrName: string): WorldPreset | undefined;
+
+  /**
+   * Saves a preset to the world, made up of the type of section it creates, and the methods called on that section
+   */
+  save(
+    inName: string,
+    inData: { id?: string; type: WorldPreset["type"]; methods: WorldPreset["methods"] },
+    overwrite?: boolean
+  ): Promise<WorldPreset>;
+
+  /**
+   * Deletes a preset stored in the world
+   */
+  delete(inIdOrName: string): Promise<void>;
+}
+
+declare abstract class SequencerConditions {
+  /**
+   * Registers a named condition that can then be used in sequences through .branch()
+   */
+  register(
+    inName: string,
+    inFunction: (sequence: Sequence) => any | Promise<any>,
+    overwrite?: boolean
+  ): Map<string, Function>;
+
+  /**
+   * Retrieves all conditions
+   */
+  getAll(): Map<string, Function>;
+
+  /**
+   * Retrieves condition based on its name
+   */
+  get(name: string): Function;
+}
+
+type SequencerMiddlewareFunction = (
+  data: Record<string, any>,
+  context: { type: "effect" | "sound"; section: EffectSection | SoundSection; sequence: Sequence }
+) => void | false | Record<string, any> | Promise<void | false | Record<string, any>>;
+
+type SequencerMiddlewareEntry = {
+  name: string;
+  func: SequencerMiddlewareFunction;
+  types: Array<"effect" | "sound">;
+  priority: number;
+};
+
+declare abstract class SequencerMiddleware {
+  /**
+   * Registers a named middleware that is run over the data of every effect or sound played by this client, before the
+   * preCreateSequencerEffect and preCreateSequencerSound hooks are called
+   */
+  register(
+    inName: string,
+    inFunction: SequencerMiddlewareFunction,
+    inOptions?: {
+      types?: Array<"effect" | "sound">;
+      priority?: number;
+      overwrite?: boolean;
+    }
+  ): Map<string, SequencerMiddlewareEntry>;
+
+  /**
+   * Removes a registered middleware
+   */
+  unregister(inName: string): boolean;
+
+  /**
+   * Retrieves all middleware
+   */
+  getAll(): Map<string, SequencerMiddlewareEntry>;
+
+  /**
+   * Retrieves middleware based on its name
+   */
+  get(name: string): SequencerMiddlewareEntry;
+}
+
+declare abstract class SequencerFunctions {
+  /**
+   * Registers a named function that can then be used in sequences through .thenDo()
+   */
+  register(
+    inName: string,
+    inFunction: (iteration: number, context: Record<string, any>) => void | Promise<void>,
+    overwrite?: boolean
+  ): Map<string, Function>;
+
+  /**
+   * Retrieves all functions
+   */
+  getAll(): Map<string, Function>;
+
+  /**
+   * Retrieves function based on its name
+   */
+  get(name: string): Function;
+}
+
+type SavedSequence = {
+  id: string;
+  name: string;
+  data: Record<string, any>;
+};
+
+declare abstract class SequencerLibrary {
+  /**
+   * Retrieves all saved sequences
+   */
+  getAll(): SavedSequence[];
+
+  /**
+   * Retrieves a saved sequence based on its id or name
+   */
+  get(inIdOrName: string): SavedSequence | undefined;
+
+  /**
+   * Saves a sequence to the world's sequence library (GM only)
+   */
+  save(
+    inName: string,
+    inSequence: Sequence | Record<string, any>,
+    overwrite?: boolean
+  ): Promise<SavedSequence>;
+
+  /**
+   * Deletes a saved sequence from the world's sequence library (GM only)
+   */
+  delete(inIdOrName: string): Promise<void>;
+
+  /**
+   * Plays a saved sequence
+   */
+  play(
+    inIdOrName: string,
+    inOptions?: { remote?: boolean; preload?: boolean; local?: boolean }
+  ): Promise<void>;
+
+  /**
+   * Downloads a saved sequence as a JSON file
+   */
+  export(inIdOrName: string): void;
+
+  /**
+   * Imports a saved sequence from a JSON file (GM only)
+   */
+  import(inFile: File, overwrite?: boolean): Promise<SavedSequence>;
+
+  /**
+   * Creates a macro that plays a saved sequence, and assigns it to the user's hotbar
+   */
+  createMacro(inIdOrName: string, slot?: number): Promise<Macro>;
+}
+
+declare abstract class SequencerClock {
+  /**
+   * The estimated difference in milliseconds between this client's clock and the shared clock
+   */
+  readonly offset: number;
+
+  /**
+   * The estimated one-way latency in milliseconds between this client and the active GM
+   */
+  readonly latency: number;
+
+  /**
+   * The current time on the shared clock, in milliseconds since the epoch
+   */
+  now(): number;
+
+  /**
+   * Converts a time on the shared clock to the same point in time on this client's clock
+   */
+  toLocalTime(inTime: number): number;
+
+  /**
+   * Waits until the shared clock has reached the given time, and resolves to how many milliseconds past it the shared
+   * clock already was, if any
+   */
+  waitUntil(inTime: number): Promise<number>;
+
+  /**
+   * Estimates the offset between this client's clock and the shared clock again
+   */
+  sync(): Promise<number>;
+}
+
+declare abstract class SequencerSequenceSchema {
+  /**
+   * The version that sequences are currently serialized with
+   */
+  readonly latestVersion: string;
+
+  /**
+   * Migrations that are applied to serialized sequences older than the version they are keyed by
+   */
+  readonly migrations: Record<string, (data: object) => object>;
+
+  /**
+   * Migrates serialized sequence data to the latest version
+   */
+  migrate(inData: object): SerializedSequence;
+
+  /**
+   * Validates serialized sequence data, returning the paths of fields that are invalid, and those that are not
+   * recognized
+   */
+  validate(inData: object): { errors: string[]; unknown: string[] };
 }
 
 declare namespace Sequencer {
   const BaseSection: Section
   const Database: SequencerDatabase;
   const Presets: SequencerPresets;
+  const Conditions: SequencerConditions;
+  const Middleware: SequencerMiddleware;
+  const Functions: SequencerFunctions;
+  const Library: SequencerLibrary;
+  const Clock: SequencerClock;
+  const SequenceSchema: SequencerSequenceSchema;
   const Preloader: SequencerPreloader;
   const Helpers: SequencerHelpers;
   const DatabaseViewer: SequencerDatabaseViewer;
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.mjs, which builds the module for Foundry from src/
+export default defineConfig({
+	test: {
+		include: ["tests/**/*.test.js"],
+		setupFiles: ["tests/setup.js"],
+		environment: "node",
+	},
+});